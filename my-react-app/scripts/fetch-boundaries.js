@@ -0,0 +1,52 @@
+// Writes public/ma_towns.geojson, the town boundaries the map view loads, from the U.S. Census
+// Bureau's cartographic boundary file of Massachusetts county subdivisions (the 351 cities and
+// towns, state FIPS 25). The file is public domain; see
+// https://www.census.gov/geographies/mapping-files/time-series/geo/cartographic-boundary.html
+//
+//   npm run boundaries                       # download the Census file
+//   npm run boundaries -- path/to/file.zip   # or convert a copy already on disk
+//
+// Only NAME (e.g. "Boston") and GEOID are kept, and coordinates are rounded to about a metre,
+// so the output stays small enough to serve with the dashboard.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { argv } from 'node:process';
+import { unzipSync } from 'fflate';
+import { read } from 'shapefile';
+
+const SOURCE_URL = 'https://www2.census.gov/geo/tiger/GENZ2018/shp/cb_2018_25_cousub_500k.zip';
+const OUTPUT = new URL('../public/ma_towns.geojson', import.meta.url);
+const DIGITS = 5;
+
+// Census lists water-only areas as "County subdivisions not defined" with code 00000
+const isTown = (feature) => feature.properties.COUSUBFP !== '00000';
+
+const roundCoordinates = (coordinates) => (typeof coordinates[0] === 'number'
+  ? coordinates.map(value => Number(value.toFixed(DIGITS)))
+  : coordinates.map(roundCoordinates));
+
+const entryEndingWith = (files, extension) => {
+  const name = Object.keys(files).find(file => file.toLowerCase().endsWith(extension));
+  if (!name) throw new Error(`No ${extension} file in the archive`);
+  return files[name];
+};
+
+const loadArchive = async (path) => {
+  if (path) return new Uint8Array(readFileSync(path));
+  console.log(`Downloading ${SOURCE_URL}`);
+  const response = await fetch(SOURCE_URL);
+  if (!response.ok) throw new Error(`HTTP ${response.status} from ${SOURCE_URL}`);
+  return new Uint8Array(await response.arrayBuffer());
+};
+
+const files = unzipSync(await loadArchive(argv[2]));
+const collection = await read(entryEndingWith(files, '.shp'), entryEndingWith(files, '.dbf'), { encoding: 'utf-8' });
+
+const features = collection.features.filter(isTown).map(feature => ({
+  type: 'Feature',
+  properties: { NAME: feature.properties.NAME, GEOID: feature.properties.GEOID },
+  geometry: { type: feature.geometry.type, coordinates: roundCoordinates(feature.geometry.coordinates) }
+}));
+
+writeFileSync(OUTPUT, JSON.stringify({ type: 'FeatureCollection', features }));
+console.log(`Wrote ${features.length} town boundaries to public/ma_towns.geojson`);
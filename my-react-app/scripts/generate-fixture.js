@@ -0,0 +1,81 @@
+// Writes fixtures/synthetic_351_towns.csv: one made-up row per Massachusetts municipality (351),
+// with the same columns as combined_data.csv plus the two optional health measures. Values come
+// from the resampling engine's seeded generator, so the file is identical on every run. Upload it
+// in the dashboard to check that every view stays responsive at full state scale. It sits outside
+// public/ so it isn't shipped with the build.
+//
+//   npm run fixture
+
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { createRng } from '../src/resampling.js';
+
+const TOWNS = 351;
+const SEED = 351;
+
+const rng = createRng(SEED);
+const uniform = (min, max) => min + rng() * (max - min);
+// Box-Muller
+const normal = (mean, sd) => mean + sd * Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const round = (value, digits) => Number(value.toFixed(digits));
+
+// Municipal populations are heavily skewed: a few cities, many small towns
+const population = () => Math.round(clamp(Math.exp(normal(9.4, 1.1)), 300, 650000));
+
+// Roughly a fifth of towns leave any one category unfunded
+const categoryDollars = (pop, share) => (rng() < 0.2 ? 0 : Math.round(pop * share * uniform(5, 120)));
+
+const acreage = (dollars) => (dollars === 0 || rng() < 0.5 ? 0 : round(dollars / uniform(20000, 400000), 2));
+
+const rows = Array.from({ length: TOWNS }, (_, i) => {
+  const pop = population();
+  const CPA_HOUS = categoryDollars(pop, 0.35);
+  const CPA_OS = categoryDollars(pop, 0.3);
+  const CPA_REC = categoryDollars(pop, 0.2);
+  const CPA_HIST = categoryDollars(pop, 0.15);
+  const CPA_TOT = CPA_HOUS + CPA_OS + CPA_REC + CPA_HIST;
+  const HOUSACRES = acreage(CPA_HOUS);
+  const OSACRES = acreage(CPA_OS);
+  const RECACRES = acreage(CPA_REC);
+  const HISTACRES = acreage(CPA_HIST);
+  const TOTACRES = round(HOUSACRES + OSACRES + RECACRES + HISTACRES, 2);
+  const prop = (acres) => (TOTACRES > 0 ? round(acres / TOTACRES, 4) : 0);
+
+  // A shared "deprivation" factor ties the health measures together, and per-capita open space
+  // and recreation funding nudge them down slightly so the correlations aren't pure noise
+  const perCapitaOutdoor = (CPA_OS + CPA_REC) / pop;
+  const risk = normal(0, 1) - 0.01 * perCapitaOutdoor;
+  const prevalence = (base, spread) => round(clamp(base + spread * (risk + normal(0, 0.6)), 1, 60), 2);
+
+  return {
+    TOWN: `Synthetic Town ${String(i + 1).padStart(3, '0')}`,
+    TOTACRES,
+    HISTACRES,
+    RECACRES,
+    HOUSACRES,
+    OSACRES,
+    CPA_HOUS,
+    CPA_OS,
+    CPA_REC,
+    CPA_HIST,
+    CPA_TOT,
+    HISTACRES_PROP: prop(HISTACRES),
+    RECACRES_PROP: prop(RECACRES),
+    HOUSACRES_PROP: prop(HOUSACRES),
+    OSACRES_PROP: prop(OSACRES),
+    population_count: pop,
+    MHLTH_CrudePrev: prevalence(14, 2.5),
+    LPA_CrudePrev: prevalence(22, 5),
+    PHLTH_CrudePrev: prevalence(10, 2),
+    OBESITY_CrudePrev: prevalence(27, 4),
+    DIABETES_CrudePrev: prevalence(9, 1.8)
+  };
+});
+
+const columns = Object.keys(rows[0]);
+const csv = [columns.join(','), ...rows.map(row => columns.map(c => row[c]).join(','))].join('\n');
+
+const dir = new URL('../fixtures/', import.meta.url);
+mkdirSync(dir, { recursive: true });
+writeFileSync(new URL('synthetic_351_towns.csv', dir), `${csv}\n`);
+console.log(`Wrote ${rows.length} towns to fixtures/synthetic_351_towns.csv`);
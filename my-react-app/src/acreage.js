@@ -0,0 +1,46 @@
+import { correlationTest, isFiniteNumber, median } from './stats';
+import { fundingValue } from './normalization';
+
+// Land preserved with CPA money: the TOTACRES / *ACRES / *_PROP columns, next to the dollars.
+
+export const hasAcreage = (rows) => rows.some(d => isFiniteNumber(d.TOTACRES));
+
+// Towns with any preserved acreage, largest total first
+export const townsWithAcreage = (rows) => rows
+  .filter(d => isFiniteNumber(d.TOTACRES) && d.TOTACRES > 0)
+  .sort((a, b) => b.TOTACRES - a.TOTACRES);
+
+// What a preserved acre cost in each category. Only towns that recorded acreage in a category
+// count towards it, since dollars spent without land (most housing grants) would inflate the rate.
+// pooled is total dollars over total acres; median is the typical town's own rate.
+export const dollarsPerAcre = (rows, acreageMetrics) => acreageMetrics.map(metric => {
+  const withLand = rows.filter(d => isFiniteNumber(d[metric.key]) && d[metric.key] > 0 && isFiniteNumber(d[metric.dollarsKey]));
+  const acres = withLand.reduce((sum, d) => sum + d[metric.key], 0);
+  const dollars = withLand.reduce((sum, d) => sum + d[metric.dollarsKey], 0);
+  return {
+    metric,
+    towns: withLand.length,
+    acres,
+    dollars,
+    pooled: acres > 0 ? dollars / acres : null,
+    median: withLand.length ? median(withLand.map(d => d[metric.dollarsKey] / d[metric.key])) : null
+  };
+});
+
+// For each health measure and category, the correlation with money (in the funding normalization)
+// beside the correlation with land (in the acreage mode). stronger is whichever has the larger
+// |r|, or null when either has no p-value (fewer than 3 towns, or r undefined).
+export const landVersusMoney = (rows, healthMetrics, acreageMetrics, { normalization, acreageMode, method }) =>
+  healthMetrics.flatMap(health => acreageMetrics.map(metric => {
+    const y = rows.map(d => d[health.key]);
+    const money = correlationTest(rows.map(d => fundingValue(d, metric.dollarsKey, normalization)), y, { method });
+    const land = correlationTest(rows.map(d => fundingValue(d, metric.key, acreageMode)), y, { method });
+    const comparable = Number.isFinite(money.pValue) && Number.isFinite(land.pValue) && Math.abs(money.r) !== Math.abs(land.r);
+    return {
+      health,
+      metric,
+      money,
+      land,
+      stronger: comparable ? (Math.abs(land.r) > Math.abs(money.r) ? 'land' : 'money') : null
+    };
+  }));
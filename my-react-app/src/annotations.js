@@ -0,0 +1,128 @@
+import { getLocale } from './i18n';
+
+// Analyst notes attached to a town, a heatmap cell (health x funding) or a scatter point (one town
+// in one health x funding chart). They live in localStorage and travel between people as JSON.
+// Notes refer to column keys and town names rather than positions, so they survive filters,
+// normalization changes and reloading the same dataset.
+
+export const ANNOTATION_STORAGE_KEY = 'cpa-health-annotations';
+const FILE_FORMAT = 'cpa-health-annotations';
+const FILE_VERSION = 1;
+
+export const ANNOTATION_TYPES = ['town', 'cell', 'point'];
+
+export const townTarget = (town) => ({ type: 'town', town });
+export const cellTarget = (health, funding) => ({ type: 'cell', health, funding });
+export const pointTarget = (town, health, funding) => ({ type: 'point', town, health, funding });
+
+export const targetKey = (target) => {
+  if (target.type === 'town') return `town:${target.town}`;
+  if (target.type === 'cell') return `cell:${target.health}|${target.funding}`;
+  return `point:${target.town}|${target.health}|${target.funding}`;
+};
+
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+const isTarget = (target) => Boolean(target) && ANNOTATION_TYPES.includes(target.type) && (
+  target.type === 'cell'
+    ? isText(target.health) && isText(target.funding)
+    : isText(target.town) && (target.type === 'town' || (isText(target.health) && isText(target.funding)))
+);
+
+// Only the fields each target type uses, so keys and exports stay tidy
+const cleanTarget = ({ type, town, health, funding }) => {
+  if (type === 'town') return townTarget(town);
+  if (type === 'cell') return cellTarget(health, funding);
+  return pointTarget(town, health, funding);
+};
+
+const isAnnotation = (note) => Boolean(note) && isText(note.id) && isText(note.text) && isTarget(note.target);
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const loadAnnotations = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(ANNOTATION_STORAGE_KEY));
+    return Array.isArray(stored) ? stored.filter(isAnnotation) : [];
+  } catch {
+    return [];
+  }
+};
+
+export const storeAnnotations = (notes) => {
+  try {
+    window.localStorage.setItem(ANNOTATION_STORAGE_KEY, JSON.stringify(notes));
+  } catch (error) {
+    // Private browsing or a full quota: notes still work for this session, and can be exported
+    console.error('Could not save notes:', error);
+  }
+};
+
+export const addAnnotation = (notes, target, text) => [
+  ...notes,
+  { id: newId(), target: cleanTarget(target), text: text.trim(), createdAt: new Date().toISOString() }
+];
+
+export const removeAnnotation = (notes, id) => notes.filter(note => note.id !== id);
+
+// targetKey -> notes on that target, oldest first
+export const indexAnnotations = (notes) => {
+  const index = new Map();
+  notes.forEach(note => {
+    const key = targetKey(note.target);
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(note);
+  });
+  return index;
+};
+
+export const annotationsToJson = (notes) => JSON.stringify({
+  format: FILE_FORMAT,
+  version: FILE_VERSION,
+  exportedAt: new Date().toISOString(),
+  annotations: notes
+}, null, 2);
+
+// Accepts an exported file or a bare array of notes. Entries that aren't notes are skipped and
+// counted. A file that isn't JSON, or has no list of notes, gives no notes and an error naming an
+// annotations.importErrors message.
+export const parseAnnotationsJson = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return { notes: [], skipped: 0, error: 'notJson' };
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.annotations;
+  if (!Array.isArray(list)) return { notes: [], skipped: 0, error: 'noList' };
+  const notes = list.filter(isAnnotation).map(note => ({
+    id: note.id,
+    target: cleanTarget(note.target),
+    text: note.text.trim(),
+    createdAt: typeof note.createdAt === 'string' ? note.createdAt : new Date().toISOString()
+  }));
+  return { notes, skipped: list.length - notes.length, error: null };
+};
+
+// Imported notes are added unless the same note (by id, or same target and text) is already here
+export const mergeAnnotations = (current, imported) => {
+  const ids = new Set(current.map(note => note.id));
+  const contents = new Set(current.map(note => `${targetKey(note.target)}\n${note.text}`));
+  const added = imported.filter(note => !ids.has(note.id) && !contents.has(`${targetKey(note.target)}\n${note.text}`));
+  return { notes: [...current, ...added], added: added.length };
+};
+
+// Human-readable target, using metric labels where the keys are known
+export const describeTarget = (target, healthMetrics, fundingMetrics) => {
+  const label = (metrics, key) => (metrics.find(m => m.key === key) || { label: key }).label;
+  if (target.type === 'town') return target.town;
+  const pair = `${label(healthMetrics, target.health)} × ${label(fundingMetrics, target.funding)}`;
+  return target.type === 'cell' ? pair : `${target.town} · ${pair}`;
+};
+
+export const formatNoteDate = (iso) => {
+  const date = new Date(iso);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString(getLocale());
+};
+
+export const joinNotes = (notes = []) => notes.map(note => note.text).join(' | ');
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import {
+  townTarget,
+  cellTarget,
+  pointTarget,
+  addAnnotation,
+  indexAnnotations,
+  annotationsToJson,
+  parseAnnotationsJson,
+  mergeAnnotations
+} from './annotations';
+
+const notes = [
+  { id: 'a', target: townTarget('Boston'), text: 'Large CPA budget', createdAt: '2024-01-02T00:00:00.000Z' },
+  { id: 'b', target: cellTarget('MHLTH_CrudePrev', 'CPA_OS'), text: 'Driven by one town', createdAt: '2024-01-03T00:00:00.000Z' },
+  { id: 'c', target: pointTarget('Salem', 'MHLTH_CrudePrev', 'CPA_OS'), text: 'Check the 2019 data', createdAt: '2024-01-04T00:00:00.000Z' }
+];
+
+describe('parseAnnotationsJson', () => {
+  it('reads back an exported file', () => {
+    expect(parseAnnotationsJson(annotationsToJson(notes))).toEqual({ notes, skipped: 0, error: null });
+  });
+
+  it('accepts a bare array and tidies each note', () => {
+    const { notes: parsed } = parseAnnotationsJson(JSON.stringify([
+      { id: 'x', target: { type: 'town', town: 'Boston', health: 'MHLTH_CrudePrev' }, text: '  padded  ' }
+    ]));
+    expect(parsed).toHaveLength(1);
+    expect(parsed[0].target).toEqual({ type: 'town', town: 'Boston' });
+    expect(parsed[0].text).toBe('padded');
+    expect(typeof parsed[0].createdAt).toBe('string');
+  });
+
+  it('skips and counts entries that are not notes', () => {
+    const result = parseAnnotationsJson(JSON.stringify({
+      annotations: [
+        notes[0],
+        { id: 'no-text', target: townTarget('Boston'), text: ' ' },
+        { id: 'bad-type', target: { type: 'region', town: 'Boston' }, text: 'Note' },
+        { id: 'half-cell', target: { type: 'cell', health: 'MHLTH_CrudePrev' }, text: 'Note' },
+        { target: townTarget('Boston'), text: 'No id' },
+        null
+      ]
+    }));
+    expect(result.notes.map(note => note.id)).toEqual(['a']);
+    expect(result.skipped).toBe(5);
+  });
+
+  it('names the problem with files it cannot read', () => {
+    expect(parseAnnotationsJson('not json')).toEqual({ notes: [], skipped: 0, error: 'notJson' });
+    expect(parseAnnotationsJson('{"notes": []}')).toEqual({ notes: [], skipped: 0, error: 'noList' });
+    expect(parseAnnotationsJson('null').error).toBe('noList');
+  });
+});
+
+describe('mergeAnnotations', () => {
+  it('adds new notes after the current ones', () => {
+    const { notes: merged, added } = mergeAnnotations(notes.slice(0, 1), notes.slice(1));
+    expect(merged).toEqual(notes);
+    expect(added).toBe(2);
+  });
+
+  it('skips notes with a known id, or the same target and text', () => {
+    const copy = { ...notes[1], id: 'other-id' };
+    const changed = { ...notes[2], id: 'd', text: 'Different text' };
+    const { notes: merged, added } = mergeAnnotations(notes, [notes[0], copy, changed]);
+    expect(added).toBe(1);
+    expect(merged.map(note => note.id)).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  it('imports the same file twice without duplicates', () => {
+    const { notes: imported } = parseAnnotationsJson(annotationsToJson(notes));
+    expect(mergeAnnotations(notes, imported)).toEqual({ notes, added: 0 });
+  });
+});
+
+describe('addAnnotation', () => {
+  it('stores a trimmed note indexed by its target', () => {
+    const added = addAnnotation([], { ...townTarget('Boston'), health: 'ignored' }, ' New note ');
+    expect(added[0].target).toEqual(townTarget('Boston'));
+    expect(added[0].text).toBe('New note');
+    expect(indexAnnotations([...notes, ...added]).get('town:Boston').map(note => note.text)).toEqual(['Large CPA budget', 'New note']);
+  });
+});
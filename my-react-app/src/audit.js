@@ -0,0 +1,156 @@
+import { YEAR_COLUMN } from './dataSchema';
+import { ACREAGE_METRICS } from './metrics';
+import { isFiniteNumber } from './stats';
+import { getLocale, t } from './i18n';
+
+// Consistency rules run over every loaded row. Validation (dataSchema.js) already rejects rows
+// that can't be analysed at all; these rules flag rows that load but look wrong.
+// Each violation: { row, town, year, rule, severity, column, message, values }, where message names
+// an audit.messages entry and values fill it in; describeViolation turns the two into text.
+
+export const SEVERITIES = ['error', 'warning'];
+
+const sumOf = (row, keys) => keys.reduce((sum, key) => sum + (isFiniteNumber(row[key]) ? row[key] : 0), 0);
+
+// Within half a percent (or a dollar / a hundredth of an acre) counts as equal
+const roughlyEqual = (a, b, floor) => Math.abs(a - b) <= Math.max(floor, 0.005 * Math.abs(b));
+
+const formatValue = (value) => (isFiniteNumber(value) ? value.toLocaleString(getLocale(), { maximumFractionDigits: 4 }) : String(value));
+
+export const AUDIT_RULES = [
+  {
+    id: 'cpa-total',
+    severity: 'warning',
+    check: (row, { fundingKeys }) => {
+      if (!isFiniteNumber(row.CPA_TOT)) return [];
+      const total = sumOf(row, fundingKeys);
+      if (roughlyEqual(total, row.CPA_TOT, 1)) return [];
+      return [{
+        column: 'CPA_TOT',
+        message: 'cpaTotal',
+        values: { total: row.CPA_TOT, columns: fundingKeys.join(' + '), sum: total, difference: row.CPA_TOT - total }
+      }];
+    }
+  },
+  {
+    id: 'non-negative',
+    severity: 'error',
+    check: (row, { fundingKeys }) => [
+      ...fundingKeys, 'CPA_TOT', 'population_count', 'TOTACRES', ...ACREAGE_METRICS.map(m => m.key)
+    ]
+      .filter(key => isFiniteNumber(row[key]) && row[key] < 0)
+      .map(key => ({ column: key, message: 'negative', values: { column: key, value: row[key] } }))
+  },
+  {
+    id: 'prevalence-range',
+    severity: 'error',
+    check: (row, { healthMetrics }) => healthMetrics
+      .filter(m => m.unit === '%' && isFiniteNumber(row[m.key]) && (row[m.key] < 0 || row[m.key] > 100))
+      .map(m => ({ column: m.key, message: 'prevalenceRange', values: { column: m.key, value: row[m.key] } }))
+  },
+  {
+    id: 'duplicate-town',
+    severity: 'error',
+    check: (row, { duplicates }) => {
+      const others = duplicates.get(row._row);
+      if (!others) return [];
+      const year = row[YEAR_COLUMN];
+      return [{
+        column: 'TOWN',
+        message: year !== undefined ? 'duplicateTownYear' : 'duplicateTown',
+        values: { town: row.TOWN, year: String(year), rows: others.join(', ') }
+      }];
+    }
+  },
+  {
+    id: 'acreage-total',
+    severity: 'warning',
+    check: (row) => {
+      if (!isFiniteNumber(row.TOTACRES)) return [];
+      const keys = ACREAGE_METRICS.map(m => m.key);
+      const total = sumOf(row, keys);
+      if (row.TOTACRES > 0 && total === 0) {
+        return [{ column: 'TOTACRES', message: 'acreageZero', values: { total: row.TOTACRES } }];
+      }
+      if (roughlyEqual(total, row.TOTACRES, 0.01)) return [];
+      return [{ column: 'TOTACRES', message: 'acreageTotal', values: { total: row.TOTACRES, columns: keys.join(' + '), sum: total } }];
+    }
+  },
+  {
+    id: 'acreage-proportions',
+    severity: 'warning',
+    check: (row) => {
+      const present = ACREAGE_METRICS.filter(m => isFiniteNumber(row[m.propKey]));
+      if (present.length === 0) return [];
+      const violations = present
+        .filter(m => row[m.propKey] < 0 || row[m.propKey] > 1)
+        .map(m => ({ column: m.propKey, message: 'proportionRange', values: { column: m.propKey, value: row[m.propKey] } }));
+      if (isFiniteNumber(row.TOTACRES) && row.TOTACRES > 0) {
+        present
+          .filter(m => isFiniteNumber(row[m.key]) && Math.abs(row[m.propKey] - row[m.key] / row.TOTACRES) > 0.01)
+          .forEach(m => violations.push({
+            column: m.propKey,
+            message: 'proportionMismatch',
+            values: { column: m.propKey, value: row[m.propKey], acres: m.key, expected: row[m.key] / row.TOTACRES }
+          }));
+        const total = sumOf(row, present.map(m => m.propKey));
+        const acres = sumOf(row, ACREAGE_METRICS.map(m => m.key));
+        // Only expect the shares to reach 1 when the category acreages account for the total
+        if (roughlyEqual(acres, row.TOTACRES, 0.01) && Math.abs(total - 1) > 0.01) {
+          violations.push({ column: 'TOTACRES', message: 'proportionSum', values: { sum: total } });
+        }
+      }
+      return violations;
+    }
+  }
+];
+
+// Row numbers sharing a TOWN (and YEAR, when present), keyed by row number
+const findDuplicates = (rows) => {
+  const byKey = new Map();
+  rows.forEach(row => {
+    const key = `${row.TOWN}|${row[YEAR_COLUMN] ?? ''}`;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(row._row);
+  });
+  const duplicates = new Map();
+  byKey.forEach(rowNumbers => {
+    if (rowNumbers.length < 2) return;
+    rowNumbers.forEach(n => duplicates.set(n, rowNumbers.filter(other => other !== n)));
+  });
+  return duplicates;
+};
+
+export const auditRows = (rows, { healthMetrics, fundingMetrics }) => {
+  const context = {
+    healthMetrics,
+    fundingKeys: fundingMetrics.map(m => m.key),
+    duplicates: findDuplicates(rows)
+  };
+  const violations = [];
+  rows.forEach(row => {
+    AUDIT_RULES.forEach(rule => {
+      rule.check(row, context).forEach(v => violations.push({
+        row: row._row,
+        town: row.TOWN,
+        year: row[YEAR_COLUMN] ?? null,
+        rule: rule.id,
+        severity: rule.severity,
+        ...v
+      }));
+    });
+  });
+  return violations.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || a.row - b.row);
+};
+
+// Rule labels live in the catalogs as audit.rules.<id>
+export const ruleLabel = (rule) => t(`audit.rules.${rule.id}`);
+
+// Numbers are formatted when the violation is shown, so they follow the current language
+export const describeViolation = (violation) => t(`audit.messages.${violation.message}`, Object.fromEntries(
+  Object.entries(violation.values).map(([name, value]) => [name, formatValue(value)])
+));
+
+// Row numbers with at least one violation at one of the given severities
+export const flaggedRows = (violations, severities) =>
+  [...new Set(violations.filter(v => severities.includes(v.severity)).map(v => v.row))];
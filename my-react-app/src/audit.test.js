@@ -0,0 +1,146 @@
+import { describe, it, expect } from 'vitest';
+import { auditRows, describeViolation, flaggedRows } from './audit';
+
+const healthMetrics = [{ key: 'MHLTH_CrudePrev', unit: '%' }];
+const fundingMetrics = ['CPA_HOUS', 'CPA_OS', 'CPA_REC', 'CPA_HIST'].map(key => ({ key }));
+
+// Passes every rule: funding adds up to CPA_TOT, acreages to TOTACRES, shares to 1
+const clean = {
+  _row: 2,
+  TOWN: 'Boston',
+  CPA_HOUS: 100,
+  CPA_OS: 200,
+  CPA_REC: 50,
+  CPA_HIST: 50,
+  CPA_TOT: 400,
+  population_count: 1000,
+  MHLTH_CrudePrev: 12,
+  TOTACRES: 10,
+  HOUSACRES: 1,
+  OSACRES: 6,
+  RECACRES: 2,
+  HISTACRES: 1,
+  HOUSACRES_PROP: 0.1,
+  OSACRES_PROP: 0.6,
+  RECACRES_PROP: 0.2,
+  HISTACRES_PROP: 0.1
+};
+
+const audit = (rows) => auditRows(rows, { healthMetrics, fundingMetrics });
+const violationsOf = (rule, rows) => audit(rows).filter(v => v.rule === rule);
+
+describe('auditRows', () => {
+  it('finds nothing wrong with a consistent row', () => {
+    expect(audit([clean])).toEqual([]);
+  });
+
+  it('sorts errors before warnings', () => {
+    const violations = audit([{ ...clean, CPA_TOT: 900 }, { ...clean, _row: 3, TOWN: 'Salem', MHLTH_CrudePrev: 120 }]);
+    expect(violations.map(v => v.severity)).toEqual(['error', 'warning']);
+    expect(flaggedRows(violations, ['error'])).toEqual([3]);
+    expect(flaggedRows(violations, ['error', 'warning'])).toEqual([3, 2]);
+  });
+});
+
+describe('cpa-total', () => {
+  it('allows half a percent of rounding', () => {
+    expect(violationsOf('cpa-total', [{ ...clean, CPA_TOT: 401 }])).toEqual([]);
+  });
+
+  it('flags a total that the components do not add up to', () => {
+    const [violation] = violationsOf('cpa-total', [{ ...clean, CPA_TOT: 500 }]);
+    expect(violation).toMatchObject({ row: 2, town: 'Boston', severity: 'warning', column: 'CPA_TOT', message: 'cpaTotal' });
+    expect(violation.values).toMatchObject({ total: 500, sum: 400, difference: 100 });
+    expect(describeViolation(violation)).toBe('CPA_TOT is 500 but CPA_HOUS + CPA_OS + CPA_REC + CPA_HIST = 400 (off by 100)');
+  });
+});
+
+describe('non-negative', () => {
+  it('allows zero', () => {
+    expect(violationsOf('non-negative', [{ ...clean, CPA_HIST: 0, CPA_TOT: 350 }])).toEqual([]);
+  });
+
+  it('flags negative amounts', () => {
+    expect(violationsOf('non-negative', [{ ...clean, OSACRES: -1 }])).toMatchObject([
+      { severity: 'error', column: 'OSACRES', message: 'negative', values: { value: -1 } }
+    ]);
+  });
+});
+
+describe('prevalence-range', () => {
+  it('allows 0 to 100', () => {
+    expect(violationsOf('prevalence-range', [{ ...clean, MHLTH_CrudePrev: 100 }])).toEqual([]);
+  });
+
+  it('flags values outside 0 to 100', () => {
+    expect(violationsOf('prevalence-range', [{ ...clean, MHLTH_CrudePrev: 120 }])).toMatchObject([
+      { severity: 'error', column: 'MHLTH_CrudePrev', message: 'prevalenceRange' }
+    ]);
+  });
+});
+
+describe('duplicate-town', () => {
+  it('allows the same town in different years', () => {
+    expect(violationsOf('duplicate-town', [{ ...clean, YEAR: 2020 }, { ...clean, _row: 3, YEAR: 2021 }])).toEqual([]);
+  });
+
+  it('flags the same town and year on both rows', () => {
+    const violations = violationsOf('duplicate-town', [
+      { ...clean, YEAR: 2020 },
+      { ...clean, _row: 3, TOWN: 'Salem', YEAR: 2020 },
+      { ...clean, _row: 4, YEAR: 2020 }
+    ]);
+    expect(violations).toMatchObject([
+      { row: 2, message: 'duplicateTownYear', values: { town: 'Boston', year: '2020', rows: '4' } },
+      { row: 4, message: 'duplicateTownYear', values: { rows: '2' } }
+    ]);
+  });
+
+  it('flags a repeated town when there is no year column', () => {
+    expect(violationsOf('duplicate-town', [clean, { ...clean, _row: 3 }]).map(v => v.message)).toEqual(['duplicateTown', 'duplicateTown']);
+  });
+});
+
+describe('acreage-total', () => {
+  it('allows a hundredth of an acre', () => {
+    expect(violationsOf('acreage-total', [{ ...clean, TOTACRES: 10.01 }])).toEqual([]);
+  });
+
+  it('flags categories that do not add up to the total', () => {
+    expect(violationsOf('acreage-total', [{ ...clean, TOTACRES: 20 }])).toMatchObject([
+      { severity: 'warning', message: 'acreageTotal', values: { total: 20, sum: 10 } }
+    ]);
+  });
+
+  it('flags a total with every category at zero', () => {
+    const row = { ...clean, HOUSACRES: 0, OSACRES: 0, RECACRES: 0, HISTACRES: 0 };
+    expect(violationsOf('acreage-total', [row]).map(v => v.message)).toEqual(['acreageZero']);
+  });
+});
+
+describe('acreage-proportions', () => {
+  it('allows shares that match the acreages', () => {
+    expect(violationsOf('acreage-proportions', [{ ...clean, OSACRES_PROP: 0.605, HISTACRES_PROP: 0.095 }])).toEqual([]);
+  });
+
+  it('flags shares outside 0 to 1', () => {
+    const row = { ...clean, TOTACRES: null, OSACRES_PROP: 1.5 };
+    expect(violationsOf('acreage-proportions', [row])).toMatchObject([
+      { column: 'OSACRES_PROP', message: 'proportionRange', values: { value: 1.5 } }
+    ]);
+  });
+
+  it('flags a share that does not match its acreage', () => {
+    const [violation] = violationsOf('acreage-proportions', [{ ...clean, OSACRES_PROP: 0.5, RECACRES_PROP: 0.3 }]);
+    expect(violation).toMatchObject({ column: 'OSACRES_PROP', message: 'proportionMismatch', values: { acres: 'OSACRES', expected: 0.6 } });
+  });
+
+  it('flags shares that do not sum to 1 when the acreages cover the total', () => {
+    // No HISTACRES to check HISTACRES_PROP against, so only the sum is off
+    const row = { ...clean, TOTACRES: 9, HISTACRES: undefined, HOUSACRES_PROP: 1 / 9, OSACRES_PROP: 6 / 9, RECACRES_PROP: 2 / 9 };
+    expect(violationsOf('acreage-proportions', [row])).toMatchObject([
+      { column: 'TOTACRES', message: 'proportionSum' }
+    ]);
+    expect(violationsOf('acreage-proportions', [{ ...row, TOTACRES: 12 }]).map(v => v.message)).not.toContain('proportionSum');
+  });
+});
@@ -0,0 +1,351 @@
+import React, { memo, useMemo, useState } from 'react';
+import { BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import ExportMenu from './ExportMenu';
+import ChartTable from './ChartTable';
+import CorrelationHeatmap from './CorrelationHeatmap';
+import ScatterPlotGrid from './ScatterPlotGrid';
+import { acreageModes, getNormalization, formatFunding } from '../normalization';
+import { localizeAcreageMetrics, withPalette } from '../metrics';
+import { hasAcreage, townsWithAcreage, dollarsPerAcre, landVersusMoney } from '../acreage';
+import { buildCorrelationMatrix } from '../correlationMatrix';
+import { formatCurrency, formatNumber, formatR, formatCI } from '../format';
+import { divergingColorName } from '../palettes';
+import { TOWN_ROW_HEIGHT } from '../townLayout';
+import { t } from '../i18n';
+
+// Acreage pairs are never sent to the resampling worker
+const NO_RESAMPLING = {};
+
+const TOWN_LABEL_WIDTH = 150;
+
+const AcreageModeToggle = ({ value, onChange }) => (
+  <div className="flex flex-wrap items-center gap-2 text-sm">
+    <span className="text-slate-600 font-medium">{t('acreage.measuredAs')}</span>
+    {acreageModes.map(({ key }) => getNormalization(key)).map(mode => (
+      <button
+        key={mode.key}
+        type="button"
+        aria-pressed={value === mode.key}
+        onClick={() => onChange(mode.key)}
+        title={mode.title}
+        className={`px-3 py-1 rounded-lg font-medium transition-colors ${
+          value === mode.key
+            ? 'bg-violet-600 text-white'
+            : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
+        }`}
+      >
+        {mode.label}
+      </button>
+    ))}
+  </div>
+);
+
+// Stacked acres (or each category's share of the town's acreage) as horizontal bars, largest
+// total first, so it reads the same for five towns or three hundred
+const CompositionCard = ({ data, acreageMetrics }) => {
+  const [shares, setShares] = useState(false);
+  const towns = townsWithAcreage(data);
+  const series = acreageMetrics.map(m => ({ ...m, dataKey: shares ? `${m.key}_SHARE` : m.key }));
+  const columns = ['TOWN', 'TOTACRES', ...acreageMetrics.flatMap(m => [m.key, m.propKey])];
+  const format = (value) => (shares ? formatFunding(value, 'acreShare') : formatFunding(value, 'acres'));
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 break-inside-avoid" data-export-card>
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h3 className="text-xl font-bold text-slate-800">{t('acreage.compositionTitle')}</h3>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          {[false, true].map(option => (
+            <button
+              key={String(option)}
+              type="button"
+              aria-pressed={shares === option}
+              onClick={() => setShares(option)}
+              className={`px-3 py-1 rounded-lg font-medium transition-colors ${
+                shares === option
+                  ? 'bg-violet-600 text-white'
+                  : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
+              }`}
+            >
+              {t(option ? 'acreage.compositionShare' : 'acreage.compositionAcres')}
+            </button>
+          ))}
+          <ExportMenu name="acreage-by-town" getCsv={() => ({ rows: towns, columns })} />
+        </div>
+      </div>
+      <p className="text-xs text-slate-500 mb-2">{t('acreage.compositionNote')}</p>
+      <div className="max-h-[32rem] overflow-y-auto">
+        <ResponsiveContainer width="100%" height={towns.length * TOWN_ROW_HEIGHT + 80}>
+          <BarChart data={towns} layout="vertical" margin={{ top: 5, right: 30, left: 10, bottom: 25 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+            <XAxis
+              type="number"
+              domain={shares ? [0, 100] : [0, 'auto']}
+              label={{ value: t(shares ? 'acreage.compositionAxisShare' : 'acreage.compositionAxisAcres'), position: 'insideBottom', offset: -15 }}
+            />
+            <YAxis type="category" dataKey="TOWN" width={TOWN_LABEL_WIDTH} interval={0} tick={{ fontSize: 11 }} />
+            <Tooltip formatter={format} />
+            <Legend verticalAlign="top" />
+            {series.map(m => (
+              <Bar key={m.key} dataKey={m.dataKey} stackId="acres" fill={m.color} name={m.label} isAnimationActive={false} />
+            ))}
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+      <ChartTable caption={t('acreage.compositionCaption')} rows={towns} columns={columns} />
+    </div>
+  );
+};
+
+const CostCard = ({ data, acreageMetrics }) => {
+  const costs = dollarsPerAcre(data, acreageMetrics);
+  const chartRows = costs.map(c => ({ category: c.metric.label, pooled: c.pooled, color: c.metric.color }));
+  const csv = () => ({
+    rows: costs.map(c => ({
+      category: c.metric.key,
+      funding: c.metric.dollarsKey,
+      towns: c.towns,
+      acres: c.acres,
+      dollars: c.dollars,
+      pooled_dollars_per_acre: c.pooled,
+      median_dollars_per_acre: c.median
+    })),
+    columns: ['category', 'funding', 'towns', 'acres', 'dollars', 'pooled_dollars_per_acre', 'median_dollars_per_acre']
+  });
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 break-inside-avoid" data-export-card>
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h3 className="text-xl font-bold text-slate-800">{t('acreage.costTitle')}</h3>
+        <ExportMenu name="dollars-per-acre" getCsv={csv} />
+      </div>
+      <p className="text-sm text-slate-600 mb-4">{t('acreage.costDescription')}</p>
+      <ResponsiveContainer width="100%" height={260}>
+        <BarChart data={chartRows} margin={{ top: 10, right: 30, left: 20, bottom: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+          <XAxis dataKey="category" />
+          <YAxis
+            tickFormatter={(value) => formatCurrency(value, { compact: true })}
+            label={{ value: t('acreage.costAxis'), angle: -90, position: 'insideLeft', style: { fontSize: 12 } }}
+            width={90}
+          />
+          <Tooltip formatter={(value) => formatCurrency(value, { compact: true })} />
+          <Bar dataKey="pooled" name={t('acreage.pooled')} isAnimationActive={false}>
+            {chartRows.map(row => <Cell key={row.category} fill={row.color} />)}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+      <div className="overflow-x-auto mt-4">
+        <table className="w-full text-sm border-collapse">
+          <caption className="sr-only">{t('acreage.costCaption')}</caption>
+          <thead>
+            <tr className="bg-slate-100">
+              <th scope="col" className="border border-slate-200 p-2 text-left">{t('acreage.category')}</th>
+              <th scope="col" className="border border-slate-200 p-2 text-right">{t('acreage.towns')}</th>
+              <th scope="col" className="border border-slate-200 p-2 text-right">{t('acreage.acres')}</th>
+              <th scope="col" className="border border-slate-200 p-2 text-right">{t('acreage.dollars')}</th>
+              <th scope="col" className="border border-slate-200 p-2 text-right">{t('acreage.pooled')}</th>
+              <th scope="col" className="border border-slate-200 p-2 text-right">{t('acreage.median')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {costs.map(c => (
+              <tr key={c.metric.key}>
+                <th scope="row" className="border border-slate-200 p-2 text-left font-medium">{c.metric.icon} {c.metric.label}</th>
+                <td className="border border-slate-200 p-2 text-right font-mono">{formatNumber(c.towns)}</td>
+                <td className="border border-slate-200 p-2 text-right font-mono">{formatNumber(c.acres, { digits: 2 })}</td>
+                <td className="border border-slate-200 p-2 text-right font-mono">{formatCurrency(c.dollars, { compact: true })}</td>
+                <td className="border border-slate-200 p-2 text-right font-mono">{c.pooled === null ? t('format.notAvailable') : formatCurrency(c.pooled, { compact: true })}</td>
+                <td className="border border-slate-200 p-2 text-right font-mono">{c.median === null ? t('format.notAvailable') : formatCurrency(c.median, { compact: true })}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+const ComparisonCard = ({ comparison, normalization, acreageMode, correlationMethod }) => {
+  const land = comparison.filter(c => c.stronger === 'land').length;
+  const money = comparison.filter(c => c.stronger === 'money').length;
+  const cell = (result, bold) => (
+    <td className={`border border-slate-200 p-2 text-right font-mono ${bold ? 'font-bold text-slate-900' : 'text-slate-600'}`}>
+      {formatR(result.r)} <span className="text-xs">{formatCI(result.ci)}</span>
+    </td>
+  );
+  const csv = () => ({
+    rows: comparison.map(c => ({
+      health_metric: c.health.key,
+      funding: c.metric.dollarsKey,
+      acreage: c.metric.key,
+      normalization,
+      acreage_mode: acreageMode,
+      method: correlationMethod,
+      money_r: c.money.r,
+      money_p: c.money.pValue,
+      land_r: c.land.r,
+      land_p: c.land.pValue,
+      closer: c.stronger
+    })),
+    columns: ['health_metric', 'funding', 'acreage', 'normalization', 'acreage_mode', 'method', 'money_r', 'money_p', 'land_r', 'land_p', 'closer']
+  });
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 break-inside-avoid" data-export-card>
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h3 className="text-xl font-bold text-slate-800">{t('acreage.compareTitle')}</h3>
+        <ExportMenu name="land-vs-money" getCsv={csv} />
+      </div>
+      <p className="text-sm text-slate-600 mb-2">
+        {t('acreage.compareDescription', {
+          funding: getNormalization(normalization).label,
+          acreage: getNormalization(acreageMode).label,
+          method: t(`methods.${correlationMethod}`)
+        })}
+      </p>
+      <p className="text-sm font-semibold text-slate-800 mb-4">
+        {t('acreage.compareSummary', { land, money, total: comparison.length })}
+      </p>
+      <div className="overflow-x-auto max-h-96 overflow-y-auto">
+        <table className="w-full text-sm border-collapse">
+          <thead>
+            <tr className="bg-slate-100">
+              <th scope="col" className="border border-slate-200 p-2 text-left">{t('acreage.health')}</th>
+              <th scope="col" className="border border-slate-200 p-2 text-left">{t('acreage.category')}</th>
+              <th scope="col" className="border border-slate-200 p-2 text-right">{t('acreage.money')}</th>
+              <th scope="col" className="border border-slate-200 p-2 text-right">{t('acreage.land')}</th>
+              <th scope="col" className="border border-slate-200 p-2 text-left">{t('acreage.stronger')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {comparison.map(c => (
+              <tr key={`${c.health.key}|${c.metric.key}`}>
+                <td className="border border-slate-200 p-2">{c.health.icon} {c.health.label}</td>
+                <td className="border border-slate-200 p-2">{c.metric.icon} {c.metric.label}</td>
+                {cell(c.money, c.stronger === 'money')}
+                {cell(c.land, c.stronger === 'land')}
+                <td className="border border-slate-200 p-2">
+                  {c.stronger ? t(c.stronger === 'land' ? 'acreage.strongerLand' : 'acreage.strongerMoney') : t('format.notAvailable')}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// Preserved land next to the dollars: composition by town, cost per acre, and the same heatmap and
+// scatter plots as funding with the acreage categories in place of the funding categories
+const AcreageView = ({
+  language,
+  data,
+  healthMetrics,
+  normalization,
+  acreageMode,
+  onAcreageModeChange,
+  correlationMethod,
+  onCorrelationMethodChange,
+  palette,
+  sensitivityThreshold,
+  onSensitivityThresholdChange,
+  logScale,
+  onLogScaleChange,
+  townColors,
+  townShapes
+}) => {
+  const [sensitivityPair, setSensitivityPair] = useState(null);
+  const [scatterHealth, setScatterHealth] = useState(healthMetrics[0]?.key ?? null);
+  const [scatterFunding, setScatterFunding] = useState(null);
+
+  const localized = localizeAcreageMetrics();
+  const acreageMetrics = useMemo(() => withPalette(localized, palette), [localized, palette]);
+  const available = hasAcreage(data);
+
+  // Same leave-one-out matrix as the funding heatmap; it only needs the category keys
+  const matrix = useMemo(() => (available
+    ? buildCorrelationMatrix(data, healthMetrics, acreageMetrics, {
+      normalization: acreageMode,
+      method: correlationMethod,
+      threshold: sensitivityThreshold
+    })
+    : null), [available, data, healthMetrics, acreageMetrics, acreageMode, correlationMethod, sensitivityThreshold]);
+  const comparison = useMemo(() => (available
+    ? landVersusMoney(data, healthMetrics, acreageMetrics, { normalization, acreageMode, method: correlationMethod })
+    : []), [available, data, healthMetrics, acreageMetrics, normalization, acreageMode, correlationMethod]);
+
+  if (!available) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <p className="text-slate-600">{t('acreage.noData')}</p>
+      </div>
+    );
+  }
+
+  const mode = getNormalization(acreageMode);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-xl font-bold text-slate-800 mb-2">{t('acreage.title')}</h3>
+        <p className="text-sm text-slate-600 mb-4">
+          {t('acreage.intro', { count: townsWithAcreage(data).length, total: data.length })}
+        </p>
+        <AcreageModeToggle value={acreageMode} onChange={onAcreageModeChange} />
+      </div>
+      <CompositionCard data={data} acreageMetrics={acreageMetrics} />
+      <CostCard data={data} acreageMetrics={acreageMetrics} />
+      <ComparisonCard
+        comparison={comparison}
+        normalization={normalization}
+        acreageMode={acreageMode}
+        correlationMethod={correlationMethod}
+      />
+      <CorrelationHeatmap
+        language={language}
+        matrix={matrix}
+        healthMetrics={healthMetrics}
+        fundingMetrics={acreageMetrics}
+        normalization={acreageMode}
+        correlationMethod={correlationMethod}
+        onCorrelationMethodChange={onCorrelationMethodChange}
+        palette={palette}
+        sensitivityThreshold={sensitivityThreshold}
+        onSensitivityThresholdChange={onSensitivityThresholdChange}
+        sensitivityPair={sensitivityPair}
+        onSensitivityPairChange={setSensitivityPair}
+        resamplingResults={NO_RESAMPLING}
+        n={data.length}
+        title={t('acreage.heatmapTitle')}
+        svgTitle={t('acreage.heatmapSvgTitle', { mode: mode.label, threshold: sensitivityThreshold })}
+        description={t('acreage.heatmapDescription', {
+          mode: mode.label,
+          positive: divergingColorName(palette, 'positive'),
+          negative: divergingColorName(palette, 'negative')
+        })}
+        exportName="acreage-correlation-heatmap"
+      />
+      <ScatterPlotGrid
+        language={language}
+        data={data}
+        healthMetrics={healthMetrics}
+        fundingMetrics={acreageMetrics}
+        normalization={acreageMode}
+        correlationMethod={correlationMethod}
+        onCorrelationMethodChange={onCorrelationMethodChange}
+        logScale={logScale}
+        onLogScaleChange={onLogScaleChange}
+        scatterHealth={scatterHealth}
+        onScatterHealthChange={setScatterHealth}
+        scatterFunding={scatterFunding}
+        onScatterFundingChange={setScatterFunding}
+        townColors={townColors}
+        townShapes={townShapes}
+        resamplingResults={NO_RESAMPLING}
+      />
+    </div>
+  );
+};
+
+export default memo(AcreageView);
@@ -0,0 +1,111 @@
+import React, { memo, useRef, useState } from 'react';
+import {
+  ANNOTATION_TYPES,
+  annotationsToJson,
+  parseAnnotationsJson,
+  mergeAnnotations,
+  describeTarget,
+  formatNoteDate
+} from '../annotations';
+import { downloadBlob } from '../exporting';
+import { t } from '../i18n';
+
+// Every note in one place, with JSON export and import so notes can be shared or backed up
+const AnnotationsPanel = ({ annotations, healthMetrics, fundingMetrics, onRemove, onImport }) => {
+  const [status, setStatus] = useState(null);
+  const inputRef = useRef(null);
+
+  const exportJson = () => {
+    downloadBlob(new Blob([annotationsToJson(annotations)], { type: 'application/json' }), 'cpa-health-notes.json');
+  };
+
+  const importFile = (file) => {
+    file.text()
+      .then(text => {
+        const { notes, skipped, error } = parseAnnotationsJson(text);
+        if (error) {
+          setStatus({ error: true, message: t('annotations.importError', { file: file.name, error: t(`annotations.importErrors.${error}`) }) });
+          return;
+        }
+        const { added } = mergeAnnotations(annotations, notes);
+        onImport(notes);
+        setStatus({ error: false, message: t('annotations.imported', { added, skipped }) });
+      })
+      .catch(error => setStatus({ error: true, message: t('annotations.importError', { file: file.name, error: error.message }) }));
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 break-inside-avoid">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <h3 className="text-lg font-bold text-slate-800">
+          {t('annotations.title')} <span className="text-sm font-normal text-slate-500">{t('annotations.count', { count: annotations.length })}</span>
+        </h3>
+        <div className="flex gap-2 print:hidden">
+          <button
+            type="button"
+            onClick={exportJson}
+            disabled={annotations.length === 0}
+            className="px-3 py-1 rounded-lg text-sm font-medium transition-colors bg-slate-100 text-slate-700 hover:bg-slate-200 disabled:opacity-50"
+          >
+            {t('annotations.exportJson')}
+          </button>
+          <button
+            type="button"
+            onClick={() => inputRef.current && inputRef.current.click()}
+            className="px-3 py-1 rounded-lg text-sm font-medium transition-colors bg-slate-100 text-slate-700 hover:bg-slate-200"
+          >
+            {t('annotations.importJson')}
+          </button>
+          <input
+            ref={inputRef}
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={(e) => {
+              if (e.target.files[0]) importFile(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </div>
+      </div>
+      {status && (
+        <p role="status" className={`text-sm mb-3 print:hidden ${status.error ? 'text-red-700' : 'text-green-700'}`}>{status.message}</p>
+      )}
+      {annotations.length === 0 ? (
+        <p className="text-sm text-slate-500">{t('annotations.empty')}</p>
+      ) : (
+        <div className="space-y-4">
+          {ANNOTATION_TYPES.map(type => {
+            const notes = annotations.filter(note => note.target.type === type);
+            if (notes.length === 0) return null;
+            return (
+              <section key={type}>
+                <h4 className="font-semibold text-slate-700 mb-1">{t(`annotations.types.${type}`)}</h4>
+                <ul className="space-y-1">
+                  {notes.map(note => (
+                    <li key={note.id} className="flex items-start justify-between gap-3 text-sm">
+                      <span className="text-slate-800 whitespace-pre-wrap">
+                        <span className="font-medium">{describeTarget(note.target, healthMetrics, fundingMetrics)}:</span> {note.text}{' '}
+                        <span className="text-xs text-slate-500">{formatNoteDate(note.createdAt)}</span>
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => onRemove(note.id)}
+                        className="text-xs text-red-600 hover:underline shrink-0 print:hidden"
+                        aria-label={t('annotations.deleteLabel', { text: note.text })}
+                      >
+                        {t('annotations.delete')}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default memo(AnnotationsPanel);
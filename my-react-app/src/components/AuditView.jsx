@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import { AUDIT_RULES, SEVERITIES, flaggedRows, ruleLabel, describeViolation } from '../audit';
+import { t } from '../i18n';
+
+const severityStyles = {
+  error: 'bg-red-100 text-red-700',
+  warning: 'bg-amber-100 text-amber-700'
+};
+
+const SeverityBadge = ({ severity }) => (
+  <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${severityStyles[severity]}`}>{t(`audit.severity.${severity}`)}</span>
+);
+
+// Consistency checks over every loaded row. Excluded rows (by CSV row number) are left out of
+// every other view until they are included again or a new file is loaded.
+const AuditView = ({ violations, totalRows, droppedRows, excluded, onChangeExcluded }) => {
+  const [severityFilter, setSeverityFilter] = useState('all');
+
+  const shown = severityFilter === 'all' ? violations : violations.filter(v => v.severity === severityFilter);
+  const flagged = flaggedRows(violations, SEVERITIES);
+  const countBy = (severity) => violations.filter(v => v.severity === severity).length;
+
+  const toggleRow = (row) => {
+    onChangeExcluded(excluded.includes(row) ? excluded.filter(r => r !== row) : [...excluded, row]);
+  };
+  const excludeSeverities = (severities) => {
+    onChangeExcluded([...new Set([...excluded, ...flaggedRows(violations, severities)])]);
+  };
+
+  const buttonClass = 'px-3 py-1 rounded-lg text-sm font-medium transition-colors bg-slate-100 text-slate-700 hover:bg-slate-200';
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-lg font-bold text-slate-800 mb-2">🩺 {t('audit.title')}</h3>
+        <p className="text-sm text-slate-600 mb-4">
+          {t('audit.summary', { rows: totalRows, rules: AUDIT_RULES.length, flagged: flagged.length, excluded: excluded.length })}
+          {droppedRows > 0 && ` ${t('audit.dropped', { count: droppedRows })}`}
+        </p>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+          <div className="bg-red-50 rounded-lg p-3">
+            <div className="text-2xl font-bold text-red-700">{countBy('error')}</div>
+            <div className="text-xs text-slate-600">{t('audit.errors')}</div>
+          </div>
+          <div className="bg-amber-50 rounded-lg p-3">
+            <div className="text-2xl font-bold text-amber-700">{countBy('warning')}</div>
+            <div className="text-xs text-slate-600">{t('audit.warnings')}</div>
+          </div>
+          <div className="bg-slate-50 rounded-lg p-3">
+            <div className="text-2xl font-bold text-slate-700">{flagged.length}</div>
+            <div className="text-xs text-slate-600">{t('audit.flaggedRows')}</div>
+          </div>
+          <div className="bg-violet-50 rounded-lg p-3">
+            <div className="text-2xl font-bold text-violet-700">{excluded.length}</div>
+            <div className="text-xs text-slate-600">{t('audit.excludedRows')}</div>
+          </div>
+        </div>
+        <table className="w-full text-sm border-collapse">
+          <thead>
+            <tr className="bg-slate-100">
+              <th className="border border-slate-200 p-2 text-left">{t('audit.rule')}</th>
+              <th className="border border-slate-200 p-2 text-left">{t('audit.severityColumn')}</th>
+              <th className="border border-slate-200 p-2 text-right">{t('audit.violations')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {AUDIT_RULES.map(rule => {
+              const count = violations.filter(v => v.rule === rule.id).length;
+              return (
+                <tr key={rule.id}>
+                  <td className="border border-slate-200 p-2">{ruleLabel(rule)}</td>
+                  <td className="border border-slate-200 p-2"><SeverityBadge severity={rule.severity} /></td>
+                  <td className={`border border-slate-200 p-2 text-right font-mono ${count === 0 ? 'text-green-700' : ''}`}>
+                    {count === 0 ? '✓ 0' : count}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          <h3 className="text-lg font-bold text-slate-800 mr-auto">{t('audit.violations')}</h3>
+          {['all', ...SEVERITIES].map(s => (
+            <button
+              key={s}
+              type="button"
+              onClick={() => setSeverityFilter(s)}
+              className={`px-3 py-1 rounded-lg text-sm font-medium transition-colors ${
+                severityFilter === s ? 'bg-violet-600 text-white' : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
+              }`}
+            >
+              {t(`audit.filter.${s}`)}
+            </button>
+          ))}
+        </div>
+        {violations.length === 0 ? (
+          <p className="text-sm text-green-700">{t('audit.noProblems')}</p>
+        ) : (
+          <>
+            <div className="flex flex-wrap gap-2 mb-3">
+              <button type="button" onClick={() => excludeSeverities(['error'])} className={buttonClass}>
+                {t('audit.excludeErrors')}
+              </button>
+              <button type="button" onClick={() => excludeSeverities(SEVERITIES)} className={buttonClass}>
+                {t('audit.excludeFlagged')}
+              </button>
+              <button type="button" onClick={() => onChangeExcluded([])} disabled={excluded.length === 0} className={`${buttonClass} disabled:opacity-50`}>
+                {t('audit.includeAll')}
+              </button>
+            </div>
+            <div className="overflow-x-auto max-h-[32rem] overflow-y-auto">
+              <table className="w-full text-sm border-collapse">
+                <thead>
+                  <tr className="bg-slate-100">
+                    <th className="border border-slate-200 p-2 text-left">{t('audit.exclude')}</th>
+                    <th className="border border-slate-200 p-2 text-right">{t('audit.row')}</th>
+                    <th className="border border-slate-200 p-2 text-left">{t('audit.town')}</th>
+                    <th className="border border-slate-200 p-2 text-left">{t('audit.severityColumn')}</th>
+                    <th className="border border-slate-200 p-2 text-left">{t('audit.column')}</th>
+                    <th className="border border-slate-200 p-2 text-left">{t('audit.problem')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {shown.map((v, i) => {
+                    const isExcluded = excluded.includes(v.row);
+                    return (
+                      <tr key={`${v.row}-${v.rule}-${v.column}-${i}`} className={isExcluded ? 'bg-slate-50 text-slate-400' : ''}>
+                        <td className="border border-slate-200 p-2">
+                          <input
+                            type="checkbox"
+                            checked={isExcluded}
+                            onChange={() => toggleRow(v.row)}
+                            aria-label={t('audit.excludeRow', { row: v.row, town: v.town })}
+                          />
+                        </td>
+                        <td className="border border-slate-200 p-2 text-right font-mono">{v.row}</td>
+                        <td className="border border-slate-200 p-2">{v.town}{v.year !== null && ` (${v.year})`}</td>
+                        <td className="border border-slate-200 p-2"><SeverityBadge severity={v.severity} /></td>
+                        <td className="border border-slate-200 p-2 font-mono">{v.column}</td>
+                        <td className="border border-slate-200 p-2">{describeViolation(v)}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-slate-500 mt-2">
+              {t('audit.footnote')}
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuditView;
@@ -0,0 +1,48 @@
+import React from 'react';
+import { getLocale, t } from '../i18n';
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value.toLocaleString(getLocale(), { maximumFractionDigits: 3 }) : '—';
+  }
+  return String(value);
+};
+
+// "View as table" alternative to a chart, for screen readers and anyone who wants the numbers.
+// Takes the same { rows, columns } spec as the CSV export, so the two always match.
+const ChartTable = ({ caption, rows, columns }) => {
+  const cols = columns.map(c => (typeof c === 'string' ? { key: c, label: c } : c));
+  return (
+    <details className="mt-3 print:hidden">
+      <summary className="text-sm font-medium text-slate-700 cursor-pointer">{t('table.view')}</summary>
+      <div className="overflow-x-auto max-h-96 overflow-y-auto mt-2">
+        <table className="w-full text-xs border-collapse">
+          <caption className="sr-only">{caption}</caption>
+          <thead>
+            <tr className="bg-slate-100">
+              {cols.map((c, i) => (
+                <th key={c.key} scope="col" className={`border border-slate-200 p-2 ${i === 0 ? 'text-left' : 'text-right'}`}>
+                  {c.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, r) => (
+              <tr key={r}>
+                {cols.map((c, i) => i === 0 ? (
+                  <th key={c.key} scope="row" className="border border-slate-200 p-2 text-left font-normal">{formatCell(row[c.key])}</th>
+                ) : (
+                  <td key={c.key} className="border border-slate-200 p-2 text-right font-mono">{formatCell(row[c.key])}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </details>
+  );
+};
+
+export default ChartTable;
@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import { compareGroups, COHORT_COLUMN } from '../filters';
+import { significanceMarker } from '../stats';
+import { formatPValue, formatNumber } from '../format';
+import { fundingValue, formatFunding, getNormalization } from '../normalization';
+import { formatMetric } from '../metrics';
+import { t } from '../i18n';
+
+const REST = '__rest__';
+
+// ':', ';' and '|' separate cohorts and towns in the URL
+const cleanName = (text) => text.replace(/[:;|]/g, ' ').trim();
+
+const formatDifference = (value, format) => {
+  if (!Number.isFinite(value)) return t('format.notAvailable');
+  return `${value > 0 ? '+' : value < 0 ? '−' : ''}${format(Math.abs(value))}`;
+};
+
+// Define cohorts in the UI and compare metric means between two of them
+const CohortView = ({ data, allTowns, cohorts, customCohorts, onChangeCustomCohorts, healthMetrics, fundingMetrics, normalization }) => {
+  const [groupA, setGroupA] = useState(null);
+  const [groupB, setGroupB] = useState(REST);
+  const [editing, setEditing] = useState(null);
+  const [newName, setNewName] = useState('');
+  const norm = getNormalization(normalization);
+
+  const cohortA = cohorts.find(c => c.name === groupA) || cohorts[0];
+  const cohortB = groupB === REST ? null : cohorts.find(c => c.name === groupB);
+  const rowsA = cohortA ? data.filter(d => cohortA.towns.includes(d.TOWN)) : [];
+  const rowsB = cohortB
+    ? data.filter(d => cohortB.towns.includes(d.TOWN))
+    : data.filter(d => !rowsA.includes(d));
+  const labelB = cohortB ? cohortB.name : t('cohorts.rest');
+
+  const comparisonMetrics = [
+    ...healthMetrics.map(m => ({ ...m, value: row => row[m.key], format: v => formatMetric(v, m) })),
+    ...fundingMetrics.map(m => ({
+      ...m,
+      label: `${m.label} (${norm.label})`,
+      value: row => fundingValue(row, m.key, normalization),
+      format: v => formatFunding(v, normalization)
+    })),
+    { key: 'population_count', label: t('cohorts.population'), icon: '👥', value: row => row.population_count, format: v => formatNumber(v) }
+  ];
+  const comparison = cohortA ? compareGroups(rowsA, rowsB, comparisonMetrics) : [];
+
+  const edited = cohorts.find(c => c.name === editing);
+  const saveCohort = (cohort) => {
+    const others = customCohorts.filter(c => c.name !== cohort.name);
+    onChangeCustomCohorts([...others, { name: cohort.name, towns: cohort.towns }]);
+  };
+  const toggleMember = (town) => {
+    const towns = edited.towns.includes(town)
+      ? edited.towns.filter(member => member !== town)
+      : [...edited.towns, town].sort((a, b) => a.localeCompare(b));
+    saveCohort({ ...edited, towns });
+  };
+  const createCohort = (e) => {
+    e.preventDefault();
+    const name = cleanName(newName);
+    if (!name || cohorts.some(c => c.name === name)) return;
+    saveCohort({ name, towns: [] });
+    setEditing(name);
+    setNewName('');
+  };
+  const removeCohort = (name) => {
+    onChangeCustomCohorts(customCohorts.filter(c => c.name !== name));
+    if (editing === name) setEditing(null);
+  };
+
+  const selectClass = 'border border-slate-300 rounded-lg px-2 py-1 text-sm';
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-xl font-bold text-slate-800 mb-2">👥 {t('cohorts.title')}</h3>
+        {cohorts.length === 0 ? (
+          <p className="text-sm text-slate-600">
+            {t('cohorts.empty', { column: COHORT_COLUMN })}
+          </p>
+        ) : (
+          <>
+            <div className="flex flex-wrap items-center gap-3 text-sm mb-4">
+              <select value={cohortA.name} onChange={(e) => setGroupA(e.target.value)} className={selectClass}>
+                {cohorts.map(c => <option key={c.name} value={c.name}>{c.name}</option>)}
+              </select>
+              <span className="text-slate-500">{t('cohorts.versus')}</span>
+              <select value={groupB} onChange={(e) => setGroupB(e.target.value)} className={selectClass}>
+                <option value={REST}>{t('cohorts.rest')}</option>
+                {cohorts.filter(c => c !== cohortA).map(c => <option key={c.name} value={c.name}>{c.name}</option>)}
+              </select>
+              <span className="text-xs text-slate-500">
+                {t('cohorts.counts', { a: rowsA.length, b: rowsB.length })}
+              </span>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm border-collapse">
+                <thead>
+                  <tr className="bg-slate-100">
+                    <th className="border border-slate-200 p-2 text-left">{t('cohorts.metric')}</th>
+                    <th className="border border-slate-200 p-2 text-right">{cohortA.name}</th>
+                    <th className="border border-slate-200 p-2 text-right">{labelB}</th>
+                    <th className="border border-slate-200 p-2 text-right">{t('cohorts.difference')}</th>
+                    <th className="border border-slate-200 p-2 text-right">{t('cohorts.pWelch')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {comparison.map(row => (
+                    <tr key={row.metric.key}>
+                      <td className="border border-slate-200 p-2">{row.metric.icon} {row.metric.label}</td>
+                      <td className="border border-slate-200 p-2 text-right font-mono">{Number.isFinite(row.meanA) ? row.metric.format(row.meanA) : t('format.notAvailable')}</td>
+                      <td className="border border-slate-200 p-2 text-right font-mono">{Number.isFinite(row.meanB) ? row.metric.format(row.meanB) : t('format.notAvailable')}</td>
+                      <td className="border border-slate-200 p-2 text-right font-mono">{formatDifference(row.difference, row.metric.format)}</td>
+                      <td className="border border-slate-200 p-2 text-right font-mono">{formatPValue(row.pValue)}{significanceMarker(row.pValue)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-slate-500 mt-2">
+              {t('cohorts.note', { a: cohortA.name, b: labelB })}
+            </p>
+          </>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-lg font-bold text-slate-800 mb-3">🏷️ {t('cohorts.heading')}</h3>
+        <form onSubmit={createCohort} className="flex flex-wrap items-center gap-2 mb-4">
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder={t('cohorts.newName')}
+            className="border border-slate-300 rounded-lg px-2 py-1 text-sm"
+          />
+          <button
+            type="submit"
+            disabled={!cleanName(newName) || cohorts.some(c => c.name === cleanName(newName))}
+            className="px-3 py-1 rounded-lg text-sm font-medium transition-colors bg-violet-600 text-white hover:bg-violet-700 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            {t('cohorts.create')}
+          </button>
+        </form>
+
+        <div className="flex flex-wrap gap-2 mb-4">
+          {cohorts.map(c => (
+            <button
+              key={c.name}
+              type="button"
+              onClick={() => setEditing(editing === c.name ? null : c.name)}
+              className={`px-3 py-1 rounded-lg text-sm font-medium transition-colors ${
+                editing === c.name ? 'bg-violet-600 text-white' : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
+              }`}
+              title={c.source === 'data' ? t('cohorts.fromColumn', { column: COHORT_COLUMN }) : t('cohorts.custom')}
+            >
+              {c.name} ({c.towns.length}){c.source === 'data' && ' 📄'}
+            </button>
+          ))}
+        </div>
+
+        {edited && (
+          <div>
+            <div className="flex flex-wrap items-center gap-3 mb-2 text-sm">
+              <span className="font-medium text-slate-700">{t('cohorts.members', { name: edited.name })}</span>
+              {edited.source === 'custom' && (
+                <button type="button" onClick={() => removeCohort(edited.name)} className="text-xs text-red-600 hover:underline">
+                  {t('cohorts.delete')}
+                </button>
+              )}
+              {edited.source === 'data' && (
+                <span className="text-xs text-slate-500">{t('cohorts.overrides', { column: COHORT_COLUMN })}</span>
+              )}
+            </div>
+            <div className="max-h-48 overflow-y-auto border border-slate-200 rounded-lg p-2 grid grid-cols-2 md:grid-cols-4 gap-1 text-sm">
+              {allTowns.map(town => (
+                <label key={town} className="flex items-center gap-2 text-slate-700">
+                  <input
+                    type="checkbox"
+                    checked={edited.towns.includes(town)}
+                    onChange={() => toggleMember(town)}
+                    className="accent-violet-600"
+                  />
+                  {town}
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CohortView;
@@ -0,0 +1,86 @@
+import React, { memo } from 'react';
+import { XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ComposedChart, Bar, Line } from 'recharts';
+import ExportMenu from './ExportMenu';
+import ChartTable from './ChartTable';
+import { fundingKey, formatFunding, getNormalization } from '../normalization';
+import { formatMetric, metricAxisLabel } from '../metrics';
+import { hasManyTowns, rankTowns } from '../townLayout';
+import { t } from '../i18n';
+
+// Horizontal space per town once the chart scrolls sideways
+const TOWN_COLUMN_WIDTH = 14;
+
+// Each health measure as bars with every funding category as lines, one card per measure.
+// With many towns the bars are sorted by the health measure and the chart scrolls sideways.
+const CorrelationGrid = ({ data, healthMetrics, fundingMetrics, normalization }) => {
+  const norm = getNormalization(normalization);
+  const many = hasManyTowns(data);
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      {healthMetrics.map(healthMetric => {
+        const columns = ['TOWN', healthMetric.key, ...fundingMetrics.map(f => fundingKey(f.key, normalization))];
+        const chartRows = many ? rankTowns(data, d => d[healthMetric.key]) : data;
+        return (
+          <div key={healthMetric.key} className="bg-white rounded-lg shadow-md p-6 break-inside-avoid" data-export-card>
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+              <h3 className="text-lg font-bold text-slate-800">
+                {t('correlations.title', { metric: healthMetric.fullLabel })}
+              </h3>
+              <ExportMenu name={`${healthMetric.label} vs all funding`} getCsv={() => ({ rows: data, columns })} />
+            </div>
+            {many && <p className="text-xs text-slate-500 mb-2">{t('correlations.sorted', { metric: healthMetric.label })}</p>}
+            <div className="overflow-x-auto">
+              <div style={many ? { minWidth: chartRows.length * TOWN_COLUMN_WIDTH } : undefined}>
+                <ResponsiveContainer width="100%" height={300}>
+                  <ComposedChart data={chartRows} margin={{ top: 10, right: 30, left: 0, bottom: 60 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                    <XAxis
+                      dataKey="TOWN"
+                      angle={-45}
+                      textAnchor="end"
+                      height={80}
+                      interval={many ? 0 : 'preserveEnd'}
+                      tick={{ fontSize: many ? 9 : 12 }}
+                    />
+                    <YAxis
+                      yAxisId="left"
+                      label={{ value: metricAxisLabel(healthMetric), angle: -90, position: 'insideLeft', style: { fontSize: 12 } }}
+                    />
+                    <YAxis
+                      yAxisId="right"
+                      orientation="right"
+                      label={{ value: `${norm.title} (${norm.axisUnit})`, angle: 90, position: 'insideRight', style: { fontSize: 12 } }}
+                    />
+                    <Tooltip
+                      formatter={(value, name, item) => item.dataKey === healthMetric.key
+                        ? formatMetric(value, healthMetric)
+                        : formatFunding(value, normalization)}
+                    />
+                    <Legend wrapperStyle={{ fontSize: '12px' }} />
+                    <Bar yAxisId="left" dataKey={healthMetric.key} fill={healthMetric.color} name={healthMetric.fullLabel} />
+                    {fundingMetrics.map(funding => (
+                      <Line
+                        key={funding.key}
+                        yAxisId="right"
+                        type="monotone"
+                        dataKey={fundingKey(funding.key, normalization)}
+                        stroke={funding.color}
+                        name={funding.label}
+                        strokeWidth={many ? 1 : 2}
+                        dot={many ? false : { r: 4 }}
+                      />
+                    ))}
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+            <ChartTable caption={t('correlations.caption', { metric: healthMetric.fullLabel, mode: norm.title.toLowerCase() })} rows={data} columns={columns} />
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default memo(CorrelationGrid);
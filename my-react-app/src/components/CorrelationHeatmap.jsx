@@ -0,0 +1,252 @@
+import React, { memo } from 'react';
+import ExportMenu from './ExportMenu';
+import SensitivityPanel from './SensitivityPanel';
+import SignificanceNote from './SignificanceNote';
+import CorrelationMethodToggle from './CorrelationMethodToggle';
+import NoteEditor from './NoteEditor';
+import { gridToSvg } from '../exporting';
+import { significanceMarker } from '../stats';
+import { formatR, formatCI, formatP, formatPValue } from '../format';
+import { getNormalization } from '../normalization';
+import { HATCH_PATTERN } from '../sensitivity';
+import { divergingColor, divergingGradient, divergingColorName, describeCorrelation } from '../palettes';
+import { cellTarget, joinNotes, targetKey } from '../annotations';
+import { t } from '../i18n';
+
+const NO_ANNOTATIONS = new Map();
+const NO_NOTES = [];
+
+// Sign spelled out so direction never depends on color alone
+const signedR = (value) => `${value > 0 ? '+' : ''}${formatR(value)}`;
+
+// matrix comes from buildCorrelationMatrix, already computed for the current data and settings.
+// fundingMetrics are the columns and normalization how they're measured; the acreage view passes
+// its land categories and acreage mode, with its own title and description. annotations is the
+// dashboard's note index; cells with notes are marked, and onAddAnnotation turns on the editor
+// for the selected cell.
+const CorrelationHeatmap = ({
+  matrix,
+  healthMetrics,
+  fundingMetrics,
+  normalization,
+  correlationMethod,
+  onCorrelationMethodChange,
+  palette,
+  sensitivityThreshold,
+  onSensitivityThresholdChange,
+  sensitivityPair,
+  onSensitivityPairChange,
+  resamplingResults,
+  n,
+  annotations = NO_ANNOTATIONS,
+  onAddAnnotation,
+  onRemoveAnnotation,
+  title = t('heatmap.title'),
+  svgTitle,
+  description,
+  exportName = 'correlation-heatmap'
+}) => {
+  const norm = getNormalization(normalization);
+  const getColor = (value) => divergingColor(value, palette);
+  const notesFor = (health, funding) => annotations.get(targetKey(cellTarget(health.key, funding.key))) || NO_NOTES;
+  const annotatedCells = healthMetrics.flatMap(health => fundingMetrics
+    .map(funding => ({ health, funding, notes: notesFor(health, funding) }))
+    .filter(cell => cell.notes.length > 0));
+
+  const heatmapSvg = () => gridToSvg({
+    title: svgTitle || t('heatmap.svgTitle', { mode: norm.label, threshold: sensitivityThreshold }),
+    rowLabels: healthMetrics.map(health => health.label),
+    columnLabels: fundingMetrics.map(f => f.label),
+    cells: healthMetrics.map(health => fundingMetrics.map(funding => {
+      const result = matrix[health.key][funding.key];
+      return {
+        text: `${formatR(result.r)}${significanceMarker(result.pValue)}${result.sensitivity.robust ? '' : ' †'}${notesFor(health, funding).length ? ' ✎' : ''}`,
+        subtext: formatCI(result.ci),
+        fill: getColor(result.r),
+        light: Math.abs(result.r) > 0.3
+      };
+    })),
+    footnotes: annotatedCells.map(cell => `✎ ${cell.health.label} × ${cell.funding.label}: ${joinNotes(cell.notes)}`)
+  });
+
+  const heatmapCsv = () => ({
+    columns: [
+      'health_metric', 'funding', 'normalization', 'method', 'r', 'n', 'p_value', 'ci_low', 'ci_high', 'robust', 'sensitive_towns',
+      'permutation_p', 'bootstrap_ci_low', 'bootstrap_ci_high', 'resamples', 'seed', 'notes'
+    ],
+    rows: healthMetrics.flatMap(health => fundingMetrics.map(funding => {
+      const result = matrix[health.key][funding.key];
+      const resampled = resamplingResults[`${health.key}|${funding.key}`];
+      return {
+        health_metric: health.key,
+        funding: funding.key,
+        normalization: norm.key,
+        method: result.method,
+        r: result.r,
+        n: result.n,
+        p_value: result.pValue,
+        ci_low: result.ci[0],
+        ci_high: result.ci[1],
+        robust: result.sensitivity.robust,
+        sensitive_towns: result.sensitivity.flagged.map(d => d.town).join('; '),
+        permutation_p: resampled ? resampled.permutationP : null,
+        bootstrap_ci_low: resampled ? resampled.bootstrapCI[0] : null,
+        bootstrap_ci_high: resampled ? resampled.bootstrapCI[1] : null,
+        resamples: resampled ? resampled.iterations : null,
+        seed: resampled ? resampled.seed : null,
+        notes: joinNotes(notesFor(health, funding))
+      };
+    }))
+  });
+
+  const sensitivityPairs = healthMetrics.flatMap(healthMetric => fundingMetrics.map(funding => ({
+    healthMetric,
+    funding,
+    sensitivity: matrix[healthMetric.key][funding.key].sensitivity
+  })));
+
+  const selectedHealth = sensitivityPair && healthMetrics.find(m => m.key === sensitivityPair.health);
+  const selectedFunding = sensitivityPair && fundingMetrics.find(m => m.key === sensitivityPair.funding);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-md p-6 break-inside-avoid">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <h3 className="text-xl font-bold text-slate-800">
+            {title}
+          </h3>
+          <div className="flex flex-wrap items-center gap-3">
+            <CorrelationMethodToggle value={correlationMethod} onChange={onCorrelationMethodChange} />
+            <ExportMenu name={exportName} getSvg={heatmapSvg} getCsv={heatmapCsv} />
+          </div>
+        </div>
+        <p className="text-sm text-slate-600 mb-4">
+          {description || t('heatmap.description', {
+            mode: norm.label,
+            positive: divergingColorName(palette, 'positive'),
+            negative: divergingColorName(palette, 'negative')
+          })}
+        </p>
+        <div className="overflow-x-auto">
+          <table className="w-full border-collapse">
+            <thead>
+              <tr>
+                <td className="border border-slate-300 p-3 bg-slate-100"></td>
+                {fundingMetrics.map(funding => (
+                  <th key={funding.key} scope="col" className="border border-slate-300 p-3 bg-slate-100 text-sm font-semibold">
+                    {funding.icon} {funding.label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {healthMetrics.map(health => (
+                <tr key={health.key}>
+                  <th scope="row" className="border border-slate-300 p-3 bg-slate-100 font-semibold text-sm text-left">
+                    {health.icon} {health.label}
+                  </th>
+                  {fundingMetrics.map(funding => {
+                    const result = matrix[health.key][funding.key];
+                    const value = result.r;
+                    const strong = Math.abs(value) > 0.3;
+                    const { robust, flagged } = result.sensitivity;
+                    const resampled = resamplingResults[`${health.key}|${funding.key}`];
+                    const notes = notesFor(health, funding);
+                    const select = () => onSensitivityPairChange({ health: health.key, funding: funding.key });
+                    return (
+                      <td
+                        key={funding.key}
+                        className="relative border border-slate-300 p-3 text-center font-mono text-sm cursor-pointer focus:outline-none focus-visible:ring-2 focus-visible:ring-inset focus-visible:ring-violet-600"
+                        style={{ backgroundColor: getColor(value), backgroundImage: robust ? undefined : HATCH_PATTERN }}
+                        title={`${t('heatmap.cellTitle', { n: result.n, p: formatP(result.pValue), ci: formatCI(result.ci) })}${
+                          robust ? '' : `\n${t('heatmap.cellNotRobust', { towns: flagged.map(d => d.town).join(', '), threshold: sensitivityThreshold })}`
+                        }${notes.length ? `\n📝 ${joinNotes(notes)}` : ''}`}
+                        tabIndex={0}
+                        role="button"
+                        aria-label={`${t('heatmap.cellLabel', {
+                          health: health.label,
+                          funding: funding.label,
+                          r: signedR(value),
+                          strength: describeCorrelation(value),
+                          p: formatP(result.pValue),
+                          ci: formatCI(result.ci)
+                        })}${robust ? '' : t('heatmap.cellLabelNotRobust')}${
+                          notes.length ? t('annotations.cellHasNotes', { count: notes.length }) : ''
+                        }${t('heatmap.cellLabelAction')}`}
+                        onClick={select}
+                        onKeyDown={(e) => {
+                          if (e.key !== 'Enter' && e.key !== ' ') return;
+                          e.preventDefault();
+                          select();
+                        }}
+                      >
+                        {notes.length > 0 && <span aria-hidden="true" className="absolute top-0.5 right-1 text-xs">📝</span>}
+                        <span className={strong ? 'text-white font-bold' : 'text-slate-800'}>
+                          {signedR(value)}{significanceMarker(result.pValue)}
+                        </span>
+                        <span className={`block text-xs ${strong ? 'text-white' : 'text-slate-500'}`}>
+                          {formatCI(result.ci)}
+                        </span>
+                        {resampled && (
+                          <span className={`block text-xs ${strong ? 'text-white' : 'text-slate-500'}`}>
+                            {t('heatmap.resampled', { p: formatPValue(resampled.permutationP), ci: formatCI(resampled.bootstrapCI) })}
+                          </span>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="mt-4 flex items-center justify-center gap-6 text-sm">
+          <div className="flex items-center gap-2">
+            <div className="w-8 h-4" style={{ background: divergingGradient(palette, 'negative') }}></div>
+            <span className="text-slate-600">{t('heatmap.legendNegative')}</span>
+          </div>
+          <div className="flex items-center gap-2">
+            <div className="w-8 h-4 bg-slate-200"></div>
+            <span className="text-slate-600">{t('heatmap.legendZero')}</span>
+          </div>
+          <div className="flex items-center gap-2">
+            <div className="w-8 h-4" style={{ background: divergingGradient(palette, 'positive') }}></div>
+            <span className="text-slate-600">{t('heatmap.legendPositive')}</span>
+          </div>
+          <div className="flex items-center gap-2">
+            <div className="w-8 h-4 border border-slate-300" style={{ backgroundImage: HATCH_PATTERN }}></div>
+            <span className="text-slate-600">{t('heatmap.legendFragile')}</span>
+          </div>
+          {annotatedCells.length > 0 && (
+            <div className="flex items-center gap-2">
+              <span aria-hidden="true">📝</span>
+              <span className="text-slate-600">{t('annotations.legend')}</span>
+            </div>
+          )}
+        </div>
+        <SignificanceNote n={n} />
+        {onAddAnnotation && (selectedHealth && selectedFunding ? (
+          <NoteEditor
+            title={t('annotations.cellTitle', { health: selectedHealth.label, funding: selectedFunding.label })}
+            notes={notesFor(selectedHealth, selectedFunding)}
+            onAdd={(text) => onAddAnnotation(cellTarget(selectedHealth.key, selectedFunding.key), text)}
+            onRemove={onRemoveAnnotation}
+          />
+        ) : (
+          <p className="text-xs text-slate-500 mt-2 print:hidden">{t('annotations.cellHint')}</p>
+        ))}
+      </div>
+      <SensitivityPanel
+        pairs={sensitivityPairs}
+        threshold={sensitivityThreshold}
+        onThresholdChange={onSensitivityThresholdChange}
+        selected={sensitivityPair}
+        onSelect={onSensitivityPairChange}
+        normalization={normalization}
+        n={n}
+      />
+    </div>
+  );
+};
+
+export default memo(CorrelationHeatmap);
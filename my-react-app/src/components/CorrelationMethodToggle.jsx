@@ -0,0 +1,25 @@
+import React from 'react';
+import { CORRELATION_METHODS } from '../stats';
+import { t } from '../i18n';
+
+const CorrelationMethodToggle = ({ value, onChange }) => (
+  <div className="flex items-center gap-2 text-sm">
+    <span className="text-slate-600">{t('controls.method')}</span>
+    {CORRELATION_METHODS.map(method => (
+      <button
+        key={method.key}
+        type="button"
+        onClick={() => onChange(method.key)}
+        className={`px-3 py-1 rounded-lg font-medium transition-colors ${
+          value === method.key
+            ? 'bg-violet-600 text-white'
+            : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
+        }`}
+      >
+        {t(`methods.${method.key}`)}
+      </button>
+    ))}
+  </div>
+);
+
+export default CorrelationMethodToggle;
@@ -0,0 +1,123 @@
+import React, { useRef, useState } from 'react';
+import { REQUIRED_COLUMNS, YEAR_COLUMN } from '../dataSchema';
+import { t } from '../i18n';
+
+export const ValidationReport = ({ validation, fileName }) => {
+  if (!validation) return null;
+  const { columnErrors, rowIssues, validRows, totalRows, ok } = validation;
+  if (columnErrors.length === 0 && rowIssues.length === 0) return null;
+
+  const skippedRows = new Set(rowIssues.map(issue => issue.row)).size;
+
+  return (
+    <div className={`rounded-lg p-4 border-l-4 ${ok ? 'bg-amber-50 border-amber-500' : 'bg-red-50 border-red-500'}`}>
+      <h4 className="font-semibold text-slate-800 mb-2">
+        {ok
+          ? `⚠️ ${t('upload.skipped', { file: fileName, skipped: skippedRows, total: totalRows })}`
+          : `❌ ${t('upload.unusable', { file: fileName })}`}
+      </h4>
+
+      {columnErrors.length > 0 && (
+        <div className="mb-3">
+          <p className="text-sm text-slate-700 mb-1">{t('upload.missingColumns')}</p>
+          <div className="flex flex-wrap gap-2">
+            {columnErrors.map(error => (
+              <span key={error.column} className="text-xs font-mono px-2 py-1 rounded bg-red-100 text-red-800">
+                {error.column}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {rowIssues.length > 0 && (
+        <div className="overflow-x-auto max-h-64 overflow-y-auto">
+          <table className="w-full text-sm border-collapse">
+            <thead>
+              <tr className="bg-white">
+                <th className="border border-slate-200 p-2 text-left">{t('upload.row')}</th>
+                <th className="border border-slate-200 p-2 text-left">{t('upload.town')}</th>
+                <th className="border border-slate-200 p-2 text-left">{t('upload.column')}</th>
+                <th className="border border-slate-200 p-2 text-left">{t('upload.problem')}</th>
+                <th className="border border-slate-200 p-2 text-left">{t('upload.value')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rowIssues.map((issue, i) => (
+                <tr key={i} className="bg-white">
+                  <td className="border border-slate-200 p-2 font-mono">{issue.row}</td>
+                  <td className="border border-slate-200 p-2">{issue.town ?? '—'}</td>
+                  <td className="border border-slate-200 p-2 font-mono">{issue.column}</td>
+                  <td className="border border-slate-200 p-2">{t(`upload.problems.${issue.problem}`)}</td>
+                  <td className="border border-slate-200 p-2 font-mono">{issue.value === null || issue.value === undefined ? t('upload.blank') : String(issue.value)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {!ok && columnErrors.length === 0 && validRows.length === 0 && (
+        <p className="text-sm text-slate-700 mt-2">{t('upload.noValidRows')}</p>
+      )}
+    </div>
+  );
+};
+
+const DataUpload = ({ onFile, busy }) => {
+  const inputRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+
+  const handleFiles = (files) => {
+    const file = files && files[0];
+    if (file) onFile(file);
+  };
+
+  return (
+    <div
+      onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+      onDragLeave={() => setDragging(false)}
+      onDrop={(e) => {
+        e.preventDefault();
+        setDragging(false);
+        handleFiles(e.dataTransfer.files);
+      }}
+      className={`border-2 border-dashed rounded-lg p-6 text-center transition-colors ${
+        dragging ? 'border-violet-600 bg-violet-50' : 'border-slate-300 bg-white'
+      }`}
+    >
+      <p className="text-slate-700 mb-3">
+        📂 {t('upload.drop')}
+      </p>
+      <button
+        type="button"
+        disabled={busy}
+        onClick={() => inputRef.current && inputRef.current.click()}
+        className="px-4 py-2 rounded-lg font-medium transition-colors bg-violet-600 text-white hover:bg-violet-700 disabled:opacity-50"
+      >
+        {busy ? t('upload.loading') : t('upload.choose')}
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".csv,text/csv"
+        className="hidden"
+        onChange={(e) => {
+          handleFiles(e.target.files);
+          e.target.value = '';
+        }}
+      />
+      <p className="text-xs text-slate-500 mt-3">
+        {t('upload.required', { columns: REQUIRED_COLUMNS.join(', ') })}
+      </p>
+      <p className="text-xs text-slate-500 mt-1">
+        {t('upload.yearHint', { column: YEAR_COLUMN })}
+      </p>
+      <p className="text-xs text-slate-500 mt-1">
+        {t('upload.extraColumns')}
+      </p>
+    </div>
+  );
+};
+
+export default DataUpload;
@@ -0,0 +1,192 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { loadDataset } from '../dataSchema';
+import { localizeMetrics, withPalette, buildTownPalette, buildTownShapes } from '../metrics';
+import { normalizationModes, isModeAvailable, DEFAULT_NORMALIZATION } from '../normalization';
+import { buildCorrelationMatrix } from '../correlationMatrix';
+import { DEFAULT_SENSITIVITY_THRESHOLD } from '../sensitivity';
+import { getYears, rowsForYear } from '../timeSeries';
+import { CORRELATION_METHODS } from '../stats';
+import { COLOR_PALETTES } from '../palettes';
+import { URL_DEFAULTS, serializeUrlState } from '../urlState';
+import { EMBED_VIEWS } from '../embedConfig';
+import { getLanguage, t } from '../i18n';
+import CorrelationHeatmap from './CorrelationHeatmap';
+import ScatterCard from './ScatterCard';
+import OverviewView from './OverviewView';
+
+const DEFAULT_DATA_URL = '/combined_data.csv';
+const NO_RESAMPLING = {};
+
+// Embed view -> dashboard tab, for the "open the full dashboard" link
+const DASHBOARD_VIEWS = { heatmap: 'heatmap', scatter: 'scatterplots', overview: 'overview' };
+
+// Requested metric keys in the order given; no keys, or none that exist, means all of them
+const pickMetrics = (metrics, keys) => {
+  const picked = keys.map(key => metrics.find(m => m.key === key)).filter(Boolean);
+  return picked.length ? picked : metrics;
+};
+
+// One dashboard view on its own, for partner sites. config comes from parseEmbedConfig; unknown
+// settings fall back to the dashboard defaults, as they do in the dashboard URL.
+const EmbedView = ({ config }) => {
+  const [dataset, setDataset] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [correlationMethod, setCorrelationMethod] = useState(
+    CORRELATION_METHODS.some(m => m.key === config.method) ? config.method : URL_DEFAULTS.method
+  );
+  const [sensitivityThreshold, setSensitivityThreshold] = useState(DEFAULT_SENSITIVITY_THRESHOLD);
+  const [sensitivityPair, setSensitivityPair] = useState(null);
+  const palette = COLOR_PALETTES.some(p => p.key === config.palette) ? config.palette : URL_DEFAULTS.palette;
+  const dataUrl = config.data || DEFAULT_DATA_URL;
+
+  useEffect(() => {
+    fetch(dataUrl)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.text();
+      })
+      .then(loadDataset)
+      .then(result => {
+        if (result.data.length === 0) throw new Error(t('embed.invalidData'));
+        setDataset(result);
+      })
+      .catch(error => {
+        console.error('Error loading embedded dataset:', error);
+        setLoadError(error.message);
+      });
+  }, [dataUrl]);
+
+  // Latest year unless one is asked for, then the requested towns (matched ignoring case)
+  const { data, missingTowns } = useMemo(() => {
+    if (!dataset) return { data: [], missingTowns: [] };
+    const years = getYears(dataset.data);
+    const year = years.length === 0 ? null : (years.includes(config.year) ? config.year : years[years.length - 1]);
+    const yearRows = rowsForYear(dataset.data, year);
+    if (config.towns.length === 0) return { data: yearRows, missingTowns: [] };
+    const wanted = new Set(config.towns.map(town => town.toLowerCase()));
+    const found = new Set(yearRows.map(d => d.TOWN.toLowerCase()));
+    return {
+      data: yearRows.filter(d => wanted.has(d.TOWN.toLowerCase())),
+      missingTowns: config.towns.filter(town => !found.has(town.toLowerCase()))
+    };
+  }, [dataset, config]);
+
+  const normalization = normalizationModes.some(m => m.key === config.norm) && isModeAvailable(data, config.norm)
+    ? config.norm
+    : DEFAULT_NORMALIZATION;
+
+  const { healthMetrics, fundingMetrics, unknownMetrics } = useMemo(() => {
+    if (!dataset) return { healthMetrics: [], fundingMetrics: [], unknownMetrics: [] };
+    const localized = localizeMetrics(dataset.metrics);
+    const known = new Set([...localized.healthMetrics, ...localized.fundingMetrics].map(m => m.key));
+    return {
+      healthMetrics: pickMetrics(withPalette(localized.healthMetrics, palette), config.health),
+      fundingMetrics: pickMetrics(withPalette(localized.fundingMetrics, palette), config.funding),
+      unknownMetrics: [...config.health, ...config.funding].filter(key => !known.has(key))
+    };
+  }, [dataset, palette, config]);
+  const townColors = useMemo(() => buildTownPalette(data, palette), [data, palette]);
+  const townShapes = useMemo(() => buildTownShapes(data), [data]);
+
+  const correlationMatrix = useMemo(() => (config.view === 'heatmap' && dataset
+    ? buildCorrelationMatrix(data, healthMetrics, fundingMetrics, { normalization, method: correlationMethod, threshold: sensitivityThreshold })
+    : null), [config.view, dataset, data, healthMetrics, fundingMetrics, normalization, correlationMethod, sensitivityThreshold]);
+
+  if (loadError) {
+    return <p className="text-red-700 p-4">{t('embed.loadFailed', { url: dataUrl, error: loadError })}</p>;
+  }
+  if (!dataset) {
+    return (
+      <div className="flex items-center justify-center gap-3 p-6 text-slate-600">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-violet-600"></div>
+        {t('app.loading')}
+      </div>
+    );
+  }
+
+  // The dashboard only loads its bundled CSV from the URL, so the link is left off for other data
+  const dashboardUrl = config.data ? null : new URL(`./${serializeUrlState({
+    ...URL_DEFAULTS,
+    view: DASHBOARD_VIEWS[config.view],
+    norm: normalization,
+    method: correlationMethod,
+    palette,
+    lang: getLanguage(),
+    health: config.view === 'scatter' ? healthMetrics[0].key : null,
+    funding: config.view === 'scatter' ? fundingMetrics[0].key : null
+  })}`, window.location.href).href;
+  const openTown = (town) => {
+    if (dashboardUrl) window.open(new URL(`./${serializeUrlState({ ...URL_DEFAULTS, view: 'town', town, lang: getLanguage() })}`, window.location.href).href, '_blank');
+  };
+
+  return (
+    <div className="space-y-3">
+      {config.requestedView && !EMBED_VIEWS.includes(config.requestedView) && (
+        <p className="text-sm text-amber-700">{t('embed.unknownView', { view: config.requestedView, views: EMBED_VIEWS.join(', ') })}</p>
+      )}
+      {unknownMetrics.length > 0 && (
+        <p className="text-sm text-amber-700">{t('embed.unknownMetrics', { keys: unknownMetrics.join(', ') })}</p>
+      )}
+      {missingTowns.length > 0 && (
+        <p className="text-sm text-amber-700">{t('embed.missingTowns', { towns: missingTowns.join(', ') })}</p>
+      )}
+      {data.length === 0 ? (
+        <p className="text-slate-600 p-4">{t('embed.noTowns')}</p>
+      ) : (
+        <>
+          {config.view === 'heatmap' && (
+            <CorrelationHeatmap
+              matrix={correlationMatrix}
+              healthMetrics={healthMetrics}
+              fundingMetrics={fundingMetrics}
+              normalization={normalization}
+              correlationMethod={correlationMethod}
+              onCorrelationMethodChange={setCorrelationMethod}
+              palette={palette}
+              sensitivityThreshold={sensitivityThreshold}
+              onSensitivityThresholdChange={setSensitivityThreshold}
+              sensitivityPair={sensitivityPair}
+              onSensitivityPairChange={setSensitivityPair}
+              resamplingResults={NO_RESAMPLING}
+              n={data.length}
+            />
+          )}
+          {config.view === 'scatter' && (
+            <ScatterCard
+              healthMetric={healthMetrics[0]}
+              funding={fundingMetrics[0]}
+              data={data}
+              normalization={normalization}
+              correlationMethod={correlationMethod}
+              logScale={false}
+              townColors={townColors}
+              townShapes={townShapes}
+            />
+          )}
+          {config.view === 'overview' && (
+            <OverviewView
+              data={data}
+              healthMetrics={healthMetrics}
+              fundingMetrics={fundingMetrics}
+              normalization={normalization}
+              onSelectTown={openTown}
+            />
+          )}
+        </>
+      )}
+      <p className="text-xs text-slate-500">
+        {t('embed.source', { count: data.length })}
+        {dashboardUrl && (
+          <>
+            {' · '}
+            <a href={dashboardUrl} target="_blank" rel="noopener noreferrer" className="text-violet-700 hover:underline">
+              {t('embed.openDashboard')}
+            </a>
+          </>
+        )}
+      </p>
+    </div>
+  );
+};
+
+export default EmbedView;
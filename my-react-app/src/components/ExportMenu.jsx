@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { svgFromContainer, exportSvg, exportPng, exportCsv, slugify } from '../exporting';
+import { t } from '../i18n';
+
+// Export buttons for a card. The chart is found in the nearest ancestor marked data-export-card,
+// unless getSvg builds the SVG itself (the heatmap is a table, not a chart).
+const ExportMenu = ({ name, getCsv, getSvg, chart = true }) => {
+  const [error, setError] = useState(null);
+  const filename = slugify(name);
+
+  const chartSvg = (event) => {
+    if (getSvg) return getSvg();
+    return svgFromContainer(event.currentTarget.closest('[data-export-card]'));
+  };
+
+  const run = (action) => (event) => {
+    setError(null);
+    try {
+      const result = action(event);
+      if (result && result.catch) result.catch(e => setError(e.message));
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const buttonClass = 'px-2 py-1 rounded text-xs font-medium transition-colors bg-slate-100 text-slate-600 hover:bg-slate-200';
+
+  return (
+    <div className="flex items-center gap-1 print:hidden">
+      {chart && (
+        <>
+          <button
+            type="button"
+            className={buttonClass}
+            title={t('export.svg')}
+            onClick={run(event => {
+              const svg = chartSvg(event);
+              if (!svg) throw new Error(t('export.noChart'));
+              exportSvg(svg, `${filename}.svg`);
+            })}
+          >
+            SVG
+          </button>
+          <button
+            type="button"
+            className={buttonClass}
+            title={t('export.png')}
+            onClick={run(event => {
+              const svg = chartSvg(event);
+              if (!svg) throw new Error(t('export.noChart'));
+              return exportPng(svg, `${filename}.png`);
+            })}
+          >
+            PNG
+          </button>
+        </>
+      )}
+      {getCsv && (
+        <button
+          type="button"
+          className={buttonClass}
+          title={t('export.csv')}
+          onClick={run(() => {
+            const { rows, columns } = getCsv();
+            exportCsv(rows, columns, `${filename}.csv`);
+          })}
+        >
+          CSV
+        </button>
+      )}
+      {error && <span className="text-xs text-red-600 ml-1">{error}</span>}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { DEFAULT_FILTERS, isFiltered } from '../filters';
+import { t } from '../i18n';
+
+const parseInput = (text) => (text === '' ? null : Number(text));
+
+const RangeInputs = ({ label, value, onChange, placeholder }) => (
+  <div className="text-sm">
+    <span className="block text-slate-600 font-medium mb-1">{label}</span>
+    <div className="flex items-center gap-2">
+      <input
+        type="number"
+        value={value[0] ?? ''}
+        placeholder={placeholder[0]}
+        onChange={(e) => onChange([parseInput(e.target.value), value[1]])}
+        className="w-32 border border-slate-300 rounded-lg px-2 py-1"
+        aria-label={t('filters.minimum', { label })}
+      />
+      <span className="text-slate-400">{t('filters.to')}</span>
+      <input
+        type="number"
+        value={value[1] ?? ''}
+        placeholder={placeholder[1]}
+        onChange={(e) => onChange([value[0], parseInput(e.target.value)])}
+        className="w-32 border border-slate-300 rounded-lg px-2 py-1"
+        aria-label={t('filters.maximum', { label })}
+      />
+    </div>
+  </div>
+);
+
+// Filters for the rows every view works on. allRows is the unfiltered data for the active year.
+const FilterPanel = ({ allRows, shownCount, filters, onChange, cohorts }) => {
+  const [search, setSearch] = useState('');
+  const towns = [...new Set(allRows.map(d => d.TOWN))].sort((a, b) => a.localeCompare(b));
+  const matching = towns.filter(town => town.toLowerCase().includes(search.trim().toLowerCase()));
+  const extent = (key) => {
+    const values = allRows.map(d => d[key]).filter(Number.isFinite);
+    return values.length ? [String(Math.min(...values)), String(Math.max(...values))] : [t('filters.min'), t('filters.max')];
+  };
+
+  const update = (changes) => onChange({ ...filters, ...changes });
+  const toggleTown = (town) => update({
+    excluded: filters.excluded.includes(town)
+      ? filters.excluded.filter(other => other !== town)
+      : [...filters.excluded, town]
+  });
+
+  return (
+    <details className="text-sm">
+      <summary className="cursor-pointer font-medium text-slate-600">
+        {t('filters.summary', { shown: shownCount, total: towns.length })}
+      </summary>
+      <div className="mt-3 grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div>
+          <div className="flex flex-wrap items-center gap-2 mb-2">
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder={t('filters.search')}
+              className="border border-slate-300 rounded-lg px-2 py-1"
+            />
+            <button
+              type="button"
+              onClick={() => update({ excluded: filters.excluded.filter(town => !matching.includes(town)) })}
+              className="px-2 py-1 rounded text-xs font-medium bg-slate-100 text-slate-600 hover:bg-slate-200"
+            >
+              {t('filters.selectAll')}
+            </button>
+            <button
+              type="button"
+              onClick={() => update({ excluded: [...new Set([...filters.excluded, ...matching])] })}
+              className="px-2 py-1 rounded text-xs font-medium bg-slate-100 text-slate-600 hover:bg-slate-200"
+            >
+              {t('filters.selectNone')}
+            </button>
+          </div>
+          <div className="max-h-48 overflow-y-auto border border-slate-200 rounded-lg p-2 grid grid-cols-2 gap-1">
+            {matching.map(town => (
+              <label key={town} className="flex items-center gap-2 text-slate-700">
+                <input
+                  type="checkbox"
+                  checked={!filters.excluded.includes(town)}
+                  onChange={() => toggleTown(town)}
+                  className="accent-violet-600"
+                />
+                {town}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="space-y-3">
+          <RangeInputs
+            label={t('filters.population')}
+            value={filters.population}
+            onChange={(population) => update({ population })}
+            placeholder={extent('population_count')}
+          />
+          <RangeInputs
+            label={t('filters.funding')}
+            value={filters.funding}
+            onChange={(funding) => update({ funding })}
+            placeholder={extent('CPA_TOT')}
+          />
+          <label className="block">
+            <span className="block text-slate-600 font-medium mb-1">{t('filters.cohort')}</span>
+            <select
+              value={filters.cohort ?? ''}
+              onChange={(e) => update({ cohort: e.target.value || null })}
+              className="border border-slate-300 rounded-lg px-2 py-1"
+            >
+              <option value="">{t('filters.allTowns')}</option>
+              {cohorts.map(c => <option key={c.name} value={c.name}>{c.name} ({c.towns.length})</option>)}
+            </select>
+          </label>
+          <button
+            type="button"
+            onClick={() => onChange(DEFAULT_FILTERS)}
+            disabled={!isFiltered(filters)}
+            className="px-3 py-1 rounded-lg font-medium transition-colors bg-slate-100 text-slate-700 hover:bg-slate-200 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            {t('filters.reset')}
+          </button>
+        </div>
+      </div>
+    </details>
+  );
+};
+
+export default FilterPanel;
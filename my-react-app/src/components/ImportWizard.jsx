@@ -0,0 +1,440 @@
+import React, { useMemo, useState } from 'react';
+import { parseCsv } from '../dataSchema';
+import { toCsv, exportCsv } from '../exporting';
+import { formatNumber } from '../format';
+import { t } from '../i18n';
+import {
+  AGGREGATIONS,
+  buildCombined,
+  findUnmatched,
+  guessCpaColumns,
+  guessCrosswalkColumns,
+  guessPlacesColumns,
+  guessPopulationColumns,
+  isLongPlaces,
+  placesYears
+} from '../importer';
+
+const OUTPUT_NAME = 'combined_data.csv';
+const PREVIEW_ROWS = 5;
+const STEPS = ['files', 'columns', 'names', 'review'];
+
+// Labels and hints are in the catalogs as import.sources.<key>
+const SOURCES = [
+  { key: 'cpa', guess: guessCpaColumns },
+  { key: 'places', guess: guessPlacesColumns },
+  { key: 'crosswalk', guess: guessCrosswalkColumns, optional: true },
+  { key: 'population', guess: guessPopulationColumns }
+];
+
+// Columns each source needs, and the optional ones; labels are import.roles.<source>.<role>
+const ROLES = {
+  cpa: [
+    { key: 'town' },
+    { key: 'category' },
+    { key: 'amount' },
+    { key: 'acres', optional: true }
+  ],
+  places: [
+    { key: 'town' },
+    { key: 'id', optional: true },
+    { key: 'population', optional: true },
+    { key: 'year', optional: true }
+  ],
+  crosswalk: [
+    { key: 'id' },
+    { key: 'town' }
+  ],
+  population: [
+    { key: 'town' },
+    { key: 'population' }
+  ]
+};
+
+const sourceLabel = (source) => t(`import.sources.${source.key}.label`);
+
+const buttonClass = 'px-4 py-2 rounded-lg font-medium transition-colors disabled:opacity-50';
+const primaryClass = `${buttonClass} bg-violet-600 text-white hover:bg-violet-700`;
+const secondaryClass = `${buttonClass} bg-slate-100 text-slate-700 hover:bg-slate-200`;
+
+const FileStep = ({ files, errors, onFile }) => (
+  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+    {SOURCES.map(source => (
+      <label key={source.key} className="block border border-slate-200 rounded-lg p-4">
+        <span className="block font-semibold text-slate-800">
+          {sourceLabel(source)}{source.optional && <span className="font-normal text-slate-500"> {t('import.optional')}</span>}
+        </span>
+        <span className="block text-xs text-slate-500 mb-2">{t(`import.sources.${source.key}.hint`)}</span>
+        <input
+          type="file"
+          accept=".csv,text/csv"
+          onChange={(e) => {
+            onFile(source, e.target.files && e.target.files[0]);
+            e.target.value = '';
+          }}
+          className="text-sm"
+        />
+        {files[source.key] && (
+          <span className="block text-xs text-green-700 mt-2">
+            ✓ {t('import.fileRows', { file: files[source.key].name, count: formatNumber(files[source.key].rows.length) })}
+          </span>
+        )}
+        {errors[source.key] && <span className="block text-xs text-red-600 mt-2">{errors[source.key]}</span>}
+      </label>
+    ))}
+  </div>
+);
+
+const ColumnSelect = ({ file, sourceKey, role, value, onChange }) => (
+  <label className="flex flex-col text-sm text-slate-700">
+    {t(`import.roles.${sourceKey}.${role.key}`)}
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="mt-1 border border-slate-300 rounded-lg px-2 py-1"
+    >
+      <option value="">{t(role.optional ? 'import.noColumn' : 'import.chooseColumn')}</option>
+      {file.fields.map(field => <option key={field} value={field}>{field}</option>)}
+    </select>
+  </label>
+);
+
+const ColumnStep = ({ files, onColumn, years, year, onYear, aggregation, onAggregation }) => (
+  <div className="space-y-4">
+    {SOURCES.filter(source => files[source.key]).map(source => (
+      <div key={source.key} className="border border-slate-200 rounded-lg p-4">
+        <h4 className="font-semibold text-slate-800 mb-2">
+          {sourceLabel(source)} <span className="text-sm font-normal text-slate-500">{files[source.key].name}</span>
+        </h4>
+        {source.key === 'places' && (
+          <p className="text-xs text-slate-500 mb-2">
+            {t(isLongPlaces(files.places.fields) ? 'import.longFormat' : 'import.wideFormat')}
+            {files.crosswalk && ` ${t('import.crosswalkTowns')}`}
+          </p>
+        )}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          {ROLES[source.key].map(role => (
+            <ColumnSelect
+              key={role.key}
+              file={files[source.key]}
+              sourceKey={source.key}
+              role={role}
+              value={files[source.key].columns[role.key]}
+              onChange={(value) => onColumn(source.key, role.key, value)}
+            />
+          ))}
+        </div>
+      </div>
+    ))}
+    <div className="flex flex-wrap items-end gap-6">
+      {years.length > 1 && (
+        <label className="flex flex-col text-sm text-slate-700">
+          {t('import.year')}
+          <select
+            value={year}
+            onChange={(e) => onYear(Number(e.target.value))}
+            className="mt-1 border border-slate-300 rounded-lg px-2 py-1"
+          >
+            {years.map(y => <option key={y} value={y}>{y}</option>)}
+          </select>
+        </label>
+      )}
+      <fieldset>
+        <legend className="text-sm text-slate-700 mb-1">{t('import.aggregation')}</legend>
+        <div className="flex gap-2">
+          {AGGREGATIONS.map(key => {
+            const disabled = key === 'weighted' && !files.places.columns.population;
+            return (
+              <button
+                key={key}
+                type="button"
+                disabled={disabled}
+                aria-pressed={aggregation === key}
+                onClick={() => onAggregation(key)}
+                title={disabled ? t('import.weightNeedsPopulation') : undefined}
+                className={`px-3 py-1 rounded-lg text-sm font-medium transition-colors disabled:opacity-50 ${
+                  aggregation === key ? 'bg-violet-600 text-white' : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
+                }`}
+              >
+                {t(`import.aggregations.${key}`)}
+              </button>
+            );
+          })}
+        </div>
+      </fieldset>
+    </div>
+  </div>
+);
+
+const NameTable = ({ title, names, towns, mapping, onMap }) => {
+  if (names.length === 0) {
+    return <p className="text-sm text-green-700">✓ {t('import.allMatched', { source: title })}</p>;
+  }
+  return (
+    <div>
+      <h4 className="font-semibold text-slate-800 mb-2">{t('import.unmatched', { source: title, count: formatNumber(names.length) })}</h4>
+      <div className="overflow-x-auto max-h-80 overflow-y-auto">
+        <table className="w-full text-sm border-collapse">
+          <thead>
+            <tr className="bg-slate-100">
+              <th className="border border-slate-200 p-2 text-left">{t('import.nameInFile')}</th>
+              <th className="border border-slate-200 p-2 text-left">{t('import.town')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {names.map(({ name, suggestion }) => (
+              <tr key={name}>
+                <td className="border border-slate-200 p-2 font-mono">{name}</td>
+                <td className="border border-slate-200 p-2">
+                  <select
+                    value={mapping[name] ?? ''}
+                    onChange={(e) => onMap(name, e.target.value)}
+                    aria-label={t('import.townFor', { name })}
+                    className="border border-slate-300 rounded-lg px-2 py-1"
+                  >
+                    <option value="">{t('import.leaveOut')}</option>
+                    {suggestion && <option value={suggestion}>{t('import.suggested', { town: suggestion })}</option>}
+                    {towns.filter(town => town !== suggestion).map(town => <option key={town} value={town}>{town}</option>)}
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+const ReviewStep = ({ result }) => (
+  <div className="space-y-4">
+    <p className="text-slate-700">
+      {t('import.summary', {
+        towns: formatNumber(result.rows.length),
+        count: formatNumber(result.measures.length),
+        measures: result.measures.join(', ') || t('import.noMeasures')
+      })}
+    </p>
+    {(result.unresolved.cpa > 0 || result.unresolved.places > 0) && (
+      <p className="text-sm text-amber-700">
+        ⚠️ {t('import.unresolved', { cpa: formatNumber(result.unresolved.cpa), places: formatNumber(result.unresolved.places) })}
+      </p>
+    )}
+    {result.skippedCategories.length > 0 && (
+      <p className="text-sm text-slate-600">
+        {t('import.skippedCategories', {
+          categories: result.skippedCategories
+            .map(c => t('import.skippedCategory', { category: c.category || t('upload.blank'), projects: formatNumber(c.projects) }))
+            .join(', ')
+        })}
+      </p>
+    )}
+    {result.dropped.length > 0 && (
+      <details className="text-sm text-slate-600">
+        <summary className="cursor-pointer">{t('import.dropped', { count: formatNumber(result.dropped.length) })}</summary>
+        <ul className="list-disc pl-6 mt-2">
+          {result.dropped.map(d => <li key={d.town}>{t('import.droppedTown', { town: d.town, reason: t(`import.dropReasons.${d.reason}`) })}</li>)}
+        </ul>
+      </details>
+    )}
+    {result.rows.length > 0 && (
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs border-collapse">
+          <caption className="text-left text-slate-500 mb-1">{t('import.preview', { count: Math.min(PREVIEW_ROWS, result.rows.length) })}</caption>
+          <thead>
+            <tr className="bg-slate-100">
+              {result.columns.map(column => <th key={column} className="border border-slate-200 p-2 text-left font-mono">{column}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {result.rows.slice(0, PREVIEW_ROWS).map(row => (
+              <tr key={row.TOWN}>
+                {result.columns.map(column => (
+                  <td key={column} className="border border-slate-200 p-2">
+                    {typeof row[column] === 'number' ? formatNumber(row[column], { digits: 4, minDigits: 0 }) : row[column] ?? ''}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    )}
+  </div>
+);
+
+// Builds combined_data.csv in the browser from the raw downloads, then hands it to the dashboard
+// as if it had been uploaded
+const ImportWizard = ({ onComplete, busy }) => {
+  const [open, setOpen] = useState(false);
+  const [step, setStep] = useState(0);
+  const [files, setFiles] = useState({});
+  const [errors, setErrors] = useState({});
+  const [year, setYear] = useState(null);
+  const [aggregation, setAggregation] = useState('mean');
+  const [mappings, setMappings] = useState({ cpa: {}, places: {} });
+
+  const handleFile = (source, file) => {
+    if (!file) return;
+    parseCsv(file)
+      .then(({ fields, rows }) => {
+        setFiles(current => ({ ...current, [source.key]: { name: file.name, fields, rows, columns: source.guess(fields) } }));
+        setErrors(current => ({ ...current, [source.key]: null }));
+        if (source.key === 'places') setYear(null);
+        if (source.key !== 'crosswalk') setMappings({ cpa: {}, places: {} });
+      })
+      .catch(error => setErrors(current => ({ ...current, [source.key]: error.message })));
+  };
+
+  const setColumn = (sourceKey, role, value) => {
+    setFiles(current => ({
+      ...current,
+      [sourceKey]: { ...current[sourceKey], columns: { ...current[sourceKey].columns, [role]: value } }
+    }));
+    if (sourceKey === 'places' && role === 'population' && !value) setAggregation('mean');
+  };
+
+  const years = useMemo(
+    () => (files.places ? placesYears(files.places.rows, files.places.columns.year) : []),
+    [files.places]
+  );
+  // Latest year unless one was picked
+  const activeYear = years.includes(year) ? year : years.length ? years[years.length - 1] : null;
+
+  const filesReady = Boolean(files.cpa && files.places && files.population);
+  // With a crosswalk, PLACES towns come from the tract ID instead of a name column
+  const isRequired = (sourceKey, role) => (files.crosswalk && sourceKey === 'places'
+    ? role.key === 'id'
+    : !role.optional);
+  const columnsReady = filesReady && SOURCES
+    .filter(source => files[source.key])
+    .every(source => ROLES[source.key].every(role => !isRequired(source.key, role) || files[source.key].columns[role.key]));
+
+  const unmatched = useMemo(
+    () => (columnsReady ? findUnmatched(files, { year: activeYear }) : null),
+    [columnsReady, files, activeYear]
+  );
+  const result = useMemo(
+    () => (columnsReady ? buildCombined(files, { aggregation, year: activeYear, mappings }) : null),
+    [columnsReady, files, aggregation, activeYear, mappings]
+  );
+
+  // Suggestions start out selected; the user can change or clear them
+  const goToNames = () => {
+    const withSuggestions = (names, mapping) => ({
+      ...Object.fromEntries(names.filter(n => n.suggestion).map(n => [n.name, n.suggestion])),
+      ...mapping
+    });
+    setMappings(current => ({
+      cpa: withSuggestions(unmatched.cpa, current.cpa),
+      places: withSuggestions(unmatched.places, current.places)
+    }));
+    setStep(2);
+  };
+
+  const mapName = (sourceKey, name, town) => {
+    setMappings(current => ({ ...current, [sourceKey]: { ...current[sourceKey], [name]: town } }));
+  };
+
+  if (!open) {
+    return (
+      <button type="button" onClick={() => setOpen(true)} className={secondaryClass}>
+        🧩 {t('import.open')}
+      </button>
+    );
+  }
+
+  const canContinue = [filesReady, columnsReady, true][step];
+
+  return (
+    <div className="border border-slate-200 rounded-lg p-4 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h3 className="text-lg font-bold text-slate-800">🧩 {t('import.title', { file: OUTPUT_NAME })}</h3>
+        <button type="button" onClick={() => setOpen(false)} className="text-sm text-slate-500 hover:underline">
+          {t('import.close')}
+        </button>
+      </div>
+      <ol className="flex flex-wrap gap-2 text-sm">
+        {STEPS.map((id, i) => (
+          <li
+            key={id}
+            aria-current={i === step ? 'step' : undefined}
+            className={`px-3 py-1 rounded-full ${i === step ? 'bg-violet-600 text-white' : 'bg-slate-100 text-slate-600'}`}
+          >
+            {i + 1}. {t(`import.steps.${id}`)}
+          </li>
+        ))}
+      </ol>
+
+      {step === 0 && <FileStep files={files} errors={errors} onFile={handleFile} />}
+      {step === 1 && (
+        <ColumnStep
+          files={files}
+          onColumn={setColumn}
+          years={years}
+          year={activeYear}
+          onYear={setYear}
+          aggregation={aggregation}
+          onAggregation={setAggregation}
+        />
+      )}
+      {step === 2 && unmatched && (
+        <div className="space-y-6">
+          <p className="text-sm text-slate-600">
+            {t('import.namesIntro')}
+          </p>
+          <NameTable
+            title={t('import.cpaNames')}
+            names={unmatched.cpa}
+            towns={unmatched.towns}
+            mapping={mappings.cpa}
+            onMap={(name, town) => mapName('cpa', name, town)}
+          />
+          <NameTable
+            title={t('import.placesNames')}
+            names={unmatched.places}
+            towns={unmatched.towns}
+            mapping={mappings.places}
+            onMap={(name, town) => mapName('places', name, town)}
+          />
+        </div>
+      )}
+      {step === 3 && result && <ReviewStep result={result} />}
+
+      <div className="flex flex-wrap gap-2">
+        {step > 0 && (
+          <button type="button" onClick={() => setStep(step - 1)} className={secondaryClass}>
+            {t('import.back')}
+          </button>
+        )}
+        {step < 3 && (
+          <button type="button" disabled={!canContinue} onClick={() => (step === 1 ? goToNames() : setStep(step + 1))} className={primaryClass}>
+            {t('import.next')}
+          </button>
+        )}
+        {step === 3 && result && (
+          <>
+            <button
+              type="button"
+              disabled={result.rows.length === 0}
+              onClick={() => exportCsv(result.rows, result.columns, OUTPUT_NAME)}
+              className={secondaryClass}
+            >
+              ⬇️ {t('import.download')}
+            </button>
+            <button
+              type="button"
+              disabled={busy || result.rows.length === 0}
+              onClick={() => onComplete(new File([toCsv(result.rows, result.columns)], OUTPUT_NAME, { type: 'text/csv' }))}
+              className={primaryClass}
+            >
+              {busy ? t('upload.loading') : t('import.load')}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportWizard;
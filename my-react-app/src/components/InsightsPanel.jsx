@@ -0,0 +1,38 @@
+import React, { memo } from 'react';
+import { INSIGHT_KINDS } from '../insights';
+import { getNormalization } from '../normalization';
+import { t } from '../i18n';
+
+const InsightsPanel = ({ insights, n, normalization, correlationMethod }) => (
+  <div className="bg-white rounded-lg shadow-md p-6 break-inside-avoid">
+    <h2 className="text-xl font-bold text-slate-800 mb-2">{t('insights.title')}</h2>
+    <p className="text-sm text-slate-600 mb-4">
+      {t('insights.intro', { n, mode: getNormalization(normalization).label, method: t(`methods.${correlationMethod}`) })}
+    </p>
+    <div className="space-y-6">
+      {INSIGHT_KINDS.map(kind => {
+        const statements = insights.filter(insight => insight.kind === kind);
+        if (statements.length === 0) return null;
+        return (
+          <section key={kind}>
+            <h3 className="text-lg font-semibold text-slate-800 mb-2">{t(`insights.kinds.${kind}`)}</h3>
+            <ul className="space-y-3">
+              {statements.map(insight => (
+                <li key={insight.id} className="border-l-4 border-violet-500 pl-3">
+                  <p className="text-slate-800">{insight.text}</p>
+                  {insight.caveats.length > 0 && (
+                    <ul className="mt-1 text-xs text-slate-500 list-disc pl-5" aria-label={t('insights.caveatsLabel')}>
+                      {insight.caveats.map(caveat => <li key={caveat}>{caveat}</li>)}
+                    </ul>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </section>
+        );
+      })}
+    </div>
+  </div>
+);
+
+export default memo(InsightsPanel);
@@ -0,0 +1,193 @@
+import React, { memo, useMemo, useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { YEAR_COLUMN } from '../dataSchema';
+import { lagCorrelations, townSeries, MAX_LAG } from '../timeSeries';
+import { significanceMarker } from '../stats';
+import { formatR } from '../format';
+import { fundingKey, fundingValue, getNormalization, formatFunding } from '../normalization';
+import { formatMetric } from '../metrics';
+import { t } from '../i18n';
+import ChartTable from './ChartTable';
+
+const LagAnalysisView = ({ rows, years, healthMetrics, fundingMetrics, normalization, correlationMethod }) => {
+  const towns = useMemo(() => [...new Set(rows.map(d => d.TOWN))].sort(), [rows]);
+  const [selectedTown, setSelectedTown] = useState(towns[0]);
+  const norm = getNormalization(normalization);
+  const town = towns.includes(selectedTown) ? selectedTown : towns[0];
+  const series = useMemo(() => townSeries(rows, town), [rows, town]);
+
+  // One panel per health metric: its lag correlations with each funding metric and the chart points
+  const panels = useMemo(() => (years.length < 2 ? [] : healthMetrics.map(healthMetric => {
+    const results = fundingMetrics.map(funding => ({
+      funding,
+      lags: lagCorrelations(rows, d => fundingValue(d, funding.key, normalization), healthMetric.key, {
+        maxLag: MAX_LAG,
+        method: correlationMethod
+      })
+    }));
+    const chartData = Array.from({ length: MAX_LAG + 1 }, (_, lag) => {
+      const point = { lag };
+      results.forEach(({ funding, lags }) => {
+        point[funding.key] = Number.isFinite(lags[lag].r) ? lags[lag].r : null;
+      });
+      return point;
+    });
+    return { healthMetric, results, chartData };
+  })), [rows, years, healthMetrics, fundingMetrics, normalization, correlationMethod]);
+
+  if (years.length < 2) {
+    return (
+      <div className="bg-white rounded-lg p-6 shadow-md border-l-4 border-amber-500">
+        <h3 className="text-xl font-bold text-slate-800 mb-2">⏳ {t('lag.title')}</h3>
+        <p className="text-sm text-slate-700">
+          {years.length === 1 ? t('lag.oneYear', { year: years[0] }) : t('lag.noYears', { column: YEAR_COLUMN })}
+          {' '}{t('lag.needYears', { column: YEAR_COLUMN })}
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-xl font-bold text-slate-800 mb-2">
+          ⏳ {t('lag.heading')}
+        </h3>
+        <p className="text-sm text-slate-600">
+          {t('lag.intro', { first: years[0], last: years[years.length - 1], mode: norm.label })}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {panels.map(({ healthMetric, results, chartData }) => (
+          <div key={healthMetric.key} className="bg-white rounded-lg shadow-md p-6">
+            <h4 className="text-lg font-bold text-slate-800 mb-4">
+              {healthMetric.icon} {healthMetric.fullLabel}
+            </h4>
+            <ResponsiveContainer width="100%" height={260}>
+              <LineChart data={chartData} margin={{ top: 10, right: 20, left: 0, bottom: 20 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                <XAxis dataKey="lag" label={{ value: t('lag.axis'), position: 'bottom', offset: 0, style: { fontSize: 11 } }} tick={{ fontSize: 10 }} />
+                <YAxis domain={[-1, 1]} label={{ value: correlationMethod === 'spearman' ? 'ρ' : 'r', angle: -90, position: 'insideLeft' }} tick={{ fontSize: 10 }} />
+                <ReferenceLine y={0} stroke="#94a3b8" />
+                <Tooltip formatter={(value) => formatR(value)} labelFormatter={(lag) => t('lag.tooltip', { lag })} />
+                <Legend wrapperStyle={{ fontSize: '12px' }} />
+                {fundingMetrics.map(funding => (
+                  <Line
+                    key={funding.key}
+                    type="monotone"
+                    dataKey={funding.key}
+                    stroke={funding.color}
+                    name={funding.label}
+                    strokeWidth={2}
+                    dot={{ r: 4 }}
+                    connectNulls
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+            <table className="w-full text-xs border-collapse mt-3">
+              <thead>
+                <tr className="bg-slate-100">
+                  <th className="border border-slate-200 p-1 text-left">{t('lag.funding')}</th>
+                  {chartData.map(point => (
+                    <th key={point.lag} className="border border-slate-200 p-1 text-right">k={point.lag}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {results.map(({ funding, lags }) => (
+                  <tr key={funding.key}>
+                    <td className="border border-slate-200 p-1">{funding.icon} {funding.label}</td>
+                    {lags.map(result => (
+                      <td
+                        key={result.lag}
+                        className="border border-slate-200 p-1 text-right font-mono"
+                        title={t('lag.pairs', { n: result.n })}
+                      >
+                        {formatR(result.r)}{significanceMarker(result.pValue)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <h3 className="text-xl font-bold text-slate-800">📈 {t('lag.trends')}</h3>
+          <select
+            value={town}
+            onChange={(e) => setSelectedTown(e.target.value)}
+            className="border border-slate-300 rounded-lg px-3 py-1 text-sm"
+          >
+            {towns.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </div>
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div>
+            <h4 className="text-md font-semibold text-slate-700 mb-2">{t('lag.fundingTitle', { mode: norm.title })}</h4>
+            <ResponsiveContainer width="100%" height={280}>
+              <LineChart data={series} margin={{ top: 10, right: 20, left: 20, bottom: 10 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                <XAxis dataKey={YEAR_COLUMN} tick={{ fontSize: 10 }} />
+                <YAxis tick={{ fontSize: 10 }} label={{ value: norm.axisUnit, angle: -90, position: 'insideLeft', style: { fontSize: 11 } }} />
+                <Tooltip formatter={(value) => formatFunding(value, normalization)} />
+                <Legend wrapperStyle={{ fontSize: '12px' }} />
+                {fundingMetrics.map(funding => (
+                  <Line
+                    key={funding.key}
+                    type="monotone"
+                    dataKey={fundingKey(funding.key, normalization)}
+                    stroke={funding.color}
+                    name={funding.label}
+                    strokeWidth={2}
+                    dot={{ r: 3 }}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+            <ChartTable
+              caption={t('lag.fundingCaption', { mode: norm.title, town })}
+              rows={series}
+              columns={[YEAR_COLUMN, ...fundingMetrics.map(funding => ({ key: fundingKey(funding.key, normalization), label: funding.label }))]}
+            />
+          </div>
+          <div>
+            <h4 className="text-md font-semibold text-slate-700 mb-2">{t('lag.healthTitle')}</h4>
+            <ResponsiveContainer width="100%" height={280}>
+              <LineChart data={series} margin={{ top: 10, right: 20, left: 0, bottom: 10 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                <XAxis dataKey={YEAR_COLUMN} tick={{ fontSize: 10 }} />
+                <YAxis tick={{ fontSize: 10 }} label={{ value: t('overview.prevalenceAxis'), angle: -90, position: 'insideLeft', style: { fontSize: 11 } }} />
+                <Tooltip formatter={(value, name, item) => formatMetric(value, healthMetrics.find(m => m.key === item.dataKey))} />
+                <Legend wrapperStyle={{ fontSize: '12px' }} />
+                {healthMetrics.map(metric => (
+                  <Line
+                    key={metric.key}
+                    type="monotone"
+                    dataKey={metric.key}
+                    stroke={metric.color}
+                    name={metric.label}
+                    strokeWidth={2}
+                    dot={{ r: 3 }}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+            <ChartTable
+              caption={t('lag.healthCaption', { town })}
+              rows={series}
+              columns={[YEAR_COLUMN, ...healthMetrics.map(metric => ({ key: metric.key, label: metric.label }))]}
+            />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default memo(LagAnalysisView);
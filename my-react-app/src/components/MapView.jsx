@@ -0,0 +1,248 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  isFeatureCollection,
+  loadDefaultBoundaries,
+  joinRowsToFeatures,
+  createProjection,
+  featurePath,
+  sequentialColor
+} from '../geo';
+import { fundingValue, formatFunding, getNormalization } from '../normalization';
+import { formatMetric } from '../metrics';
+import { formatNumber } from '../format';
+import { t } from '../i18n';
+import ChartTable from './ChartTable';
+
+const MAP_WIDTH = 800;
+const MAP_HEIGHT = 500;
+
+const MapView = ({ data, healthMetrics, fundingMetrics, normalization, selectedTown, onSelectTown }) => {
+  const [geojson, setGeojson] = useState(null);
+  const [geoStatus, setGeoStatus] = useState('loading');
+  const [geoError, setGeoError] = useState(null);
+  const [metricKey, setMetricKey] = useState(healthMetrics[0].key);
+  const [hovered, setHovered] = useState(null);
+  const containerRef = useRef(null);
+  const inputRef = useRef(null);
+  const norm = getNormalization(normalization);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadDefaultBoundaries().then(json => {
+      if (cancelled) return;
+      if (json) {
+        setGeojson(json);
+        setGeoStatus('ready');
+      } else {
+        setGeoStatus('missing');
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Hovering re-renders the view to move the tooltip; the join, the projection and the path strings
+  // for every polygon only change with the data and the boundaries
+  const joined = useMemo(() => (geojson ? joinRowsToFeatures(data, geojson) : null), [data, geojson]);
+  const project = useMemo(
+    () => (joined ? createProjection(joined.shapes.map(s => s.feature), MAP_WIDTH, MAP_HEIGHT) : null),
+    [joined]
+  );
+  const paths = useMemo(
+    () => (joined && project ? joined.shapes.map(s => featurePath(s.feature, project)) : []),
+    [joined, project]
+  );
+
+  const handleBoundaryFile = (file) => {
+    file.text()
+      .then(text => {
+        const json = JSON.parse(text);
+        if (!isFeatureCollection(json)) throw new Error(t('map.notGeojson'));
+        setGeojson(json);
+        setGeoStatus('ready');
+        setGeoError(null);
+      })
+      .catch(error => setGeoError(`${file.name}: ${error.message}`));
+  };
+
+  const metricOptions = [
+    ...healthMetrics.map(m => ({
+      ...m,
+      group: 'health',
+      value: row => row[m.key],
+      format: value => formatMetric(value, m)
+    })),
+    ...fundingMetrics.map(m => ({
+      ...m,
+      group: 'funding',
+      value: row => fundingValue(row, m.key, normalization),
+      format: value => formatFunding(value, normalization)
+    }))
+  ];
+  const metric = metricOptions.find(m => m.key === metricKey) || metricOptions[0];
+  const groupLabels = { health: t('map.healthGroup'), funding: t('map.fundingGroup', { mode: norm.label }) };
+
+  const boundaryPicker = (
+    <>
+      <button
+        type="button"
+        onClick={() => inputRef.current && inputRef.current.click()}
+        className="px-3 py-1 rounded-lg text-sm font-medium transition-colors bg-slate-100 text-slate-700 hover:bg-slate-200"
+      >
+        {t('map.loadFile')}
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".geojson,.json,application/geo+json,application/json"
+        className="hidden"
+        onChange={(e) => {
+          if (e.target.files[0]) handleBoundaryFile(e.target.files[0]);
+          e.target.value = '';
+        }}
+      />
+    </>
+  );
+
+  if (geoStatus !== 'ready') {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-xl font-bold text-slate-800 mb-2">🗺️ {t('map.title')}</h3>
+        {geoStatus === 'loading' ? (
+          <p className="text-slate-600">{t('map.loading')}</p>
+        ) : (
+          <div className="space-y-3">
+            <p className="text-sm text-slate-700">{t('map.missing')}</p>
+            {boundaryPicker}
+            {geoError && <p className="text-sm text-red-600">{t('map.error', { error: geoError })}</p>}
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  const { shapes, unmatchedRows } = joined;
+
+  const values = shapes.filter(s => s.row).map(s => metric.value(s.row)).filter(Number.isFinite);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const shade = (row) => {
+    const value = row ? metric.value(row) : NaN;
+    if (!Number.isFinite(value)) return '#e2e8f0';
+    return sequentialColor(max === min ? 1 : (value - min) / (max - min), metric.color);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <h3 className="text-xl font-bold text-slate-800">🗺️ {t('map.title')}</h3>
+          <div className="flex items-center gap-3">
+            <select
+              value={metric.key}
+              onChange={(e) => setMetricKey(e.target.value)}
+              className="border border-slate-300 rounded-lg px-3 py-1 text-sm"
+            >
+              {Object.keys(groupLabels).map(group => (
+                <optgroup key={group} label={groupLabels[group]}>
+                  {metricOptions.filter(m => m.group === group).map(m => (
+                    <option key={m.key} value={m.key}>{m.icon} {m.fullLabel || m.label}</option>
+                  ))}
+                </optgroup>
+              ))}
+            </select>
+            {boundaryPicker}
+          </div>
+        </div>
+
+        <div ref={containerRef} className="relative">
+          {project ? (
+            <svg
+              viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`}
+              className="w-full h-auto"
+              role="img"
+              aria-label={t('map.ariaLabel', { metric: metric.label })}
+            >
+              {shapes.map((shape, i) => (
+                <path
+                  key={`${shape.name}-${i}`}
+                  d={paths[i]}
+                  fill={shade(shape.row)}
+                  stroke={shape.row && shape.row.TOWN === selectedTown ? '#1e293b' : '#ffffff'}
+                  strokeWidth={shape.row && shape.row.TOWN === selectedTown ? 2 : 0.5}
+                  className={shape.row ? 'cursor-pointer' : ''}
+                  onMouseMove={(e) => {
+                    if (!shape.row || !containerRef.current) return;
+                    const rect = containerRef.current.getBoundingClientRect();
+                    setHovered({ row: shape.row, x: e.clientX - rect.left, y: e.clientY - rect.top });
+                  }}
+                  onMouseLeave={() => setHovered(null)}
+                  onClick={() => shape.row && onSelectTown(shape.row.TOWN)}
+                />
+              ))}
+            </svg>
+          ) : (
+            <p className="text-slate-600">{t('map.noPolygons')}</p>
+          )}
+
+          {hovered && (
+            <div
+              className="absolute pointer-events-none bg-white p-3 border border-slate-200 rounded-lg shadow-lg text-xs"
+              style={{ left: hovered.x + 12, top: hovered.y + 12 }}
+            >
+              <p className="font-bold text-slate-800">{hovered.row.TOWN}</p>
+              <p className="text-slate-600">
+                {metric.label}: {metric.format(metric.value(hovered.row))}
+              </p>
+              <p className="text-slate-600">
+                {t('map.cpaTotal')} {formatFunding(fundingValue(hovered.row, 'CPA_TOT', normalization), normalization)}
+              </p>
+              <p className="text-slate-500 text-xs mt-1">
+                {t('map.population', { value: formatNumber(hovered.row.population_count) })}
+              </p>
+            </div>
+          )}
+        </div>
+
+        {values.length > 0 && (
+          <div className="mt-4 flex items-center justify-center gap-3 text-sm">
+            <span className="text-slate-600">{metric.format(min)}</span>
+            <div
+              className="w-48 h-4 rounded"
+              style={{ background: `linear-gradient(to right, ${sequentialColor(0, metric.color)}, ${sequentialColor(1, metric.color)})` }}
+            ></div>
+            <span className="text-slate-600">{metric.format(max)}</span>
+            <div className="flex items-center gap-2 ml-4">
+              <div className="w-4 h-4 rounded bg-slate-200"></div>
+              <span className="text-slate-600">{t('map.noData')}</span>
+            </div>
+          </div>
+        )}
+        <p className="text-xs text-slate-500 mt-2 text-center">{t('map.clickHint')}</p>
+        <ChartTable
+          caption={t('map.caption', { metric: metric.label })}
+          rows={data.map(row => ({ TOWN: row.TOWN, value: metric.value(row) }))}
+          columns={[{ key: 'TOWN', label: t('map.town') }, { key: 'value', label: metric.fullLabel || metric.label }]}
+        />
+      </div>
+
+      {unmatchedRows.length > 0 && (
+        <div className="rounded-lg p-4 border-l-4 bg-amber-50 border-amber-500">
+          <h4 className="font-semibold text-slate-800 mb-2">
+            ⚠️ {t('map.unmatched', { count: unmatchedRows.length })}
+          </h4>
+          <div className="flex flex-wrap gap-2">
+            {unmatchedRows.map(row => (
+              <span key={row.TOWN} className="text-xs font-mono px-2 py-1 rounded bg-amber-100 text-amber-800">
+                {row.TOWN}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MapView;
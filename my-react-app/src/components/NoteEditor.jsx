@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { formatNoteDate } from '../annotations';
+import { t } from '../i18n';
+
+const NO_NOTES = [];
+
+// Notes on one target with a box to add another. Shown under the heatmap for the selected cell,
+// under a scatter chart for the selected town and in the town legend.
+const NoteEditor = ({ title, notes = NO_NOTES, onAdd, onRemove, onClose }) => {
+  const [text, setText] = useState('');
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    onAdd(text);
+    setText('');
+  };
+
+  return (
+    <div className="mt-4 rounded-lg border border-violet-200 bg-violet-50 p-4">
+      <div className="flex items-start justify-between gap-3 mb-2">
+        <h4 className="font-semibold text-slate-800">📝 {title}</h4>
+        {onClose && (
+          <button type="button" onClick={onClose} className="text-sm text-slate-500 hover:underline print:hidden">
+            {t('annotations.close')}
+          </button>
+        )}
+      </div>
+      {notes.length === 0 ? (
+        <p className="text-sm text-slate-500">{t('annotations.none')}</p>
+      ) : (
+        <ul className="space-y-2 mb-3">
+          {notes.map(note => (
+            <li key={note.id} className="flex items-start justify-between gap-3 text-sm">
+              <span className="text-slate-800 whitespace-pre-wrap">
+                {note.text} <span className="text-xs text-slate-500">{formatNoteDate(note.createdAt)}</span>
+              </span>
+              <button
+                type="button"
+                onClick={() => onRemove(note.id)}
+                className="text-xs text-red-600 hover:underline shrink-0 print:hidden"
+                aria-label={t('annotations.deleteLabel', { text: note.text })}
+              >
+                {t('annotations.delete')}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form onSubmit={submit} className="flex flex-col sm:flex-row gap-2 mt-2 print:hidden">
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          rows={2}
+          placeholder={t('annotations.placeholder')}
+          aria-label={t('annotations.addLabel', { target: title })}
+          className="flex-1 border border-slate-300 rounded-lg px-3 py-2 text-sm"
+        />
+        <button
+          type="submit"
+          disabled={!text.trim()}
+          className="px-4 py-2 rounded-lg font-medium transition-colors bg-violet-600 text-white hover:bg-violet-700 disabled:opacity-50 self-start"
+        >
+          {t('annotations.add')}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default NoteEditor;
@@ -0,0 +1,119 @@
+import React, { memo } from 'react';
+import { XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar } from 'recharts';
+import ExportMenu from './ExportMenu';
+import ChartTable from './ChartTable';
+import TownBarChart from './TownBarChart';
+import { fundingKey, formatFunding, getNormalization } from '../normalization';
+import { isLowerBetter, formatMetric } from '../metrics';
+import { hasManyTowns } from '../townLayout';
+import { t } from '../i18n';
+
+const OverviewView = ({ data, healthMetrics, fundingMetrics, normalization, onSelectTown }) => {
+  const norm = getNormalization(normalization);
+  // Grouped bars per town stop being readable at state scale; switch to one sorted series at a time
+  const many = hasManyTowns(data);
+  const healthColumns = ['TOWN', ...healthMetrics.map(m => m.key)];
+  const fundingColumns = ['TOWN', 'population_count', ...fundingMetrics.map(m => fundingKey(m.key, normalization))];
+  const fundingAxis = `${norm.title} (${norm.axisUnit})`;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-md p-6 break-inside-avoid" data-export-card>
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <h3 className="text-xl font-bold text-slate-800">
+            {t('overview.healthTitle')}
+          </h3>
+          <ExportMenu name="health-outcomes-by-town" getCsv={() => ({ rows: data, columns: healthColumns })} />
+        </div>
+        {many ? (
+          <TownBarChart
+            rows={data}
+            series={healthMetrics.map(m => ({ key: m.key, dataKey: m.key, label: m.fullLabel, color: m.color }))}
+            format={(value, series) => formatMetric(value, healthMetrics.find(m => m.key === series.key))}
+            axisLabel={t('overview.prevalenceAxis')}
+          />
+        ) : (
+          <ResponsiveContainer width="100%" height={400}>
+            <BarChart data={data} margin={{ top: 20, right: 30, left: 20, bottom: 60 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis dataKey="TOWN" angle={-45} textAnchor="end" height={80} />
+              <YAxis label={{ value: t('overview.prevalenceAxis'), angle: -90, position: 'insideLeft' }} />
+              <Tooltip formatter={(value, name, item) => formatMetric(value, healthMetrics.find(m => m.key === item.dataKey))} />
+              <Legend />
+              {healthMetrics.map(metric => (
+                <Bar key={metric.key} dataKey={metric.key} fill={metric.color} name={metric.fullLabel} />
+              ))}
+            </BarChart>
+          </ResponsiveContainer>
+        )}
+        <ChartTable caption={t('overview.healthCaption')} rows={data} columns={healthColumns} />
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6 break-inside-avoid" data-export-card>
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <h3 className="text-xl font-bold text-slate-800">
+            {t('overview.fundingTitle', { mode: norm.title })}
+          </h3>
+          <ExportMenu name={`cpa-${norm.key}-by-category`} getCsv={() => ({ rows: data, columns: fundingColumns })} />
+        </div>
+        {many ? (
+          <TownBarChart
+            rows={data}
+            series={fundingMetrics.map(m => ({ key: m.key, dataKey: fundingKey(m.key, normalization), label: m.label, color: m.color }))}
+            format={(value) => formatFunding(value, normalization)}
+            axisLabel={fundingAxis}
+          />
+        ) : (
+          <ResponsiveContainer width="100%" height={400}>
+            <BarChart data={data} margin={{ top: 20, right: 30, left: 20, bottom: 60 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis dataKey="TOWN" angle={-45} textAnchor="end" height={80} />
+              <YAxis label={{ value: fundingAxis, angle: -90, position: 'insideLeft' }} />
+              <Tooltip formatter={(value) => formatFunding(value, normalization)} />
+              <Legend />
+              {fundingMetrics.map(metric => (
+                <Bar key={metric.key} dataKey={fundingKey(metric.key, normalization)} fill={metric.color} name={metric.label} />
+              ))}
+            </BarChart>
+          </ResponsiveContainer>
+        )}
+        <ChartTable caption={t('overview.fundingCaption', { mode: norm.title.toLowerCase() })} rows={data} columns={fundingColumns} />
+      </div>
+
+      <div className="bg-gradient-to-r from-violet-50 to-purple-50 rounded-lg shadow-md p-6">
+        <h3 className="text-xl font-bold text-slate-800 mb-4">{t('overview.keyStatistics')}</h3>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {healthMetrics.map(metric => {
+            const values = data.map(d => d[metric.key]).filter(Number.isFinite);
+            const avg = values.reduce((a, b) => a + b, 0) / values.length;
+            const min = Math.min(...values);
+            const max = Math.max(...values);
+            const best = isLowerBetter(metric) ? min : max;
+            const worst = isLowerBetter(metric) ? max : min;
+            const bestTown = data.find(d => d[metric.key] === best)?.TOWN;
+            const worstTown = data.find(d => d[metric.key] === worst)?.TOWN;
+
+            return (
+              <div key={metric.key} className="bg-white rounded-lg p-4">
+                <h4 className="font-semibold mb-2" style={{ color: metric.color }}>
+                  {metric.icon} {metric.label}
+                </h4>
+                <div className="text-sm space-y-1">
+                  <p className="text-slate-700">{t('overview.average')} <strong>{formatMetric(avg, metric)}</strong></p>
+                  <p className="text-green-700">
+                    {t('overview.best')} <button type="button" onClick={() => onSelectTown(bestTown)} className="font-bold hover:underline">{bestTown}</button> ({formatMetric(best, metric)})
+                  </p>
+                  <p className="text-red-700">
+                    {t('overview.worst')} <button type="button" onClick={() => onSelectTown(worstTown)} className="font-bold hover:underline">{worstTown}</button> ({formatMetric(worst, metric)})
+                  </p>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default memo(OverviewView);
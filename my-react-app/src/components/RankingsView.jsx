@@ -0,0 +1,267 @@
+import React, { memo, useMemo, useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import ExportMenu from './ExportMenu';
+import { formatFunding } from '../normalization';
+import { formatNumber } from '../format';
+import { t } from '../i18n';
+import {
+  INDEX_SCALINGS,
+  DEFAULT_INDEX_SCALING,
+  DEFAULT_WEIGHT,
+  MAX_WEIGHT,
+  buildRankings,
+  rankValues,
+  spendsHeavilyRanksPoorly
+} from '../rankings';
+
+// The slope chart draws one line per town, so it shows a readable subset; the tables list them all
+const SLOPE_TOWNS = 15;
+const SLOPE_SUBSETS = ['health', 'funding', 'mismatched'];
+const SLOPE_STAGES = ['health', 'funding'];
+
+const formatIndex = (value) => formatNumber(value, { digits: 2 });
+
+const RankingsView = ({ data, healthMetrics, townColors }) => {
+  const [weights, setWeights] = useState({});
+  const [scaling, setScaling] = useState(DEFAULT_INDEX_SCALING);
+  const [subset, setSubset] = useState('health');
+
+  const weightOf = (key) => weights[key] ?? DEFAULT_WEIGHT;
+  const rankings = useMemo(() => buildRankings(data, healthMetrics, weights, scaling), [data, healthMetrics, weights, scaling]);
+  const n = rankings.length;
+  const mismatched = useMemo(() => rankings
+    .filter(d => spendsHeavilyRanksPoorly(d, n))
+    .sort((a, b) => b.gap - a.gap), [rankings, n]);
+  const byFunding = useMemo(
+    () => [...rankings].sort((a, b) => (a.fundingRank ?? Infinity) - (b.fundingRank ?? Infinity)),
+    [rankings]
+  );
+  const activeMetrics = healthMetrics.filter(m => weightOf(m.key) > 0);
+  const highlighted = new Set(mismatched.map(d => d.town));
+  const subsets = SLOPE_SUBSETS.filter(key => key !== 'mismatched' || mismatched.length > 0);
+  const shownSubset = subsets.includes(subset) ? subset : 'health';
+
+  // Bump chart of the chosen towns: each line joins a town's place among them on health (left)
+  // and on funding (right). Series use index keys, since town names can contain '.' or '['
+  // which recharts would read as a path into the data.
+  const slope = useMemo(() => {
+    const source = { health: rankings, funding: byFunding, mismatched }[shownSubset];
+    const towns = source
+      .filter(d => d.healthRank !== null && d.fundingRank !== null)
+      .slice(0, SLOPE_TOWNS)
+      .map((d, i) => ({ ...d, key: `s${i}` }));
+    const positions = {
+      health: rankValues(towns.map(d => -d.healthRank)),
+      funding: rankValues(towns.map(d => -d.fundingRank))
+    };
+    return {
+      towns,
+      byKey: new Map(towns.map(d => [d.key, d])),
+      data: SLOPE_STAGES.map(stage => ({
+        stage,
+        ...Object.fromEntries(towns.map((d, i) => [d.key, positions[stage][i]]))
+      }))
+    };
+  }, [rankings, byFunding, mismatched, shownSubset]);
+  const rankAt = (d, stage) => (stage === 'health' ? d.healthRank : d.fundingRank);
+  const townLabel = (d) => ({ x, y, index }) => {
+    const left = index === 0;
+    return (
+      <text x={left ? x - 8 : x + 8} y={y} dy={4} fontSize={11} textAnchor={left ? 'end' : 'start'} fill="#334155">
+        {t('rankings.slopeLabel', { town: d.town, rank: rankAt(d, SLOPE_STAGES[index]) })}
+      </text>
+    );
+  };
+
+  const rankingsCsv = () => ({
+    rows: rankings.map(d => ({
+      TOWN: d.town,
+      health_index: d.index,
+      health_rank: d.healthRank,
+      CPA_TOT_PC: d.funding,
+      funding_rank: d.fundingRank,
+      rank_gap: d.gap,
+      ...Object.fromEntries(activeMetrics.map(m => [`${m.key}_score`, d.components[m.key]]))
+    })),
+    columns: ['TOWN', 'health_index', 'health_rank', 'CPA_TOT_PC', 'funding_rank', 'rank_gap', ...activeMetrics.map(m => `${m.key}_score`)]
+  });
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-xl font-bold text-slate-800 mb-2">🏆 {t('rankings.title')}</h3>
+        <p className="text-sm text-slate-600 mb-4">
+          {t('rankings.intro', { count: n })}
+        </p>
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          <span className="text-sm text-slate-600 font-medium">{t('rankings.scalingLabel')}</span>
+          {INDEX_SCALINGS.map(key => (
+            <button
+              key={key}
+              type="button"
+              onClick={() => setScaling(key)}
+              title={t(`rankings.scaling.${key}.description`)}
+              className={`px-3 py-1 rounded-lg text-sm font-medium transition-colors ${
+                scaling === key ? 'bg-violet-600 text-white' : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
+              }`}
+            >
+              {t(`rankings.scaling.${key}.label`)}
+            </button>
+          ))}
+          <span className="text-xs text-slate-500">{t(`rankings.scaling.${scaling}.description`)}</span>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {healthMetrics.map(m => (
+            <label key={m.key} className="text-sm text-slate-700">
+              <span className="flex items-center justify-between mb-1">
+                <span>{m.icon} {m.label}</span>
+                <span className="font-mono">× {weightOf(m.key)}</span>
+              </span>
+              <input
+                type="range"
+                min={0}
+                max={MAX_WEIGHT}
+                step={0.5}
+                value={weightOf(m.key)}
+                onChange={(e) => setWeights({ ...weights, [m.key]: Number(e.target.value) })}
+                className="w-full accent-violet-600"
+                aria-label={t('rankings.weightLabel', { label: m.label })}
+              />
+            </label>
+          ))}
+        </div>
+        {activeMetrics.length === 0 && (
+          <p className="text-sm text-red-700 mt-3">{t('rankings.noWeights')}</p>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6 break-inside-avoid" data-export-card>
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-2">
+          <h3 className="text-xl font-bold text-slate-800">{t('rankings.slopeTitle')}</h3>
+          <ExportMenu name="health-vs-funding-rank" getCsv={rankingsCsv} />
+        </div>
+        <p className="text-sm text-slate-600 mb-3">
+          {t('rankings.slopeIntro', { count: n })}
+          {mismatched.length > 0 && ` ${t('rankings.slopeHighlight')}`}
+        </p>
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          <span className="text-sm text-slate-600 font-medium">{t('rankings.subsetLabel')}</span>
+          {subsets.map(key => (
+            <button
+              key={key}
+              type="button"
+              onClick={() => setSubset(key)}
+              className={`px-3 py-1 rounded-lg text-sm font-medium transition-colors ${
+                shownSubset === key ? 'bg-violet-600 text-white' : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
+              }`}
+            >
+              {t(`rankings.subsets.${key}`, { count: Math.min(SLOPE_TOWNS, n) })}
+            </button>
+          ))}
+          <span className="text-xs text-slate-500">{t('rankings.subsetShown', { shown: slope.towns.length, count: n })}</span>
+        </div>
+        <ResponsiveContainer width="100%" height={Math.max(300, slope.towns.length * 26)}>
+          <LineChart data={slope.data} margin={{ top: 20, right: 160, left: 160, bottom: 20 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" vertical={false} />
+            <XAxis dataKey="stage" padding={{ left: 20, right: 20 }} tickFormatter={(stage) => t(`rankings.stages.${stage}`)} />
+            <YAxis reversed domain={[1, Math.max(slope.towns.length, 1)]} allowDecimals={false} hide />
+            <Tooltip
+              labelFormatter={(stage) => t(`rankings.stages.${stage}`)}
+              formatter={(value, name, item) => t('rankings.rankValue', { rank: rankAt(slope.byKey.get(item.dataKey), item.payload.stage) })}
+              itemSorter={(item) => item.value}
+            />
+            {slope.towns.map(d => (
+              <Line
+                key={d.key}
+                dataKey={d.key}
+                name={d.town}
+                stroke={townColors[d.town]}
+                strokeWidth={highlighted.has(d.town) ? 4 : 1.5}
+                strokeOpacity={highlighted.size === 0 || highlighted.has(d.town) ? 1 : 0.35}
+                dot={{ r: 3 }}
+                label={townLabel(d)}
+                isAnimationActive={false}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      {mismatched.length > 0 && (
+        <div className="rounded-lg p-4 border-l-4 bg-amber-50 border-amber-500 text-sm text-slate-700">
+          <strong>{t('rankings.mismatchedTitle')}</strong>{' '}
+          {t('rankings.mismatched', {
+            towns: mismatched.map(d => t('rankings.mismatchedTown', { town: d.town, funding: d.fundingRank, health: d.healthRank })).join(', ')
+          })}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h4 className="text-lg font-bold text-slate-800 mb-3">{t('rankings.byHealth')}</h4>
+          <div className="overflow-x-auto max-h-[32rem] overflow-y-auto">
+            <table className="w-full text-sm border-collapse">
+              <thead>
+                <tr className="bg-slate-100">
+                  <th className="border border-slate-200 p-2 text-right">{t('rankings.rank')}</th>
+                  <th className="border border-slate-200 p-2 text-left">{t('rankings.town')}</th>
+                  <th className="border border-slate-200 p-2 text-right">{t('rankings.index')}</th>
+                  {activeMetrics.map(m => (
+                    <th key={m.key} className="border border-slate-200 p-2 text-right">{m.label}</th>
+                  ))}
+                  <th className="border border-slate-200 p-2 text-right">{t('rankings.fundingRank')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rankings.map(d => (
+                  <tr key={d.town} className={highlighted.has(d.town) ? 'bg-amber-50' : ''}>
+                    <td className="border border-slate-200 p-2 text-right font-mono">{d.healthRank ?? '—'}</td>
+                    <td className="border border-slate-200 p-2">{d.town}</td>
+                    <td className="border border-slate-200 p-2 text-right font-mono font-semibold">{formatIndex(d.index)}</td>
+                    {activeMetrics.map(m => (
+                      <td key={m.key} className="border border-slate-200 p-2 text-right font-mono">{formatIndex(d.components[m.key])}</td>
+                    ))}
+                    <td className="border border-slate-200 p-2 text-right font-mono">{d.fundingRank ?? '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h4 className="text-lg font-bold text-slate-800 mb-3">{t('rankings.byFunding')}</h4>
+          <div className="overflow-x-auto max-h-[32rem] overflow-y-auto">
+            <table className="w-full text-sm border-collapse">
+              <thead>
+                <tr className="bg-slate-100">
+                  <th className="border border-slate-200 p-2 text-right">{t('rankings.rank')}</th>
+                  <th className="border border-slate-200 p-2 text-left">{t('rankings.town')}</th>
+                  <th className="border border-slate-200 p-2 text-right">{t('rankings.perResident')}</th>
+                  <th className="border border-slate-200 p-2 text-right">{t('rankings.healthRank')}</th>
+                  <th className="border border-slate-200 p-2 text-right">{t('rankings.gap')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {byFunding.map(d => (
+                  <tr key={d.town} className={highlighted.has(d.town) ? 'bg-amber-50' : ''}>
+                    <td className="border border-slate-200 p-2 text-right font-mono">{d.fundingRank ?? '—'}</td>
+                    <td className="border border-slate-200 p-2">{d.town}</td>
+                    <td className="border border-slate-200 p-2 text-right font-mono">{formatFunding(d.funding, 'perCapita')}</td>
+                    <td className="border border-slate-200 p-2 text-right font-mono">{d.healthRank ?? '—'}</td>
+                    <td className={`border border-slate-200 p-2 text-right font-mono ${d.gap > 0 ? 'text-red-700' : d.gap < 0 ? 'text-green-700' : ''}`}>
+                      {d.gap === null ? '—' : `${d.gap > 0 ? '+' : ''}${d.gap}`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-slate-500 mt-2">{t('rankings.gapNote')}</p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default memo(RankingsView);
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { multipleRegression, significanceMarker } from '../stats';
+import { formatR, formatPValue, formatCoefficient } from '../format';
+import { fundingValue, getNormalization } from '../normalization';
+import { t } from '../i18n';
+
+const POPULATION_CONTROL = {
+  key: 'population_count',
+  icon: '👥',
+  color: '#64748b'
+};
+
+const RegressionView = ({ data, healthMetrics, fundingMetrics, normalization }) => {
+  const predictorOptions = [...fundingMetrics, { ...POPULATION_CONTROL, label: t('regression.population') }];
+  const [selected, setSelected] = useState(fundingMetrics.map(m => m.key));
+
+  const predictors = predictorOptions.filter(m => selected.includes(m.key));
+  const n = data.length;
+  const norm = getNormalization(normalization);
+
+  const togglePredictor = (key) => {
+    setSelected(current => current.includes(key) ? current.filter(k => k !== key) : [...current, key]);
+  };
+
+  const predictorValue = (row, predictor) => predictor.key === POPULATION_CONTROL.key
+    ? row.population_count
+    : fundingValue(row, predictor.key, normalization);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h3 className="text-xl font-bold text-slate-800 mb-2">
+          🧮 {t('regression.title')}
+        </h3>
+        <p className="text-sm text-slate-600 mb-4">
+          {t('regression.intro', { mode: norm.label })}
+        </p>
+        <div className="flex flex-wrap gap-2">
+          {predictorOptions.map(option => (
+            <label
+              key={option.key}
+              className={`flex items-center gap-2 px-3 py-1 rounded-lg text-sm cursor-pointer border ${
+                selected.includes(option.key) ? 'border-violet-600 bg-violet-50' : 'border-slate-200 bg-slate-50'
+              }`}
+            >
+              <input
+                type="checkbox"
+                checked={selected.includes(option.key)}
+                onChange={() => togglePredictor(option.key)}
+                className="accent-violet-600"
+              />
+              {option.icon} {option.label}
+              {option.key === POPULATION_CONTROL.key && <span className="text-xs text-slate-500">{t('regression.control')}</span>}
+            </label>
+          ))}
+        </div>
+
+        {predictors.length >= n && (
+          <div className="mt-4 rounded-lg p-3 border-l-4 bg-red-50 border-red-500 text-sm text-slate-700">
+            ⚠️ {t('regression.tooManyPredictors', { predictors: predictors.length, n })}
+          </div>
+        )}
+        {predictors.length < n && n - predictors.length - 1 < 5 && (
+          <div className="mt-4 rounded-lg p-3 border-l-4 bg-amber-50 border-amber-500 text-sm text-slate-700">
+            ⚠️ {t('regression.fewDegrees', { df: Math.max(n - predictors.length - 1, 0) })}
+          </div>
+        )}
+      </div>
+
+      {predictors.length === 0 ? (
+        <p className="text-slate-600">{t('regression.noPredictors')}</p>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {healthMetrics.map(healthMetric => {
+            const X = data.map(row => predictors.map(p => predictorValue(row, p)));
+            const y = data.map(row => row[healthMetric.key]);
+            const model = multipleRegression(X, y, predictors.map(p => p.label));
+
+            return (
+              <div key={healthMetric.key} className="bg-white rounded-lg shadow-md p-6">
+                <h4 className="text-lg font-bold text-slate-800 mb-3">
+                  {healthMetric.icon} {healthMetric.fullLabel}
+                </h4>
+
+                {model.coefficients ? (
+                  <>
+                    <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs font-mono text-slate-600 mb-3">
+                      <span>n = {model.n}</span>
+                      <span>df = {model.df}</span>
+                      <span>R² = {formatR(model.rSquared, 3)}</span>
+                      <span>{t('regression.adjustedR2', { value: formatR(model.adjustedRSquared, 3) })}</span>
+                    </div>
+                    <table className="w-full text-sm border-collapse">
+                      <thead>
+                        <tr className="bg-slate-100">
+                          <th className="border border-slate-200 p-2 text-left">{t('regression.predictor')}</th>
+                          <th className="border border-slate-200 p-2 text-right">{t('regression.coefficient')}</th>
+                          <th className="border border-slate-200 p-2 text-right">{t('regression.stdError')}</th>
+                          <th className="border border-slate-200 p-2 text-right">t</th>
+                          <th className="border border-slate-200 p-2 text-right">p</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {model.coefficients.map((c, i) => (
+                          <tr key={c.name}>
+                            <td className="border border-slate-200 p-2">{i === 0 ? t('regression.intercept') : c.name}</td>
+                            <td className="border border-slate-200 p-2 text-right font-mono">
+                              {formatCoefficient(c.estimate)}{significanceMarker(c.pValue)}
+                            </td>
+                            <td className="border border-slate-200 p-2 text-right font-mono">{formatCoefficient(c.se)}</td>
+                            <td className="border border-slate-200 p-2 text-right font-mono">{formatR(c.t)}</td>
+                            <td className="border border-slate-200 p-2 text-right font-mono">{formatPValue(c.pValue)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </>
+                ) : null}
+
+                {model.status !== 'ok' && (
+                  <p className="text-sm text-red-700 mt-3">{t(`regression.status.${model.status}`)}</p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <p className="text-xs text-slate-500">
+        {t('regression.note')}
+      </p>
+    </div>
+  );
+};
+
+export default RegressionView;
@@ -0,0 +1,67 @@
+import React from 'react';
+import { ITERATION_OPTIONS } from '../resampling';
+import { formatNumber, formatPercent } from '../format';
+import { t } from '../i18n';
+
+// Settings and progress for the permutation/bootstrap run in the Web Worker
+const ResamplingControls = ({ status, progress, error, stale, iterations, onIterationsChange, seed, onSeedChange, onRun, onCancel }) => {
+  const running = status === 'running';
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-sm">
+      <span className="text-slate-600 font-medium">🎲 {t('resampling.label')}</span>
+      <label className="flex items-center gap-2 text-slate-600">
+        {t('resampling.iterations')}
+        <select
+          value={iterations}
+          onChange={(e) => onIterationsChange(Number(e.target.value))}
+          disabled={running}
+          className="border border-slate-300 rounded-lg px-2 py-1"
+        >
+          {ITERATION_OPTIONS.map(n => <option key={n} value={n}>{formatNumber(n)}</option>)}
+        </select>
+      </label>
+      <label className="flex items-center gap-2 text-slate-600">
+        {t('resampling.seed')}
+        <input
+          type="number"
+          value={seed}
+          onChange={(e) => onSeedChange(Math.trunc(Number(e.target.value)) || 0)}
+          disabled={running}
+          className="w-24 border border-slate-300 rounded-lg px-2 py-1"
+        />
+      </label>
+      {running ? (
+        <>
+          <div className="w-40 h-2 bg-slate-200 rounded-full overflow-hidden" role="progressbar" aria-valuenow={Math.round(progress * 100)} aria-valuemin={0} aria-valuemax={100}>
+            <div className="h-full bg-violet-600 transition-all" style={{ width: `${progress * 100}%` }}></div>
+          </div>
+          <span className="font-mono text-slate-600">{formatPercent(progress * 100, 0)}</span>
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-3 py-1 rounded-lg font-medium transition-colors bg-slate-100 text-slate-700 hover:bg-slate-200"
+          >
+            {t('resampling.cancel')}
+          </button>
+        </>
+      ) : (
+        <button
+          type="button"
+          onClick={onRun}
+          className="px-3 py-1 rounded-lg font-medium transition-colors bg-violet-600 text-white hover:bg-violet-700"
+        >
+          {t('resampling.run')}
+        </button>
+      )}
+      {status === 'done' && !stale && (
+        <span className="text-xs text-green-700">{t('resampling.done')}</span>
+      )}
+      {stale && !running && (
+        <span className="text-xs text-amber-700">{t('resampling.stale')}</span>
+      )}
+      {error && <span className="text-xs text-red-600">{t('resampling.error', { error })}</span>}
+    </div>
+  );
+};
+
+export default ResamplingControls;
@@ -0,0 +1,327 @@
+import React, { memo, useMemo, useState } from 'react';
+import { ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Symbols } from 'recharts';
+import { correlationTest, linearRegression, significanceMarker } from '../stats';
+import { formatR, formatCI, formatP, formatCoefficient, formatNumber } from '../format';
+import { fundingValue, fundingAxisLabel, formatFunding, getNormalization } from '../normalization';
+import { formatMetric, metricAxisLabel, isLowerBetter } from '../metrics';
+import { pointTarget, targetKey, joinNotes } from '../annotations';
+import { t } from '../i18n';
+import ExportMenu from './ExportMenu';
+import ChartTable from './ChartTable';
+import NoteEditor from './NoteEditor';
+
+const FIT_STEPS = 40;
+const MARKER_SIZE = 64;
+const NO_SHAPES = {};
+const NO_ANNOTATIONS = new Map();
+const NO_NOTES = [];
+
+// Trend and band lines are drawn as point-less scatter series so they share the chart's axes
+const renderNothing = () => <g />;
+
+const buildFitLines = (fit, xs, logScale) => {
+  const min = Math.min(...xs);
+  const max = Math.max(...xs);
+  const fitLine = [];
+  const upperLine = [];
+  const lowerLine = [];
+  for (let i = 0; i <= FIT_STEPS; i++) {
+    const step = i / FIT_STEPS;
+    const x = logScale
+      ? 10 ** (Math.log10(min) + step * (Math.log10(max) - Math.log10(min)))
+      : min + step * (max - min);
+    const fx = logScale ? Math.log10(x) : x;
+    const [lower, upper] = fit.band(fx);
+    fitLine.push({ x, y: fit.predict(fx) });
+    upperLine.push({ x, y: upper });
+    lowerLine.push({ x, y: lower });
+  }
+  return { fitLine, upperLine, lowerLine };
+};
+
+const ScatterCard = ({
+  healthMetric,
+  funding,
+  data,
+  normalization,
+  correlationMethod,
+  logScale,
+  townColors,
+  townShapes = NO_SHAPES,
+  resampling,
+  annotations = NO_ANNOTATIONS,
+  onAddAnnotation,
+  onRemoveAnnotation
+}) => {
+  const [focusedTown, setFocusedTown] = useState(null);
+  // Clicking a marker (or Enter on a focused one) opens the notes for that town in this chart
+  const [selectedTown, setSelectedTown] = useState(null);
+  const notesFor = (town) => annotations.get(targetKey(pointTarget(town, healthMetric.key, funding.key))) || NO_NOTES;
+  // Focusing a marker re-renders the card, so the fit and residuals are only redone when the inputs change
+  const points = useMemo(() => data
+    .map(d => ({
+      town: d.TOWN,
+      x: fundingValue(d, funding.key, normalization),
+      y: d[healthMetric.key],
+      population: d.population_count,
+      color: townColors[d.TOWN] || funding.color,
+      shape: townShapes[d.TOWN] || 'circle'
+    }))
+    .filter(d => Number.isFinite(d.x) && Number.isFinite(d.y)), [data, funding, healthMetric, normalization, townColors, townShapes]);
+
+  // Log scale cannot show zero funding, so those towns are left off the chart and the fit
+  const plotted = useMemo(() => (logScale ? points.filter(d => d.x > 0) : points), [points, logScale]);
+  const droppedForLog = points.length - plotted.length;
+
+  const result = useMemo(
+    () => correlationTest(points.map(d => d.x), points.map(d => d.y), { method: correlationMethod }),
+    [points, correlationMethod]
+  );
+  const correlation = result.r;
+  const significant = result.pValue < 0.05;
+
+  const { fit, lines, residuals } = useMemo(() => {
+    const toFitX = (x) => logScale ? Math.log10(x) : x;
+    const fit = linearRegression(plotted.map(d => toFitX(d.x)), plotted.map(d => d.y));
+    if (!fit) return { fit, lines: null, residuals: [] };
+    const residuals = plotted
+      .map(d => {
+        const predicted = fit.predict(toFitX(d.x));
+        const residual = d.y - predicted;
+        // For lower-is-better measures (prevalence) a value above the fit is the unhealthy side
+        const worse = isLowerBetter(healthMetric) ? residual > 0 : residual < 0;
+        return { ...d, predicted, residual, worse, standardized: residual / fit.residualSE };
+      })
+      .sort((a, b) => Math.abs(b.residual) - Math.abs(a.residual));
+    return { fit, lines: buildFitLines(fit, plotted.map(d => d.x), logScale), residuals };
+  }, [plotted, logScale, healthMetric]);
+
+  const csvRows = useMemo(() => {
+    const byTown = new Map(residuals.map(r => [r.town, r]));
+    return plotted.map(d => {
+      const residual = byTown.get(d.town);
+      return {
+        town: d.town,
+        funding: d.x,
+        health: d.y,
+        population: d.population,
+        predicted: residual ? residual.predicted : null,
+        residual: residual ? residual.residual : null,
+        notes: joinNotes(annotations.get(targetKey(pointTarget(d.town, healthMetric.key, funding.key))))
+      };
+    });
+  }, [plotted, residuals, annotations, healthMetric, funding]);
+  const csvColumns = [
+    { key: 'town', label: 'TOWN' },
+    { key: 'funding', label: `${funding.key} (${getNormalization(normalization).label})` },
+    { key: 'health', label: healthMetric.key },
+    { key: 'population', label: 'population_count' },
+    { key: 'predicted', label: 'predicted' },
+    { key: 'residual', label: 'residual' },
+    { key: 'notes', label: 'notes' }
+  ];
+
+  const describePoint = (d) => {
+    const notes = notesFor(d.town);
+    return `${t('scatter.point', {
+      town: d.town,
+      funding: funding.label,
+      fundingValue: formatFunding(d.x, normalization),
+      health: healthMetric.label,
+      healthValue: formatMetric(d.y, healthMetric),
+      population: formatNumber(d.population)
+    })}${notes.length ? t('annotations.cellHasNotes', { count: notes.length }) : ''}`;
+  };
+  const focused = plotted.find(d => d.town === focusedTown);
+  const annotatedCount = plotted.filter(d => notesFor(d.town).length > 0).length;
+
+  // Each town is a focusable marker; focusing one announces it through the live region below.
+  // Towns with notes on this chart get a ring around their marker.
+  const renderMarker = ({ cx, cy, payload }) => (
+    <g
+      tabIndex={0}
+      role="img"
+      aria-label={describePoint(payload)}
+      onFocus={() => setFocusedTown(payload.town)}
+      onBlur={() => setFocusedTown(null)}
+      onClick={onAddAnnotation ? () => setSelectedTown(payload.town) : undefined}
+      onKeyDown={onAddAnnotation ? (e) => { if (e.key === 'Enter') setSelectedTown(payload.town); } : undefined}
+      className={`outline-none${onAddAnnotation ? ' cursor-pointer' : ''}`}
+    >
+      {notesFor(payload.town).length > 0 && (
+        <circle cx={cx} cy={cy} r={9} fill="none" stroke="#7c3aed" strokeWidth={2} />
+      )}
+      <Symbols
+        cx={cx}
+        cy={cy}
+        type={payload.shape}
+        size={MARKER_SIZE}
+        fill={payload.color}
+        stroke={payload.town === focusedTown ? '#0f172a' : '#ffffff'}
+        strokeWidth={payload.town === focusedTown ? 2.5 : 1}
+      />
+    </g>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 break-inside-avoid" data-export-card>
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-md font-semibold text-slate-700">
+          {t('scatter.title', { health: healthMetric.label, funding: funding.label })}
+        </h4>
+        <span
+          className={`text-xs font-mono px-2 py-1 rounded text-right ${
+            !significant ? 'bg-slate-100 text-slate-600' :
+            Math.abs(correlation) > 0.5 ? 'bg-red-100 text-red-800' :
+            Math.abs(correlation) > 0.3 ? 'bg-yellow-100 text-yellow-800' :
+            'bg-green-100 text-green-800'
+          }`}
+          title={t(significant ? 'scatter.significant' : 'scatter.notSignificant')}
+        >
+          {correlationMethod === 'spearman' ? 'ρ' : 'r'} = {formatR(correlation, 3)}{significanceMarker(result.pValue)}
+          <span className="block">
+            {formatCI(result.ci)} · {formatP(result.pValue)}
+          </span>
+        </span>
+      </div>
+
+      <div className="flex justify-end mb-2">
+        <ExportMenu
+          name={t('scatter.title', { health: healthMetric.label, funding: funding.label })}
+          getCsv={() => ({ rows: csvRows, columns: csvColumns })}
+        />
+      </div>
+
+      {resampling && (
+        <p className="text-xs font-mono text-slate-600 mb-2" title={t('scatter.resamplingTitle', { iterations: formatNumber(resampling.iterations), seed: resampling.seed })}>
+          {t('scatter.resampling', { p: formatP(resampling.permutationP), ci: formatCI(resampling.bootstrapCI) })}
+        </p>
+      )}
+
+      {fit ? (
+        <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs font-mono text-slate-600 mb-2">
+          <span title={t(logScale ? 'scatter.slopeLogTitle' : 'scatter.slopeTitle')}>
+            {t(logScale ? 'scatter.slopeLog' : 'scatter.slope', { value: formatCoefficient(fit.slope) })}
+          </span>
+          <span>{t('scatter.intercept', { value: formatCoefficient(fit.intercept) })}</span>
+          <span>R² = {formatR(fit.rSquared, 3)}</span>
+        </div>
+      ) : (
+        <p className="text-xs text-slate-500 mb-2">{t('scatter.noFit')}</p>
+      )}
+
+      <p aria-live="polite" className={`text-xs mb-1 min-h-4 print:hidden ${focused ? 'text-slate-800' : 'text-slate-400'}`}>
+        {focused ? describePoint(focused) : t(onAddAnnotation ? 'scatter.keyboardHintNotes' : 'scatter.keyboardHint')}
+      </p>
+
+      <div role="group" aria-label={t('scatter.chartLabel', { health: healthMetric.label, funding: funding.label })}>
+        <ResponsiveContainer width="100%" height={280}>
+          <ScatterChart margin={{ top: 10, right: 20, bottom: 40, left: 60 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+            <XAxis
+              type="number"
+              dataKey="x"
+              name={funding.label}
+              scale={logScale ? 'log' : 'auto'}
+              domain={['auto', 'auto']}
+              label={{ value: logScale ? t('scatter.logAxis', { axis: fundingAxisLabel(funding.label, normalization) }) : fundingAxisLabel(funding.label, normalization), position: 'bottom', offset: 20, style: { fontSize: 11 } }}
+              tick={{ fontSize: 10 }}
+            />
+            <YAxis
+              type="number"
+              dataKey="y"
+              name={healthMetric.label}
+              domain={['auto', 'auto']}
+              label={{ value: metricAxisLabel(healthMetric), angle: -90, position: 'insideLeft', style: { fontSize: 11 } }}
+              tick={{ fontSize: 10 }}
+            />
+            <Tooltip
+              content={({ active, payload }) => {
+                if (active && payload && payload.length && payload[0].payload.town) {
+                  const d = payload[0].payload;
+                  return (
+                    <div className="bg-white p-3 border border-slate-200 rounded-lg shadow-lg text-xs">
+                      <p className="font-bold text-slate-800">{d.town}</p>
+                      <p className="text-slate-600">
+                        {funding.label}: {formatFunding(d.x, normalization)}
+                      </p>
+                      <p className="text-slate-600">
+                        {healthMetric.label}: {formatMetric(d.y, healthMetric)}
+                      </p>
+                      <p className="text-slate-500 text-xs mt-1">
+                        {t('map.population', { value: formatNumber(d.population) })}
+                      </p>
+                    </div>
+                  );
+                }
+                return null;
+              }}
+            />
+            {lines && (
+              <>
+                <Scatter data={lines.upperLine} line={{ stroke: '#94a3b8', strokeDasharray: '4 4' }} shape={renderNothing} isAnimationActive={false} />
+                <Scatter data={lines.lowerLine} line={{ stroke: '#94a3b8', strokeDasharray: '4 4' }} shape={renderNothing} isAnimationActive={false} />
+                <Scatter data={lines.fitLine} line={{ stroke: '#475569', strokeWidth: 2 }} shape={renderNothing} isAnimationActive={false} />
+              </>
+            )}
+            <Scatter data={plotted} fill={funding.color} shape={renderMarker} isAnimationActive={false} />
+          </ScatterChart>
+        </ResponsiveContainer>
+      </div>
+
+      <p className="text-xs text-slate-500">
+        {t(logScale ? 'scatter.fitNoteLog' : 'scatter.fitNote')}
+        {droppedForLog > 0 && ` ${t('scatter.droppedForLog', { count: droppedForLog })}`}
+        {annotatedCount > 0 && ` ${t('annotations.ringedNote')}`}
+      </p>
+
+      {onAddAnnotation && selectedTown && (
+        <NoteEditor
+          title={t('annotations.pointTitle', { town: selectedTown, health: healthMetric.label, funding: funding.label })}
+          notes={notesFor(selectedTown)}
+          onAdd={(text) => onAddAnnotation(pointTarget(selectedTown, healthMetric.key, funding.key), text)}
+          onRemove={onRemoveAnnotation}
+          onClose={() => setSelectedTown(null)}
+        />
+      )}
+
+      <ChartTable caption={t('scatter.caption', { health: healthMetric.label, funding: funding.label })} rows={csvRows} columns={csvColumns} />
+
+      {residuals.length > 0 && (
+        <details className="mt-3">
+          <summary className="text-sm font-medium text-slate-700 cursor-pointer">
+            {t('scatter.residuals')}
+          </summary>
+          <table className="w-full text-xs border-collapse mt-2">
+            <thead>
+              <tr className="bg-slate-100">
+                <th className="border border-slate-200 p-2 text-left">{t('scatter.town')}</th>
+                <th className="border border-slate-200 p-2 text-right">{t('scatter.actual')}</th>
+                <th className="border border-slate-200 p-2 text-right">{t('scatter.predicted')}</th>
+                <th className="border border-slate-200 p-2 text-right">{t('scatter.residual')}</th>
+                <th className="border border-slate-200 p-2 text-right">{t('scatter.standardized')}</th>
+                <th className="border border-slate-200 p-2 text-left">{t('scatter.compared')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {residuals.map(d => (
+                <tr key={d.town}>
+                  <td className="border border-slate-200 p-2">{d.town}</td>
+                  <td className="border border-slate-200 p-2 text-right font-mono">{formatMetric(d.y, healthMetric)}</td>
+                  <td className="border border-slate-200 p-2 text-right font-mono">{formatMetric(d.predicted, healthMetric)}</td>
+                  <td className="border border-slate-200 p-2 text-right font-mono">{d.residual > 0 ? '+' : ''}{formatNumber(d.residual, { digits: 2 })}</td>
+                  <td className="border border-slate-200 p-2 text-right font-mono">{formatR(d.standardized)}</td>
+                  <td className={`border border-slate-200 p-2 ${d.worse ? 'text-red-700' : 'text-green-700'}`}>
+                    {t(d.worse ? 'scatter.worse' : 'scatter.better')}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </details>
+      )}
+    </div>
+  );
+};
+
+export default memo(ScatterCard);
@@ -0,0 +1,97 @@
+import React, { memo } from 'react';
+import ScatterCard from './ScatterCard';
+import SignificanceNote from './SignificanceNote';
+import CorrelationMethodToggle from './CorrelationMethodToggle';
+import { t } from '../i18n';
+
+// One scatter card per health x funding pair (like the Python script)
+const ScatterPlotGrid = ({
+  language,
+  data,
+  healthMetrics,
+  fundingMetrics,
+  normalization,
+  correlationMethod,
+  onCorrelationMethodChange,
+  logScale,
+  onLogScaleChange,
+  scatterHealth,
+  onScatterHealthChange,
+  scatterFunding,
+  onScatterFundingChange,
+  townColors,
+  townShapes,
+  resamplingResults,
+  annotations,
+  onAddAnnotation,
+  onRemoveAnnotation
+}) => {
+  // A linked pair narrows the grid; unknown keys fall back to showing everything
+  const shownHealth = healthMetrics.filter(m => m.key === scatterHealth);
+  const shownFunding = fundingMetrics.filter(m => m.key === scatterFunding);
+
+  return (
+    <div className="space-y-8">
+      <div className="bg-white rounded-lg shadow-md p-4">
+        <div className="flex flex-wrap items-center gap-6">
+          <CorrelationMethodToggle value={correlationMethod} onChange={onCorrelationMethodChange} />
+          <label className="flex items-center gap-2 text-sm text-slate-600">
+            <input
+              type="checkbox"
+              checked={logScale}
+              onChange={(e) => onLogScaleChange(e.target.checked)}
+              className="accent-violet-600"
+            />
+            {t('scatter.logScale')}
+          </label>
+          <select
+            value={shownHealth.length ? scatterHealth : ''}
+            onChange={(e) => onScatterHealthChange(e.target.value || null)}
+            className="border border-slate-300 rounded-lg px-3 py-1 text-sm"
+          >
+            <option value="">{t('scatter.allHealth')}</option>
+            {healthMetrics.map(m => <option key={m.key} value={m.key}>{m.icon} {m.label}</option>)}
+          </select>
+          <select
+            value={shownFunding.length ? scatterFunding : ''}
+            onChange={(e) => onScatterFundingChange(e.target.value || null)}
+            className="border border-slate-300 rounded-lg px-3 py-1 text-sm"
+          >
+            <option value="">{t('scatter.allFunding')}</option>
+            {fundingMetrics.map(m => <option key={m.key} value={m.key}>{m.icon} {m.label}</option>)}
+          </select>
+        </div>
+        <SignificanceNote n={data.length} />
+      </div>
+      {(shownHealth.length ? shownHealth : healthMetrics).map(healthMetric => (
+        <div key={healthMetric.key}>
+          <h3 className="text-xl font-bold text-slate-800 mb-4">
+            {healthMetric.icon} {t('scatter.sectionTitle', { metric: healthMetric.fullLabel })}
+          </h3>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {(shownFunding.length ? shownFunding : fundingMetrics).map(funding => (
+              <ScatterCard
+                language={language}
+                key={funding.key}
+                healthMetric={healthMetric}
+                funding={funding}
+                data={data}
+                normalization={normalization}
+                correlationMethod={correlationMethod}
+                logScale={logScale}
+                townColors={townColors}
+                townShapes={townShapes}
+                resampling={resamplingResults[`${healthMetric.key}|${funding.key}`]}
+                annotations={annotations}
+                onAddAnnotation={onAddAnnotation}
+                onRemoveAnnotation={onRemoveAnnotation}
+              />
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default memo(ScatterPlotGrid);
@@ -0,0 +1,321 @@
+import React, { memo, useMemo, useState } from 'react';
+import { formatFunding } from '../normalization';
+import { formatCurrency, formatNumber } from '../format';
+import { formatMetric, isLowerBetter } from '../metrics';
+import { t } from '../i18n';
+import {
+  perCapitaFunding,
+  fitScenarioModels,
+  predictScenario,
+  observedRanges,
+  outsideObservedRange,
+  shiftFunding,
+  loadSavedScenarios,
+  storeSavedScenarios
+} from '../scenario';
+
+const DEFAULT_SHIFT = 500000;
+
+const formatChange = (value, metric) => {
+  if (!Number.isFinite(value)) return t('format.notAvailable');
+  return `${value > 0 ? '+' : ''}${formatMetric(value, metric)}`;
+};
+
+const formatInterval = ([low, high], metric) =>
+  Number.isFinite(low) ? `${formatMetric(low, metric)} – ${formatMetric(high, metric)}` : t('format.notAvailable');
+
+// Prediction interval as a band, with the scenario prediction and the actual value marked on it
+const UncertaintyBand = ({ prediction, actual, color }) => {
+  const [low, high] = prediction.pi;
+  if (!Number.isFinite(low)) return <span className="text-xs text-slate-400">{t('scenario.noBand')}</span>;
+  const min = Math.min(low, actual);
+  const max = Math.max(high, actual);
+  const span = max - min || 1;
+  const position = (value) => `${((value - min) / span) * 100}%`;
+  return (
+    <div className="relative h-4 w-40 bg-slate-100 rounded" title={t('scenario.bandTitle')}>
+      <div
+        className="absolute top-1 h-2 rounded"
+        style={{ left: position(low), width: `${((high - low) / span) * 100}%`, backgroundColor: color, opacity: 0.35 }}
+      ></div>
+      <div className="absolute top-0.5 w-3 h-3 -ml-1.5 rounded-full border-2 border-white" style={{ left: position(prediction.fit), backgroundColor: color }}></div>
+      <div className="absolute top-0 w-0.5 h-4 bg-slate-800" style={{ left: position(actual) }}></div>
+    </div>
+  );
+};
+
+// "What if this town funded its CPA categories differently?" Predictions come from the
+// multivariate fit across all shown towns, so they describe association, not effect.
+const ScenarioView = ({ data, healthMetrics, fundingMetrics, town, onSelectTown }) => {
+  const [draft, setDraft] = useState(null);
+  const [shift, setShift] = useState({ from: null, to: null, amount: DEFAULT_SHIFT });
+  const [saved, setSaved] = useState(loadSavedScenarios);
+  const [scenarioName, setScenarioName] = useState('');
+
+  const row = data.find(d => d.TOWN === town) || data[0];
+  const baseline = perCapitaFunding(row, fundingMetrics);
+  const values = draft && draft.town === row.TOWN ? draft.values : baseline;
+  const changed = fundingMetrics.some(m => values[m.key] !== baseline[m.key]);
+
+  // A pick that isn't among the current funding metrics (none yet, or gone after an upload or
+  // import) falls back to the default, so the shift never moves money between missing columns
+  const fundingKeys = fundingMetrics.map(m => m.key);
+  const shiftFrom = fundingKeys.includes(shift.from) ? shift.from : fundingKeys[fundingKeys.length - 1];
+  const shiftTo = fundingKeys.includes(shift.to) ? shift.to : (fundingKeys[1] ?? fundingKeys[0]);
+
+  // The fits only depend on the towns and metrics, not on the draft being edited
+  const models = useMemo(() => fitScenarioModels(data, healthMetrics, fundingMetrics), [data, healthMetrics, fundingMetrics]);
+  const ranges = useMemo(() => observedRanges(data, fundingMetrics), [data, fundingMetrics]);
+  const extrapolated = outsideObservedRange(values, ranges);
+  const anyModel = Object.values(models).find(model => model.coefficients);
+
+  const setValue = (key, value) => setDraft({ town: row.TOWN, values: { ...values, [key]: value } });
+
+  const updateSaved = (next) => {
+    setSaved(next);
+    storeSavedScenarios(next);
+  };
+
+  const saveScenario = () => {
+    const name = scenarioName.trim() || t('scenario.defaultName', { town: row.TOWN, number: saved.filter(s => s.town === row.TOWN).length + 1 });
+    updateSaved([...saved, { id: Math.max(0, ...saved.map(s => s.id)) + 1, name, town: row.TOWN, values, savedAt: new Date().toISOString() }]);
+    setScenarioName('');
+  };
+
+  const loadScenario = (scenario) => {
+    onSelectTown(scenario.town);
+    setDraft({ town: scenario.town, values: { ...perCapitaFunding(data.find(d => d.TOWN === scenario.town), fundingMetrics), ...scenario.values } });
+  };
+
+  const totalDollars = (perCapita) => fundingMetrics.reduce((sum, m) => sum + (perCapita[m.key] || 0), 0) * row.population_count;
+  const buttonClass = 'px-3 py-1 rounded-lg text-sm font-medium transition-colors bg-slate-100 text-slate-700 hover:bg-slate-200';
+
+  return (
+    <div className="space-y-6">
+      <div className="rounded-lg p-4 border-l-4 bg-amber-50 border-amber-500 text-sm text-slate-700">
+        <strong>⚠️ {t('scenario.caveatTitle')}</strong> {t('scenario.caveat', { count: data.length })}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <h3 className="text-xl font-bold text-slate-800">🎛️ {t('scenario.title', { town: row.TOWN })}</h3>
+          <select
+            value={row.TOWN}
+            onChange={(e) => onSelectTown(e.target.value)}
+            className="border border-slate-300 rounded-lg px-3 py-1 text-sm"
+          >
+            {data.map(d => <option key={d.TOWN} value={d.TOWN}>{d.TOWN}</option>)}
+          </select>
+        </div>
+        <p className="text-sm text-slate-600 mb-4">
+          {t('scenario.intro', {
+            town: row.TOWN,
+            population: formatNumber(row.population_count),
+            now: formatCurrency(totalDollars(baseline)),
+            scenario: formatCurrency(totalDollars(values))
+          })}
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-x-8 gap-y-4">
+          {fundingMetrics.map(m => {
+            const [, observedMax] = ranges[m.key];
+            const max = Math.max(observedMax * 1.5, baseline[m.key] * 1.5, 1);
+            return (
+              <div key={m.key}>
+                <label className="flex items-center justify-between text-sm text-slate-700 mb-1">
+                  <span>{m.icon} {m.label}</span>
+                  <span className="font-mono">
+                    {formatFunding(values[m.key], 'perCapita')}
+                    {values[m.key] !== baseline[m.key] && (
+                      <span className="text-slate-400"> {t('scenario.now', { value: formatFunding(baseline[m.key], 'perCapita') })}</span>
+                    )}
+                  </span>
+                </label>
+                <input
+                  type="range"
+                  min={0}
+                  max={max}
+                  step={max / 200}
+                  value={values[m.key] ?? 0}
+                  onChange={(e) => setValue(m.key, Number(e.target.value))}
+                  className="w-full accent-violet-600"
+                  aria-label={t('scenario.sliderLabel', { label: m.label })}
+                />
+                {extrapolated.includes(m.key) && (
+                  <p className="text-xs text-amber-700">
+                    {t('scenario.extrapolated', { low: formatFunding(ranges[m.key][0], 'perCapita'), high: formatFunding(observedMax, 'perCapita') })}
+                  </p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 mt-4 pt-4 border-t border-slate-200 text-sm text-slate-600">
+          {t('scenario.move')}
+          <input
+            type="number"
+            min={0}
+            step={10000}
+            value={shift.amount}
+            onChange={(e) => setShift({ ...shift, amount: Math.max(Number(e.target.value) || 0, 0) })}
+            className="w-32 border border-slate-300 rounded-lg px-2 py-1"
+            aria-label={t('scenario.amountLabel')}
+          />
+          {t('scenario.dollarsFrom')}
+          <select value={shiftFrom} onChange={(e) => setShift({ ...shift, from: e.target.value })} className="border border-slate-300 rounded-lg px-2 py-1">
+            {fundingMetrics.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+          </select>
+          {t('scenario.to')}
+          <select value={shiftTo} onChange={(e) => setShift({ ...shift, to: e.target.value })} className="border border-slate-300 rounded-lg px-2 py-1">
+            {fundingMetrics.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+          </select>
+          <button
+            type="button"
+            onClick={() => setDraft({ town: row.TOWN, values: shiftFunding(values, shiftFrom, shiftTo, shift.amount, row.population_count) })}
+            disabled={shiftFrom === shiftTo}
+            className={`${buttonClass} disabled:opacity-50`}
+          >
+            {t('scenario.apply')}
+          </button>
+          <button type="button" onClick={() => setDraft(null)} disabled={!changed} className={`${buttonClass} disabled:opacity-50 ml-auto`}>
+            {t('scenario.reset')}
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h4 className="text-lg font-bold text-slate-800 mb-3">🏥 {t('scenario.predicted')}</h4>
+        {!anyModel ? (
+          <p className="text-sm text-red-700">
+            {t('scenario.noModel', { count: data.length, categories: fundingMetrics.length })}
+          </p>
+        ) : (
+          <>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm border-collapse">
+                <thead>
+                  <tr className="bg-slate-100">
+                    <th className="border border-slate-200 p-2 text-left">{t('scenario.metric')}</th>
+                    <th className="border border-slate-200 p-2 text-right">{t('scenario.actual')}</th>
+                    <th className="border border-slate-200 p-2 text-right">{t('scenario.fitted')}</th>
+                    <th className="border border-slate-200 p-2 text-right">{t('scenario.scenario')}</th>
+                    <th className="border border-slate-200 p-2 text-right">{t('scenario.change')}</th>
+                    <th className="border border-slate-200 p-2 text-right">{t('scenario.ci')}</th>
+                    <th className="border border-slate-200 p-2 text-right">{t('scenario.pi')}</th>
+                    <th className="border border-slate-200 p-2 text-left">{t('scenario.band')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {healthMetrics.map(metric => {
+                    const model = models[metric.key];
+                    const now = predictScenario(model, fundingMetrics, baseline);
+                    const scenario = predictScenario(model, fundingMetrics, values);
+                    if (!now || !scenario) {
+                      return (
+                        <tr key={metric.key}>
+                          <td className="border border-slate-200 p-2">{metric.icon} {metric.label}</td>
+                          <td className="border border-slate-200 p-2 text-right font-mono">{formatMetric(row[metric.key], metric)}</td>
+                          <td colSpan={6} className="border border-slate-200 p-2 text-slate-500">{t('scenario.modelFailed')}</td>
+                        </tr>
+                      );
+                    }
+                    const change = scenario.fit - now.fit;
+                    const better = isLowerBetter(metric) ? change < 0 : change > 0;
+                    return (
+                      <tr key={metric.key}>
+                        <td className="border border-slate-200 p-2">{metric.icon} {metric.label}</td>
+                        <td className="border border-slate-200 p-2 text-right font-mono">{formatMetric(row[metric.key], metric)}</td>
+                        <td className="border border-slate-200 p-2 text-right font-mono">{formatMetric(now.fit, metric)}</td>
+                        <td className="border border-slate-200 p-2 text-right font-mono font-semibold">{formatMetric(scenario.fit, metric)}</td>
+                        <td className={`border border-slate-200 p-2 text-right font-mono ${change === 0 ? '' : better ? 'text-green-700' : 'text-red-700'}`}>
+                          {formatChange(change, metric)}
+                        </td>
+                        <td className="border border-slate-200 p-2 text-right font-mono">{formatInterval(scenario.ci, metric)}</td>
+                        <td className="border border-slate-200 p-2 text-right font-mono">{formatInterval(scenario.pi, metric)}</td>
+                        <td className="border border-slate-200 p-2">
+                          <UncertaintyBand prediction={scenario} actual={row[metric.key]} color={metric.color} />
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-slate-500 mt-2">
+              {t('scenario.note', { categories: fundingMetrics.length, n: anyModel.n, df: anyModel.df })}
+              {anyModel.status === 'exact' && ` ${t('scenario.exact')}`}
+            </p>
+          </>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h4 className="text-lg font-bold text-slate-800 mb-3">💾 {t('scenario.saved')}</h4>
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          <input
+            type="text"
+            value={scenarioName}
+            onChange={(e) => setScenarioName(e.target.value)}
+            placeholder={t('scenario.namePlaceholder', { town: row.TOWN })}
+            className="border border-slate-300 rounded-lg px-3 py-1 text-sm"
+            aria-label={t('scenario.nameLabel')}
+          />
+          <button
+            type="button"
+            onClick={saveScenario}
+            className="px-3 py-1 rounded-lg text-sm font-medium transition-colors bg-violet-600 text-white hover:bg-violet-700"
+          >
+            {t('scenario.save')}
+          </button>
+        </div>
+        {saved.length === 0 ? (
+          <p className="text-sm text-slate-500">{t('scenario.noSaved')}</p>
+        ) : (
+          <table className="w-full text-sm border-collapse">
+            <thead>
+              <tr className="bg-slate-100">
+                <th className="border border-slate-200 p-2 text-left">{t('scenario.name')}</th>
+                <th className="border border-slate-200 p-2 text-left">{t('scenario.town')}</th>
+                {fundingMetrics.map(m => (
+                  <th key={m.key} className="border border-slate-200 p-2 text-right">{t('scenario.perResident', { label: m.label })}</th>
+                ))}
+                <th className="border border-slate-200 p-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {saved.map(s => {
+                const available = data.some(d => d.TOWN === s.town);
+                return (
+                  <tr key={s.id}>
+                    <td className="border border-slate-200 p-2">{s.name}</td>
+                    <td className="border border-slate-200 p-2">{s.town}</td>
+                    {fundingMetrics.map(m => (
+                      <td key={m.key} className="border border-slate-200 p-2 text-right font-mono">{formatFunding(s.values[m.key], 'perCapita')}</td>
+                    ))}
+                    <td className="border border-slate-200 p-2 whitespace-nowrap">
+                      <button
+                        type="button"
+                        onClick={() => loadScenario(s)}
+                        disabled={!available}
+                        title={available ? undefined : t('scenario.unavailable', { town: s.town })}
+                        className={`${buttonClass} disabled:opacity-50 mr-2`}
+                      >
+                        {t('scenario.load')}
+                      </button>
+                      <button type="button" onClick={() => updateSaved(saved.filter(other => other.id !== s.id))} className={buttonClass}>
+                        {t('scenario.delete')}
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default memo(ScenarioView);
@@ -0,0 +1,135 @@
+import React from 'react';
+import { formatR } from '../format';
+import { formatFunding } from '../normalization';
+import { formatMetric } from '../metrics';
+import { SENSITIVITY_THRESHOLDS } from '../sensitivity';
+import { t } from '../i18n';
+
+const rRange = (sensitivity) => {
+  const values = sensitivity.towns.map(d => d.rWithout).filter(Number.isFinite);
+  if (values.length === 0) return t('format.notAvailable');
+  return t('sensitivity.range', { min: formatR(Math.min(...values)), max: formatR(Math.max(...values)) });
+};
+
+const formatDelta = (value) => (Number.isFinite(value) ? `${value > 0 ? '+' : ''}${formatR(value)}` : t('format.notAvailable'));
+
+const TownTable = ({ pair, normalization }) => {
+  const { healthMetric, funding, sensitivity } = pair;
+  return (
+    <table className="w-full text-xs border-collapse mt-2">
+      <thead>
+        <tr className="bg-slate-100">
+          <th className="border border-slate-200 p-2 text-left">{t('sensitivity.townLeftOut')}</th>
+          <th className="border border-slate-200 p-2 text-right">{funding.label}</th>
+          <th className="border border-slate-200 p-2 text-right">{healthMetric.label}</th>
+          <th className="border border-slate-200 p-2 text-right">{t('sensitivity.rWithout')}</th>
+          <th className="border border-slate-200 p-2 text-right">{t('sensitivity.delta')}</th>
+          <th className="border border-slate-200 p-2 text-right">{t('sensitivity.cooksD')}</th>
+          <th className="border border-slate-200 p-2 text-left">{t('sensitivity.flags')}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {sensitivity.towns.map(d => (
+          <tr key={d.town} className={d.changesR ? 'bg-amber-50' : ''}>
+            <td className="border border-slate-200 p-2">{d.town}</td>
+            <td className="border border-slate-200 p-2 text-right font-mono">{formatFunding(d.x, normalization)}</td>
+            <td className="border border-slate-200 p-2 text-right font-mono">{formatMetric(d.y, healthMetric)}</td>
+            <td className="border border-slate-200 p-2 text-right font-mono">{formatR(d.rWithout)}</td>
+            <td className="border border-slate-200 p-2 text-right font-mono">{formatDelta(d.delta)}</td>
+            <td className="border border-slate-200 p-2 text-right font-mono">{formatR(d.cooksD)}</td>
+            <td className="border border-slate-200 p-2">
+              {[
+                d.changesR && t('sensitivity.flagChangesR', { threshold: sensitivity.threshold }),
+                d.flipsSign && t('sensitivity.flagFlipsSign'),
+                d.influential && t('sensitivity.flagInfluential')
+              ].filter(Boolean).join(', ')}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+// One row per funding/health pair; the selected pair expands to its per-town breakdown
+const SensitivityPanel = ({ pairs, threshold, onThresholdChange, selected, onSelect, normalization, n }) => {
+  const fragile = pairs.filter(p => !p.sensitivity.robust).length;
+  const cutoff = pairs.length ? pairs[0].sensitivity.cooksCutoff : NaN;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 break-inside-avoid">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-2">
+        <h3 className="text-lg font-bold text-slate-800">🔍 {t('sensitivity.title')}</h3>
+        <label className="flex items-center gap-2 text-sm text-slate-600">
+          {t('sensitivity.threshold')}
+          <select
+            value={threshold}
+            onChange={(e) => onThresholdChange(Number(e.target.value))}
+            className="border border-slate-300 rounded-lg px-2 py-1"
+          >
+            {SENSITIVITY_THRESHOLDS.map(value => <option key={value} value={value}>{value}</option>)}
+          </select>
+        </label>
+      </div>
+      <p className="text-sm text-slate-600 mb-3">
+        {t('sensitivity.intro', { n, fragile, pairs: pairs.length, cutoff: formatR(cutoff) })}
+      </p>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm border-collapse">
+          <thead>
+            <tr className="bg-slate-100">
+              <th className="border border-slate-200 p-2 text-left">{t('sensitivity.health')}</th>
+              <th className="border border-slate-200 p-2 text-left">{t('sensitivity.funding')}</th>
+              <th className="border border-slate-200 p-2 text-right">r</th>
+              <th className="border border-slate-200 p-2 text-right">{t('sensitivity.rRange')}</th>
+              <th className="border border-slate-200 p-2 text-left">{t('sensitivity.townsThatMove')}</th>
+              <th className="border border-slate-200 p-2 text-left">{t('sensitivity.robust')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {pairs.map(pair => {
+              const { healthMetric, funding, sensitivity } = pair;
+              const isSelected = Boolean(selected) && selected.health === healthMetric.key && selected.funding === funding.key;
+              const toggle = () => onSelect(isSelected ? null : { health: healthMetric.key, funding: funding.key });
+              return (
+                <React.Fragment key={`${healthMetric.key}-${funding.key}`}>
+                  <tr
+                    tabIndex={0}
+                    role="button"
+                    aria-expanded={isSelected}
+                    onClick={toggle}
+                    onKeyDown={(e) => {
+                      if (e.key !== 'Enter' && e.key !== ' ') return;
+                      e.preventDefault();
+                      toggle();
+                    }}
+                    className={`cursor-pointer hover:bg-slate-50 focus:outline-none focus-visible:ring-2 focus-visible:ring-inset focus-visible:ring-violet-600 ${isSelected ? 'bg-violet-50' : ''}`}
+                  >
+                    <td className="border border-slate-200 p-2">{healthMetric.icon} {healthMetric.label}</td>
+                    <td className="border border-slate-200 p-2">{funding.icon} {funding.label}</td>
+                    <td className="border border-slate-200 p-2 text-right font-mono">{formatR(sensitivity.r)}</td>
+                    <td className="border border-slate-200 p-2 text-right font-mono">{rRange(sensitivity)}</td>
+                    <td className="border border-slate-200 p-2">{sensitivity.flagged.map(d => d.town).join(', ') || '—'}</td>
+                    <td className={`border border-slate-200 p-2 ${sensitivity.robust ? 'text-green-700' : 'text-amber-700 font-semibold'}`}>
+                      {t(sensitivity.robust ? 'sensitivity.yes' : 'sensitivity.no')}
+                    </td>
+                  </tr>
+                  {isSelected && (
+                    <tr>
+                      <td colSpan={6} className="border border-slate-200 p-2 bg-slate-50">
+                        <TownTable pair={pair} normalization={normalization} />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-slate-500 mt-2">{t('sensitivity.hint')}</p>
+    </div>
+  );
+};
+
+export default SensitivityPanel;
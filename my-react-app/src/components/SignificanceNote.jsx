@@ -0,0 +1,8 @@
+import React from 'react';
+import { t } from '../i18n';
+
+const SignificanceNote = ({ n }) => (
+  <p className="text-xs text-slate-500 mt-3">{t('significance.note', { n })}</p>
+);
+
+export default SignificanceNote;
@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { TOP_N_OPTIONS, DEFAULT_TOP_N, TOWN_ROW_HEIGHT, rankTowns } from '../townLayout';
+import { t } from '../i18n';
+
+const TOWN_LABEL_WIDTH = 150;
+
+// One series at a time as sorted horizontal bars, for town lists too long to read as grouped
+// vertical bars. series: [{ key, dataKey, label, color }]; format(value, series) for the tooltip.
+const TownBarChart = ({ rows, series, format, axisLabel }) => {
+  const [seriesKey, setSeriesKey] = useState(series[0]?.key);
+  const [order, setOrder] = useState('desc');
+  const [topN, setTopN] = useState(DEFAULT_TOP_N);
+
+  const active = series.find(s => s.key === seriesKey) || series[0];
+  if (!active) return null;
+  const ranked = rankTowns(rows, d => d[active.dataKey], { order, limit: topN });
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-3 mb-3 text-sm">
+        <select
+          value={active.key}
+          onChange={(e) => setSeriesKey(e.target.value)}
+          aria-label={t('townChart.series')}
+          className="border border-slate-300 rounded-lg px-3 py-1 text-sm"
+        >
+          {series.map(s => <option key={s.key} value={s.key}>{s.label}</option>)}
+        </select>
+        <div className="flex items-center gap-2">
+          {['desc', 'asc'].map(key => (
+            <button
+              key={key}
+              type="button"
+              aria-pressed={order === key}
+              onClick={() => setOrder(key)}
+              className={`px-3 py-1 rounded-lg font-medium transition-colors ${
+                order === key
+                  ? 'bg-violet-600 text-white'
+                  : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
+              }`}
+            >
+              {t(`townChart.${key}`)}
+            </button>
+          ))}
+        </div>
+        <label className="flex items-center gap-2 text-slate-600">
+          {t('townChart.show')}
+          <select
+            value={topN ?? ''}
+            onChange={(e) => setTopN(e.target.value ? Number(e.target.value) : null)}
+            className="border border-slate-300 rounded-lg px-3 py-1 text-sm"
+          >
+            {TOP_N_OPTIONS.map(n => <option key={n} value={n}>{t('townChart.top', { n })}</option>)}
+            <option value="">{t('townChart.all')}</option>
+          </select>
+        </label>
+        <span className="text-xs text-slate-500">{t('townChart.count', { shown: ranked.length, total: rows.length })}</span>
+      </div>
+      <div className="max-h-[32rem] overflow-y-auto">
+        <ResponsiveContainer width="100%" height={ranked.length * TOWN_ROW_HEIGHT + 40}>
+          <BarChart data={ranked} layout="vertical" margin={{ top: 5, right: 30, left: 10, bottom: 25 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+            <XAxis type="number" label={{ value: axisLabel, position: 'insideBottom', offset: -15 }} />
+            <YAxis type="category" dataKey="TOWN" width={TOWN_LABEL_WIDTH} interval={0} tick={{ fontSize: 11 }} />
+            <Tooltip formatter={(value) => format(value, active)} />
+            <Bar dataKey={active.dataKey} fill={active.color} name={active.label} isAnimationActive={false} />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+export default TownBarChart;
@@ -0,0 +1,85 @@
+import React, { memo, useState } from 'react';
+import { Symbols } from 'recharts';
+import { MANY_TOWNS } from '../townLayout';
+import { townTarget, targetKey, joinNotes } from '../annotations';
+import { t } from '../i18n';
+import NoteEditor from './NoteEditor';
+
+const NO_ANNOTATIONS = new Map();
+const NO_NOTES = [];
+
+// With onAddAnnotation, each town opens its notes; towns that have notes are marked either way
+const TownLegend = ({ towns, townColors, townShapes, annotations = NO_ANNOTATIONS, onAddAnnotation, onRemoveAnnotation }) => {
+  const [query, setQuery] = useState('');
+  const [selectedTown, setSelectedTown] = useState(null);
+  const notesFor = (town) => annotations.get(targetKey(townTarget(town))) || NO_NOTES;
+  const needle = query.trim().toLowerCase();
+  const shown = Object.entries(townColors)
+    .filter(([town]) => towns.has(town))
+    .filter(([town]) => !needle || town.toLowerCase().includes(needle));
+
+  return (
+    <div className="mt-8 bg-white rounded-lg shadow-md p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <h3 className="text-lg font-bold text-slate-800">
+          {t('legend.title')} <span className="text-sm font-normal text-slate-500">{t('legend.count', { count: towns.size })}</span>
+        </h3>
+        {towns.size > MANY_TOWNS && (
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={t('legend.search')}
+            aria-label={t('legend.search')}
+            className="border border-slate-300 rounded-lg px-3 py-1 text-sm"
+          />
+        )}
+      </div>
+      {/* Long town lists scroll instead of pushing the page down */}
+      <div className="flex flex-wrap gap-x-4 gap-y-2 max-h-64 overflow-y-auto">
+        {shown.map(([town, color]) => {
+          const notes = notesFor(town);
+          const content = (
+            <>
+              {/* Same color and shape as the town's scatter plot marker */}
+              <svg width="16" height="16" className="shrink-0" aria-hidden="true">
+                <Symbols cx={8} cy={8} type={townShapes[town]} size={64} fill={color} />
+              </svg>
+              <span className="text-sm text-slate-600">{town}</span>
+              {notes.length > 0 && (
+                <span title={joinNotes(notes)}>
+                  <span aria-hidden="true">📝</span>
+                  <span className="sr-only">{t('annotations.townHasNotes', { count: notes.length })}</span>
+                </span>
+              )}
+            </>
+          );
+          return onAddAnnotation ? (
+            <button
+              key={town}
+              type="button"
+              onClick={() => setSelectedTown(town)}
+              aria-pressed={town === selectedTown}
+              className={`flex items-center gap-2 rounded px-1 hover:bg-slate-100 ${town === selectedTown ? 'ring-2 ring-violet-600' : ''}`}
+            >
+              {content}
+            </button>
+          ) : (
+            <div key={town} className="flex items-center gap-2">{content}</div>
+          );
+        })}
+      </div>
+      {onAddAnnotation && selectedTown && towns.has(selectedTown) && (
+        <NoteEditor
+          title={t('annotations.townTitle', { town: selectedTown })}
+          notes={notesFor(selectedTown)}
+          onAdd={(text) => onAddAnnotation(townTarget(selectedTown), text)}
+          onRemove={onRemoveAnnotation}
+          onClose={() => setSelectedTown(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default memo(TownLegend);
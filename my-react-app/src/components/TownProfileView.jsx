@@ -0,0 +1,299 @@
+import React, { memo, useMemo, useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
+import { mean, percentileRank } from '../stats';
+import { fundingValue, formatFunding, getNormalization } from '../normalization';
+import { formatNumber, formatPercent } from '../format';
+import { ACREAGE_METRICS, localizeAcreageMetrics, formatMetric, isLowerBetter } from '../metrics';
+import { getLocale, t } from '../i18n';
+
+const formatAcres = (value) => Number.isFinite(value) ? t('format.acres', { value: formatNumber(value, { digits: 2 }) }) : t('format.notAvailable');
+const formatShare = (value) => formatPercent(value * 100, 1);
+// 1st/2nd/3rd in English, 1.º in Spanish: the catalog has a message per ordinal plural category
+const ordinal = (value) => {
+  if (!Number.isFinite(value)) return t('format.notAvailable');
+  const n = Math.round(value);
+  const category = new Intl.PluralRules(getLocale(), { type: 'ordinal' }).select(n);
+  return t(`townProfile.ordinal.${category}`, { n: formatNumber(n) });
+};
+
+// One row of "value vs group" for a metric, with percentile rank among all loaded towns
+const ComparisonRow = ({ label, value, groupMean, percentile, format, lowerIsBetter }) => {
+  const aboveMean = value > groupMean;
+  const better = lowerIsBetter ? !aboveMean : aboveMean;
+  return (
+    <tr>
+      <td className="border border-slate-200 p-2">{label}</td>
+      <td className="border border-slate-200 p-2 text-right font-mono font-semibold">{format(value)}</td>
+      <td className="border border-slate-200 p-2 text-right font-mono">{format(groupMean)}</td>
+      <td className="border border-slate-200 p-2 text-right font-mono">{ordinal(percentile)}</td>
+      {lowerIsBetter !== undefined && (
+        <td className={`border border-slate-200 p-2 ${better ? 'text-green-700' : 'text-red-700'}`}>
+          {t(value === groupMean ? 'townProfile.atMean' : better ? 'townProfile.betterThanMean' : 'townProfile.worseThanMean')}
+        </td>
+      )}
+    </tr>
+  );
+};
+
+const ComparisonHead = ({ withVerdict }) => (
+  <thead>
+    <tr className="bg-slate-100">
+      <th className="border border-slate-200 p-2 text-left">{t('townProfile.metric')}</th>
+      <th className="border border-slate-200 p-2 text-right">{t('townProfile.town')}</th>
+      <th className="border border-slate-200 p-2 text-right">{t('townProfile.groupMean')}</th>
+      <th className="border border-slate-200 p-2 text-right">{t('townProfile.percentile')}</th>
+      {withVerdict && <th className="border border-slate-200 p-2 text-left"></th>}
+    </tr>
+  </thead>
+);
+
+const TownProfileView = ({ data, healthMetrics, fundingMetrics, normalization, town, onSelectTown, townColors }) => {
+  const [peers, setPeers] = useState([]);
+  const towns = data.map(d => d.TOWN);
+  const row = data.find(d => d.TOWN === town) || data[0];
+  const norm = getNormalization(normalization);
+  const hasAcreage = data.some(d => ACREAGE_METRICS.some(m => d[m.key] !== undefined));
+
+  // Each metric's values across the loaded towns and their mean; these don't change with the town shown
+  const group = useMemo(() => {
+    const column = (read) => {
+      const values = data.map(read);
+      return { values, mean: mean(values) };
+    };
+    return {
+      health: Object.fromEntries(healthMetrics.map(m => [m.key, column(d => d[m.key])])),
+      funding: Object.fromEntries(fundingMetrics.map(m => [m.key, column(d => fundingValue(d, m.key, normalization))])),
+      acreage: Object.fromEntries([...ACREAGE_METRICS.map(m => m.key), 'TOTACRES'].map(key => [key, column(d => d[key])]))
+    };
+  }, [data, healthMetrics, fundingMetrics, normalization]);
+  const percentiles = useMemo(() => ({
+    health: Object.fromEntries(healthMetrics.map(m => [m.key, percentileRank(group.health[m.key].values, row[m.key])])),
+    funding: Object.fromEntries(fundingMetrics.map(m => [
+      m.key,
+      percentileRank(group.funding[m.key].values, fundingValue(row, m.key, normalization))
+    ]))
+  }), [group, row, healthMetrics, fundingMetrics, normalization]);
+
+  const activePeers = peers.filter(p => p !== row.TOWN && towns.includes(p));
+  const compared = [row, ...activePeers.map(p => data.find(d => d.TOWN === p))];
+
+  const togglePeer = (name) => {
+    setPeers(current => current.includes(name) ? current.filter(p => p !== name) : [...current, name]);
+  };
+
+  const fundingMix = fundingMetrics
+    .map(m => ({ name: m.label, value: row[m.key], color: m.color }))
+    .filter(d => d.value > 0);
+
+  // Bars are keyed by position, since town names can contain '.' or '[' which recharts reads as a path
+  const peerHealthData = healthMetrics.map(m => {
+    const point = { metric: m.label, groupMean: group.health[m.key].mean };
+    compared.forEach((d, i) => { point[`t${i}`] = d[m.key]; });
+    return point;
+  });
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <h3 className="text-xl font-bold text-slate-800">📍 {row.TOWN}</h3>
+          <select
+            value={row.TOWN}
+            onChange={(e) => onSelectTown(e.target.value)}
+            className="border border-slate-300 rounded-lg px-3 py-1 text-sm"
+          >
+            {towns.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </div>
+        <p className="text-sm text-slate-600">
+          {t('townProfile.summary', {
+            population: formatNumber(row.population_count),
+            total: formatFunding(row.CPA_TOT, 'absolute'),
+            perResident: formatFunding(row.CPA_TOT_PC, 'perCapita'),
+            count: data.length
+          })}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h4 className="text-lg font-bold text-slate-800 mb-3">💰 {t('townProfile.fundingMix')}</h4>
+          {fundingMix.length > 0 ? (
+            <ResponsiveContainer width="100%" height={220}>
+              <PieChart>
+                <Pie data={fundingMix} dataKey="value" nameKey="name" outerRadius={80} label={({ name, percent }) => `${name} ${formatPercent(percent * 100, 0)}`}>
+                  {fundingMix.map(d => <Cell key={d.name} fill={d.color} />)}
+                </Pie>
+                <Tooltip formatter={(value) => formatFunding(value, 'absolute')} />
+              </PieChart>
+            </ResponsiveContainer>
+          ) : (
+            <p className="text-sm text-slate-600">{t('townProfile.noFunding')}</p>
+          )}
+          <table className="w-full text-sm border-collapse mt-3">
+            <ComparisonHead />
+            <tbody>
+              {fundingMetrics.map(m => (
+                <ComparisonRow
+                  key={m.key}
+                  label={`${m.icon} ${m.label} (${norm.label})`}
+                  value={fundingValue(row, m.key, normalization)}
+                  groupMean={group.funding[m.key].mean}
+                  percentile={percentiles.funding[m.key]}
+                  format={value => formatFunding(value, normalization)}
+                />
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h4 className="text-lg font-bold text-slate-800 mb-3">🏥 {t('townProfile.health')}</h4>
+          <table className="w-full text-sm border-collapse">
+            <ComparisonHead withVerdict />
+            <tbody>
+              {healthMetrics.map(m => (
+                <ComparisonRow
+                  key={m.key}
+                  label={`${m.icon} ${m.label}`}
+                  value={row[m.key]}
+                  groupMean={group.health[m.key].mean}
+                  percentile={percentiles.health[m.key]}
+                  format={value => formatMetric(value, m)}
+                  lowerIsBetter={isLowerBetter(m)}
+                />
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-slate-500 mt-2 italic">
+            {t('townProfile.verdictNote')}
+          </p>
+
+          <h4 className="text-lg font-bold text-slate-800 mt-6 mb-3">🌳 {t('townProfile.acreage')}</h4>
+          {hasAcreage ? (
+            <>
+              <table className="w-full text-sm border-collapse">
+                <thead>
+                  <tr className="bg-slate-100">
+                    <th className="border border-slate-200 p-2 text-left">{t('townProfile.category')}</th>
+                    <th className="border border-slate-200 p-2 text-right">{t('townProfile.acres')}</th>
+                    <th className="border border-slate-200 p-2 text-right">{t('townProfile.share')}</th>
+                    <th className="border border-slate-200 p-2 text-right">{t('townProfile.groupMean')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {localizeAcreageMetrics().map(m => (
+                    <tr key={m.key}>
+                      <td className="border border-slate-200 p-2">{m.icon} {m.label}</td>
+                      <td className="border border-slate-200 p-2 text-right font-mono">{formatAcres(row[m.key])}</td>
+                      <td className="border border-slate-200 p-2 text-right font-mono">{formatShare(row[m.propKey])}</td>
+                      <td className="border border-slate-200 p-2 text-right font-mono">{formatAcres(group.acreage[m.key].mean)}</td>
+                    </tr>
+                  ))}
+                  <tr className="font-semibold">
+                    <td className="border border-slate-200 p-2">{t('townProfile.total')}</td>
+                    <td className="border border-slate-200 p-2 text-right font-mono">{formatAcres(row.TOTACRES)}</td>
+                    <td className="border border-slate-200 p-2"></td>
+                    <td className="border border-slate-200 p-2 text-right font-mono">{formatAcres(group.acreage.TOTACRES.mean)}</td>
+                  </tr>
+                </tbody>
+              </table>
+              {row.TOTACRES > 0 && ACREAGE_METRICS.every(m => !row[m.key]) && (
+                <p className="text-xs text-amber-700 mt-2">
+                  {t('townProfile.acreageIncomplete')}
+                </p>
+              )}
+            </>
+          ) : (
+            <p className="text-sm text-slate-600">{t('townProfile.noAcreage')}</p>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h4 className="text-lg font-bold text-slate-800 mb-3">👥 {t('townProfile.peers')}</h4>
+        <div className="flex flex-wrap gap-2 mb-4">
+          {towns.filter(name => name !== row.TOWN).map(name => (
+            <label
+              key={name}
+              className={`flex items-center gap-2 px-3 py-1 rounded-lg text-sm cursor-pointer border ${
+                activePeers.includes(name) ? 'border-violet-600 bg-violet-50' : 'border-slate-200 bg-slate-50'
+              }`}
+            >
+              <input
+                type="checkbox"
+                checked={activePeers.includes(name)}
+                onChange={() => togglePeer(name)}
+                className="accent-violet-600"
+              />
+              {name}
+            </label>
+          ))}
+        </div>
+
+        <ResponsiveContainer width="100%" height={300}>
+          <BarChart data={peerHealthData} margin={{ top: 10, right: 30, left: 0, bottom: 10 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+            <XAxis dataKey="metric" tick={{ fontSize: 12 }} />
+            <YAxis label={{ value: t('overview.prevalenceAxis'), angle: -90, position: 'insideLeft' }} />
+            <Tooltip formatter={(value, name, item) => formatMetric(value, healthMetrics.find(m => m.label === item.payload.metric))} />
+            <Legend />
+            {compared.map((d, i) => (
+              <Bar key={d.TOWN} dataKey={`t${i}`} name={d.TOWN} fill={townColors[d.TOWN] || '#8b5cf6'} />
+            ))}
+            <Bar dataKey="groupMean" name={t('townProfile.groupMean')} fill="#94a3b8" />
+          </BarChart>
+        </ResponsiveContainer>
+
+        <div className="overflow-x-auto mt-4">
+          <table className="w-full text-sm border-collapse">
+            <thead>
+              <tr className="bg-slate-100">
+                <th className="border border-slate-200 p-2 text-left">{t('townProfile.metric')}</th>
+                {compared.map(d => (
+                  <th key={d.TOWN} className="border border-slate-200 p-2 text-right">{d.TOWN}</th>
+                ))}
+                <th className="border border-slate-200 p-2 text-right">{t('townProfile.groupMean')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {healthMetrics.map(m => (
+                <tr key={m.key}>
+                  <td className="border border-slate-200 p-2">{m.icon} {m.label}</td>
+                  {compared.map(d => (
+                    <td key={d.TOWN} className="border border-slate-200 p-2 text-right font-mono">{formatMetric(d[m.key], m)}</td>
+                  ))}
+                  <td className="border border-slate-200 p-2 text-right font-mono">{formatMetric(group.health[m.key].mean, m)}</td>
+                </tr>
+              ))}
+              {fundingMetrics.map(m => (
+                <tr key={m.key}>
+                  <td className="border border-slate-200 p-2">{m.icon} {m.label} ({norm.label})</td>
+                  {compared.map(d => (
+                    <td key={d.TOWN} className="border border-slate-200 p-2 text-right font-mono">
+                      {formatFunding(fundingValue(d, m.key, normalization), normalization)}
+                    </td>
+                  ))}
+                  <td className="border border-slate-200 p-2 text-right font-mono">
+                    {formatFunding(group.funding[m.key].mean, normalization)}
+                  </td>
+                </tr>
+              ))}
+              {hasAcreage && (
+                <tr>
+                  <td className="border border-slate-200 p-2">🌳 {t('townProfile.totalAcres')}</td>
+                  {compared.map(d => (
+                    <td key={d.TOWN} className="border border-slate-200 p-2 text-right font-mono">{formatAcres(d.TOTACRES)}</td>
+                  ))}
+                  <td className="border border-slate-200 p-2 text-right font-mono">{formatAcres(group.acreage.TOTACRES.mean)}</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default memo(TownProfileView);
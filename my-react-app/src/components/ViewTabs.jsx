@@ -0,0 +1,54 @@
+import React from 'react';
+
+// WAI-ARIA tabs: arrow keys move between tabs (and select them), Home/End jump to the ends.
+// Keyboard moves are reported with { keyboard: true } so the URL entry is replaced, not pushed;
+// a click, Enter or Space (the button's click) calls onSelect(key) alone.
+// Only the selected tab is in the Tab order. The panel with id panelId is labelled by tabId(selected).
+const ViewTabs = ({ views, label, selected, onSelect, panelId, tabId }) => {
+  const handleKeyDown = (event, index) => {
+    const moves = {
+      ArrowRight: index + 1,
+      ArrowDown: index + 1,
+      ArrowLeft: index - 1,
+      ArrowUp: index - 1,
+      Home: 0,
+      End: views.length - 1
+    };
+    if (!(event.key in moves)) return;
+    event.preventDefault();
+    const next = (moves[event.key] + views.length) % views.length;
+    onSelect(views[next].key, { keyboard: true });
+    const tab = event.currentTarget.parentElement.children[next];
+    if (tab) tab.focus();
+  };
+
+  return (
+    <div role="tablist" aria-label={label} className="flex flex-wrap gap-2">
+      {views.map((view, index) => {
+        const isSelected = selected === view.key;
+        return (
+          <button
+            key={view.key}
+            id={tabId(view.key)}
+            type="button"
+            role="tab"
+            aria-selected={isSelected}
+            aria-controls={panelId}
+            tabIndex={isSelected ? 0 : -1}
+            onClick={() => onSelect(view.key)}
+            onKeyDown={(event) => handleKeyDown(event, index)}
+            className={`px-4 py-2 rounded-lg font-medium transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-violet-500 focus-visible:ring-offset-2 ${
+              isSelected
+                ? 'bg-violet-600 text-white'
+                : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
+            }`}
+          >
+            {view.label}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ViewTabs;
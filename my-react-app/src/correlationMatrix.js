@@ -0,0 +1,19 @@
+import { correlationTest } from './stats';
+import { fundingValue } from './normalization';
+import { pairSensitivity } from './sensitivity';
+
+// Every health x funding correlation shown in the heatmap, with its leave-one-out sensitivity.
+// Looked up as matrix[healthKey][fundingKey]. The leave-one-out pass is the expensive part, so
+// the dashboard builds this once per dataset, filter and setting rather than on every render.
+export const buildCorrelationMatrix = (data, healthMetrics, fundingMetrics, { normalization, method, threshold }) =>
+  Object.fromEntries(healthMetrics.map(health => [
+    health.key,
+    Object.fromEntries(fundingMetrics.map(funding => {
+      const xValue = (d) => fundingValue(d, funding.key, normalization);
+      const yValue = (d) => d[health.key];
+      return [funding.key, {
+        ...correlationTest(data.map(xValue), data.map(yValue), { method }),
+        sensitivity: pairSensitivity(data, xValue, yValue, { method, threshold })
+      }];
+    }))
+  ]));
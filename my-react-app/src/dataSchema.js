@@ -0,0 +1,120 @@
+import Papa from 'papaparse';
+import { addNormalizedColumns, addAcreageColumns } from './normalization';
+import { REQUIRED_METRIC_COLUMNS, ACREAGE_METRICS, discoverMetrics } from './metrics';
+
+export const TEXT_COLUMNS = ['TOWN'];
+
+// Metric columns marked required in metrics.json, plus the columns normalization depends on
+export const NUMERIC_COLUMNS = [
+  ...REQUIRED_METRIC_COLUMNS,
+  'CPA_TOT',
+  'population_count'
+];
+
+export const REQUIRED_COLUMNS = [...TEXT_COLUMNS, ...NUMERIC_COLUMNS];
+
+// YEAR is optional. When present every row needs one, and the dashboard treats the file as a panel.
+export const YEAR_COLUMN = 'YEAR';
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+// Parse a CSV string or File with the same options the dashboard has always used
+export const parseCsv = (input) => new Promise((resolve, reject) => {
+  Papa.parse(input, {
+    header: true,
+    dynamicTyping: true,
+    skipEmptyLines: true,
+    complete: (results) => resolve({ fields: results.meta.fields || [], rows: results.data }),
+    error: (error) => reject(error)
+  });
+});
+
+// Check required columns and per-row values. Rows with any problem are left out of validRows.
+export const validateDataset = (fields, rows) => {
+  const columnErrors = REQUIRED_COLUMNS
+    .filter(column => !fields.includes(column))
+    .map(column => ({ column, problem: 'missing' }));
+
+  const rowIssues = [];
+  const validRows = [];
+
+  // Other metric columns in the file may be blank, but anything present has to be a number
+  const { healthMetrics, fundingMetrics } = discoverMetrics(fields);
+  const optionalColumns = [...fundingMetrics, ...healthMetrics]
+    .map(m => m.key)
+    .filter(key => !NUMERIC_COLUMNS.includes(key));
+
+  if (columnErrors.length === 0) {
+    rows.forEach((d, i) => {
+      // Line 1 of the file is the header
+      const row = i + 2;
+      const town = isBlank(d.TOWN) ? null : String(d.TOWN);
+      const issues = [];
+
+      TEXT_COLUMNS.forEach(column => {
+        if (isBlank(d[column])) issues.push({ row, town, column, problem: 'missing', value: d[column] });
+      });
+
+      NUMERIC_COLUMNS.forEach(column => {
+        const value = d[column];
+        if (isBlank(value)) {
+          issues.push({ row, town, column, problem: 'missing', value });
+        } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+          issues.push({ row, town, column, problem: 'non-numeric', value });
+        }
+      });
+
+      optionalColumns.forEach(column => {
+        const value = d[column];
+        if (!isBlank(value) && (typeof value !== 'number' || !Number.isFinite(value))) {
+          issues.push({ row, town, column, problem: 'non-numeric', value });
+        }
+      });
+
+      if (fields.includes(YEAR_COLUMN)) {
+        const year = d[YEAR_COLUMN];
+        if (isBlank(year)) {
+          issues.push({ row, town, column: YEAR_COLUMN, problem: 'missing', value: year });
+        } else if (!Number.isInteger(year)) {
+          issues.push({ row, town, column: YEAR_COLUMN, problem: 'not-a-year', value: year });
+        }
+      }
+
+      if (d.population_count === 0) {
+        issues.push({ row, town, column: 'population_count', problem: 'zero-population', value: 0 });
+      }
+
+      if (issues.length > 0) {
+        rowIssues.push(...issues);
+      } else {
+        validRows.push({ ...d, TOWN: town, _row: row });
+      }
+    });
+  }
+
+  return {
+    columnErrors,
+    rowIssues,
+    validRows,
+    totalRows: rows.length,
+    ok: columnErrors.length === 0 && validRows.length > 0
+  };
+};
+
+// Add per-capita, per-acre and share-of-total columns for every funding metric in the file,
+// and the per-resident and share columns for each category's acreage
+export const processRows = (rows, fundingMetrics) => {
+  const columns = [...fundingMetrics.map(m => m.key), 'CPA_TOT'];
+  return rows.map(row => addAcreageColumns(addNormalizedColumns(row, columns), ACREAGE_METRICS));
+};
+
+export const loadDataset = async (input) => {
+  const { fields, rows } = await parseCsv(input);
+  const validation = validateDataset(fields, rows);
+  const metrics = discoverMetrics(fields);
+  return {
+    validation,
+    metrics,
+    data: validation.ok ? processRows(validation.validRows, metrics.fundingMetrics) : []
+  };
+};
@@ -0,0 +1,31 @@
+import { StrictMode } from 'react'
+import { createRoot } from 'react-dom/client'
+import './index.css'
+import EmbedView from './components/EmbedView.jsx'
+import { parseEmbedConfig, EMBED_RESIZE_MESSAGE } from './embedConfig.js'
+import { DEFAULT_LANGUAGE, isLanguage, setLanguage } from './i18n.js'
+
+// Entry for embed.html: one dashboard view, configured by the query string, meant to be framed
+// by partner sites directly or through the <cpa-health-view> element (see widget.js)
+const params = new URLSearchParams(window.location.search)
+const config = parseEmbedConfig(name => params.get(name))
+const language = isLanguage(config.lang) ? config.lang : DEFAULT_LANGUAGE
+setLanguage(language)
+document.documentElement.lang = language
+
+const root = document.getElementById('root')
+
+// Report the content height so the embedding page can size the iframe without scrollbars
+if (window.parent !== window) {
+  new ResizeObserver(() => {
+    window.parent.postMessage({ type: EMBED_RESIZE_MESSAGE, height: Math.ceil(root.getBoundingClientRect().height) }, '*')
+  }).observe(root)
+}
+
+createRoot(root).render(
+  <StrictMode>
+    <div className="w-full bg-white p-3">
+      <EmbedView config={config} />
+    </div>
+  </StrictMode>,
+)
@@ -0,0 +1,45 @@
+// Configuration for the embeddable single-view build (embed.html). The iframe page reads it from
+// its query string and the <cpa-health-view> element from its attributes; both use the names in
+// EMBED_PARAMS. Kept free of imports so the custom element script stays a few lines of code.
+
+export const EMBED_VIEWS = ['heatmap', 'scatter', 'overview'];
+export const DEFAULT_EMBED_VIEW = 'heatmap';
+
+// Message the embed page posts to its parent so the element can size the iframe to the chart
+export const EMBED_RESIZE_MESSAGE = 'cpa-health-embed:resize';
+
+// data: CSV URL; health, funding, towns: comma-separated lists (scatter uses the first health and
+// funding key); norm, method, lang, palette, year: as in the dashboard URL
+export const EMBED_PARAMS = ['view', 'data', 'health', 'funding', 'towns', 'norm', 'method', 'lang', 'palette', 'year'];
+
+const parseList = (text) => (text ? text.split(',').map(item => item.trim()).filter(Boolean) : []);
+
+// get(name) returns the raw value or null, e.g. URLSearchParams.get or Element.getAttribute.
+// Missing values stay null so the embed falls back to the dashboard's defaults.
+export const parseEmbedConfig = (get) => {
+  const year = Number(get('year'));
+  return {
+    view: EMBED_VIEWS.includes(get('view')) ? get('view') : DEFAULT_EMBED_VIEW,
+    requestedView: get('view'),
+    data: get('data') || null,
+    health: parseList(get('health')),
+    funding: parseList(get('funding')),
+    towns: parseList(get('towns')),
+    norm: get('norm') || null,
+    method: get('method') || null,
+    lang: get('lang') || null,
+    palette: get('palette') || null,
+    year: get('year') && Number.isInteger(year) ? year : null
+  };
+};
+
+// Query string for embed.html carrying the given attributes through unchanged
+export const embedSearch = (get) => {
+  const params = new URLSearchParams();
+  EMBED_PARAMS.forEach(name => {
+    const value = get(name);
+    if (value !== null && value !== undefined && value !== '') params.set(name, value);
+  });
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
@@ -0,0 +1,193 @@
+// Export helpers: CSV text, SVG serialization and PNG rasterization, all in the browser.
+
+import { t } from './i18n';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// File-system safe name from a card title
+export const slugify = (text) => String(text)
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number' && !Number.isFinite(value)) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ key, label }] or plain keys
+export const toCsv = (rows, columns) => {
+  const cols = columns.map(c => (typeof c === 'string' ? { key: c, label: c } : c));
+  const header = cols.map(c => csvCell(c.label)).join(',');
+  const body = rows.map(row => cols.map(c => csvCell(row[c.key])).join(','));
+  return [header, ...body].join('\n');
+};
+
+export const exportCsv = (rows, columns, filename) => {
+  downloadBlob(new Blob([toCsv(rows, columns)], { type: 'text/csv;charset=utf-8' }), filename);
+};
+
+// Recharts draws legend icons as small SVGs too, so take the largest one as the chart
+const mainSvg = (container) => {
+  const candidates = [...container.querySelectorAll('svg')];
+  let best = null;
+  let bestArea = -1;
+  candidates.forEach(svg => {
+    const box = svg.getBoundingClientRect();
+    const area = box.width * box.height;
+    if (area > bestArea) {
+      best = svg;
+      bestArea = area;
+    }
+  });
+  return best;
+};
+
+// The legend is HTML outside the chart SVG; redraw it as a row of swatches under the chart
+const appendLegend = (svg, container, width, height) => {
+  const items = [...container.querySelectorAll('.recharts-legend-item')];
+  if (items.length === 0) return height;
+  let x = 10;
+  let y = height + 18;
+  items.forEach(item => {
+    const textNode = item.querySelector('.recharts-legend-item-text');
+    const label = textNode ? textNode.textContent : item.textContent;
+    const color = textNode ? getComputedStyle(textNode).color : '#334155';
+    const itemWidth = 22 + label.length * 7;
+    if (x + itemWidth > width && x > 10) {
+      x = 10;
+      y += 18;
+    }
+    const swatch = document.createElementNS(SVG_NS, 'rect');
+    swatch.setAttribute('x', x);
+    swatch.setAttribute('y', y - 10);
+    swatch.setAttribute('width', 12);
+    swatch.setAttribute('height', 12);
+    swatch.setAttribute('fill', color);
+    const text = document.createElementNS(SVG_NS, 'text');
+    text.setAttribute('x', x + 16);
+    text.setAttribute('y', y);
+    text.setAttribute('font-size', 12);
+    text.setAttribute('fill', '#334155');
+    text.textContent = label;
+    svg.appendChild(swatch);
+    svg.appendChild(text);
+    x += itemWidth;
+  });
+  return y + 12;
+};
+
+// Serialize the chart inside a card, on a white background so it pastes cleanly into slides
+export const svgFromContainer = (container) => {
+  const source = container && mainSvg(container);
+  if (!source) return null;
+
+  const svg = source.cloneNode(true);
+  const box = source.getBoundingClientRect();
+  const width = Math.round(box.width) || Number(source.getAttribute('width')) || 800;
+  const chartHeight = Math.round(box.height) || Number(source.getAttribute('height')) || 400;
+  svg.setAttribute('xmlns', SVG_NS);
+  svg.style.fontFamily = 'system-ui, Helvetica, Arial, sans-serif';
+
+  const background = document.createElementNS(SVG_NS, 'rect');
+  background.setAttribute('width', '100%');
+  background.setAttribute('height', '100%');
+  background.setAttribute('fill', '#ffffff');
+  svg.insertBefore(background, svg.firstChild);
+
+  const height = appendLegend(svg, container, width, chartHeight);
+  svg.setAttribute('width', width);
+  svg.setAttribute('height', height);
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+  return { markup: new XMLSerializer().serializeToString(svg), width, height };
+};
+
+export const exportSvg = (svg, filename) => {
+  downloadBlob(new Blob([svg.markup], { type: 'image/svg+xml;charset=utf-8' }), filename);
+};
+
+export const exportPng = (svg, filename, scale = 2) => new Promise((resolve, reject) => {
+  const image = new Image();
+  const url = URL.createObjectURL(new Blob([svg.markup], { type: 'image/svg+xml;charset=utf-8' }));
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = svg.width * scale;
+    canvas.height = svg.height * scale;
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0, svg.width, svg.height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => {
+      if (!blob) {
+        reject(new Error(t('export.pngFailed')));
+        return;
+      }
+      downloadBlob(blob, filename);
+      resolve();
+    }, 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error(t('export.svgFailed')));
+  };
+  image.src = url;
+});
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// The heatmap is an HTML table, so it is redrawn as SVG from its cells.
+// cells[i][j] = { text, subtext, fill, light } for row i, column j; footnotes are lines under the grid.
+export const gridToSvg = ({ title, rowLabels, columnLabels, cells, footnotes = [] }) => {
+  const labelWidth = 220;
+  const cellWidth = 150;
+  const cellHeight = 56;
+  const top = title ? 70 : 40;
+  const width = labelWidth + columnLabels.length * cellWidth + 20;
+  const gridBottom = top + rowLabels.length * cellHeight;
+  const height = gridBottom + 20 + footnotes.length * 18;
+
+  const parts = [
+    `<rect width="100%" height="100%" fill="#ffffff"/>`,
+    title ? `<text x="10" y="24" font-size="16" font-weight="bold" fill="#1e293b">${escapeXml(title)}</text>` : ''
+  ];
+  columnLabels.forEach((label, j) => {
+    parts.push(`<text x="${labelWidth + j * cellWidth + cellWidth / 2}" y="${top - 10}" font-size="12" font-weight="bold" text-anchor="middle" fill="#1e293b">${escapeXml(label)}</text>`);
+  });
+  rowLabels.forEach((label, i) => {
+    const y = top + i * cellHeight;
+    parts.push(`<text x="10" y="${y + cellHeight / 2 + 4}" font-size="12" font-weight="bold" fill="#1e293b">${escapeXml(label)}</text>`);
+    cells[i].forEach((cell, j) => {
+      const x = labelWidth + j * cellWidth;
+      const color = cell.light ? '#ffffff' : '#1e293b';
+      parts.push(`<rect x="${x}" y="${y}" width="${cellWidth}" height="${cellHeight}" fill="${cell.fill}" stroke="#cbd5e1"/>`);
+      parts.push(`<text x="${x + cellWidth / 2}" y="${y + 24}" font-size="13" font-family="monospace" text-anchor="middle" fill="${color}">${escapeXml(cell.text)}</text>`);
+      if (cell.subtext) {
+        parts.push(`<text x="${x + cellWidth / 2}" y="${y + 42}" font-size="10" font-family="monospace" text-anchor="middle" fill="${color}">${escapeXml(cell.subtext)}</text>`);
+      }
+    });
+  });
+  footnotes.forEach((note, i) => {
+    parts.push(`<text x="10" y="${gridBottom + 22 + i * 18}" font-size="11" fill="#475569">${escapeXml(note)}</text>`);
+  });
+
+  const markup = `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="system-ui, Helvetica, Arial, sans-serif">${parts.join('')}</svg>`;
+  return { markup, width, height };
+};
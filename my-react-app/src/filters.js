@@ -0,0 +1,117 @@
+import { isFiniteNumber, welchTTest } from './stats';
+
+// Town filters and cohorts. Filters narrow the rows every view works on; cohorts are named
+// groups of towns, read from an optional COHORT column or defined in the UI.
+
+export const COHORT_COLUMN = 'COHORT';
+
+export const DEFAULT_FILTERS = {
+  excluded: [],
+  population: [null, null],
+  funding: [null, null],
+  cohort: null
+};
+
+// [min, max] with null for an open end
+export const inRange = (value, [min, max]) =>
+  isFiniteNumber(value) && (min === null || value >= min) && (max === null || value <= max);
+
+export const isFiltered = (filters) =>
+  filters.excluded.length > 0 ||
+  filters.population.some(v => v !== null) ||
+  filters.funding.some(v => v !== null) ||
+  filters.cohort !== null;
+
+// One cohort per distinct COHORT value. With a YEAR column a town keeps its first tagged value.
+export const cohortsFromColumn = (rows) => {
+  const byTown = new Map();
+  rows.forEach(row => {
+    const value = row[COHORT_COLUMN];
+    if (value === null || value === undefined || value === '' || byTown.has(row.TOWN)) return;
+    byTown.set(row.TOWN, String(value).trim());
+  });
+  const groups = new Map();
+  byTown.forEach((name, town) => {
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(town);
+  });
+  return [...groups].map(([name, towns]) => ({ name, towns: towns.sort(), source: 'data' }));
+};
+
+// UI cohorts replace data cohorts of the same name
+export const mergeCohorts = (fromData, custom) => [
+  ...fromData.filter(c => !custom.some(u => u.name === c.name)),
+  ...custom.map(c => ({ ...c, source: 'custom' }))
+];
+
+export const applyFilters = (rows, filters, cohorts) => {
+  const cohort = filters.cohort === null ? null : cohorts.find(c => c.name === filters.cohort);
+  return rows.filter(row =>
+    !filters.excluded.includes(row.TOWN) &&
+    (filters.population.every(v => v === null) || inRange(row.population_count, filters.population)) &&
+    (filters.funding.every(v => v === null) || inRange(row.CPA_TOT, filters.funding)) &&
+    (!cohort || cohort.towns.includes(row.TOWN))
+  );
+};
+
+// URL encodings: ranges as "min~max" with either end blank, lists joined by "|",
+// cohorts as "Name:Town|Town;Name:Town"
+const parseBound = (text) => {
+  if (text === '') return null;
+  const value = Number(text);
+  return Number.isFinite(value) ? value : null;
+};
+
+export const serializeRange = ([min, max]) =>
+  (min === null && max === null ? null : `${min ?? ''}~${max ?? ''}`);
+
+export const parseRange = (text) => {
+  if (!text || !text.includes('~')) return [null, null];
+  const [min, max] = text.split('~');
+  return [parseBound(min), parseBound(max)];
+};
+
+export const serializeCohorts = (cohorts) =>
+  (cohorts.length === 0 ? null : cohorts.map(c => `${c.name}:${c.towns.join('|')}`).join(';'));
+
+export const parseCohorts = (text) => {
+  if (!text) return [];
+  return text.split(';')
+    .map(part => {
+      const split = part.indexOf(':');
+      if (split <= 0) return null;
+      const towns = part.slice(split + 1).split('|').filter(Boolean);
+      return { name: part.slice(0, split), towns };
+    })
+    .filter(Boolean);
+};
+
+export const filtersToUrl = (filters) => ({
+  exclude: filters.excluded.length ? filters.excluded.join('|') : null,
+  pop: serializeRange(filters.population),
+  fund: serializeRange(filters.funding),
+  cohort: filters.cohort
+});
+
+export const filtersFromUrl = (state) => ({
+  excluded: state.exclude ? state.exclude.split('|').filter(Boolean) : [],
+  population: parseRange(state.pop),
+  funding: parseRange(state.fund),
+  cohort: state.cohort || null
+});
+
+// Mean of each metric in two groups and the Welch t-test on the difference
+export const compareGroups = (a, b, metrics) => metrics.map(metric => {
+  const valuesA = a.map(row => metric.value(row)).filter(isFiniteNumber);
+  const valuesB = b.map(row => metric.value(row)).filter(isFiniteNumber);
+  const test = welchTTest(valuesA, valuesB);
+  return {
+    metric,
+    nA: valuesA.length,
+    nB: valuesB.length,
+    meanA: test.meanA,
+    meanB: test.meanB,
+    difference: test.meanA - test.meanB,
+    pValue: test.pValue
+  };
+});
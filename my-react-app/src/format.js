@@ -0,0 +1,58 @@
+import { getLocale, t } from './i18n';
+
+// Shared formatting for statistics shown in the dashboard
+
+// Intl formatters are slow to build, so each locale/options pair is built once
+const formatters = new Map();
+const numberFormat = (options) => {
+  const id = `${getLocale()}|${JSON.stringify(options)}`;
+  if (!formatters.has(id)) formatters.set(id, new Intl.NumberFormat(getLocale(), options));
+  return formatters.get(id);
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// minDigits below digits drops trailing zeros, e.g. 0.25 rather than 0.2500 with { digits: 4, minDigits: 0 }
+export const formatNumber = (value, { digits = 0, minDigits = digits, compact = false } = {}) => {
+  if (!isNumber(value)) return t('format.notAvailable');
+  return numberFormat(compact && Math.abs(value) >= 1000
+    ? { notation: 'compact', minimumFractionDigits: 1, maximumFractionDigits: 1 }
+    : { minimumFractionDigits: minDigits, maximumFractionDigits: digits }).format(value);
+};
+
+// Compact notation shortens large amounts to $13.0M; smaller ones keep `digits`
+export const formatCurrency = (value, { digits = 0, compact = false } = {}) => {
+  if (!isNumber(value)) return t('format.notAvailable');
+  return numberFormat(compact && Math.abs(value) >= 1000
+    ? { style: 'currency', currency: 'USD', notation: 'compact', minimumFractionDigits: 1, maximumFractionDigits: 1 }
+    : { style: 'currency', currency: 'USD', minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value);
+};
+
+// Takes percentage points (12.5 for 12.5%), the scale every percent column in the data uses
+export const formatPercent = (value, digits = 1) => {
+  if (!isNumber(value)) return t('format.notAvailable');
+  return numberFormat({ style: 'percent', minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value / 100);
+};
+
+export const formatR = (value, digits = 2) => Number.isFinite(value) ? value.toFixed(digits) : '—';
+
+export const formatCI = (ci) => Number.isFinite(ci[0]) ? `[${ci[0].toFixed(2)}, ${ci[1].toFixed(2)}]` : 'CI n/a';
+
+export const formatP = (p) => {
+  if (!Number.isFinite(p)) return 'p n/a';
+  return p < 0.001 ? 'p < 0.001' : `p = ${p.toFixed(3)}`;
+};
+
+// p-value on its own, for table columns headed "p"
+export const formatPValue = (p) => {
+  if (!Number.isFinite(p)) return 'n/a';
+  return p < 0.001 ? '< 0.001' : p.toFixed(3);
+};
+
+// Regression coefficients span many orders of magnitude (dollars vs percentages)
+export const formatCoefficient = (value) => {
+  if (!Number.isFinite(value)) return '—';
+  if (value === 0) return '0';
+  const abs = Math.abs(value);
+  return abs >= 1e4 || abs < 1e-3 ? value.toExponential(2) : value.toPrecision(3);
+};
@@ -0,0 +1,132 @@
+// Town boundary helpers for the map view. Works on plain GeoJSON in WGS84 longitude/latitude.
+
+// Not committed: `npm run boundaries` builds it from the Census cartographic boundary file
+export const DEFAULT_BOUNDARIES = 'ma_towns.geojson';
+
+// Property names used for the town name by common Massachusetts boundary exports (MassGIS, Census)
+const NAME_PROPERTIES = ['TOWN', 'town', 'TOWN_NAME', 'NAME', 'name', 'NAMELSAD'];
+
+const TOWN_PREFIX = /^(TOWN|CITY) OF /;
+// Census place names end in a type, sometimes two ("Barnstable Town city")
+const TOWN_SUFFIX = / (TOWN|CITY|CDP|TOWNSHIP|VILLAGE)$/;
+
+// Case, accents, punctuation, a trailing state and "Town of"/"city" wording differ between sources:
+// "Town of Manchester-by-the-Sea" and "Manchester-by-the-Sea town, MA" -> "MANCHESTER BY THE SEA"
+export const normalizeTownName = (name) => {
+  let text = String(name ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/,\s*(MA|MASSACHUSETTS)$/, '')
+    .replace(/[^A-Z0-9]+/g, ' ')
+    .trim();
+  let previous;
+  do {
+    previous = text;
+    text = text.replace(TOWN_PREFIX, '').replace(TOWN_SUFFIX, '').trim();
+  } while (text !== previous);
+  return text;
+};
+
+export const featureTownName = (feature) => {
+  const props = feature.properties || {};
+  const key = NAME_PROPERTIES.find(k => props[k] !== undefined && props[k] !== null);
+  return key ? String(props[key]) : null;
+};
+
+export const isFeatureCollection = (geojson) =>
+  Boolean(geojson) && geojson.type === 'FeatureCollection' && Array.isArray(geojson.features);
+
+// One request per page load: the map view remounts on every tab switch, and a missing file stays
+// missing until reload. Resolves to the FeatureCollection, or null when the file isn't there.
+let defaultBoundaries = null;
+export const loadDefaultBoundaries = () => {
+  if (!defaultBoundaries) {
+    defaultBoundaries = fetch(`/${DEFAULT_BOUNDARIES}`)
+      .then(response => (response.ok ? response.json() : null))
+      // The dev server answers missing files with index.html, so a parse error also means "not there"
+      .then(json => (isFeatureCollection(json) ? json : null))
+      .catch(() => null);
+  }
+  return defaultBoundaries;
+};
+
+// Match rows to boundary features by normalized TOWN name
+export const joinRowsToFeatures = (rows, geojson) => {
+  const featuresByName = new Map();
+  geojson.features.forEach(feature => {
+    const name = normalizeTownName(featureTownName(feature));
+    if (!name) return;
+    // Some exports split a town into several features (islands); keep them all
+    if (!featuresByName.has(name)) featuresByName.set(name, []);
+    featuresByName.get(name).push(feature);
+  });
+
+  const rowsByName = new Map(rows.map(row => [normalizeTownName(row.TOWN), row]));
+  const unmatchedRows = rows.filter(row => !featuresByName.has(normalizeTownName(row.TOWN)));
+
+  const shapes = [];
+  featuresByName.forEach((features, name) => {
+    features.forEach(feature => shapes.push({ name, feature, row: rowsByName.get(name) || null }));
+  });
+
+  return { shapes, unmatchedRows };
+};
+
+const polygonsOf = (geometry) => {
+  if (!geometry) return [];
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+};
+
+// Equirectangular projection corrected for latitude. Accurate enough at the scale of one state.
+export const createProjection = (features, width, height, padding = 10) => {
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minY = Infinity;
+  let maxY = -Infinity;
+  features.forEach(feature => {
+    polygonsOf(feature.geometry).forEach(polygon => polygon.forEach(ring => ring.forEach(([lon, lat]) => {
+      if (lon < minX) minX = lon;
+      if (lon > maxX) maxX = lon;
+      if (lat < minY) minY = lat;
+      if (lat > maxY) maxY = lat;
+    })));
+  });
+  if (!Number.isFinite(minX)) return null;
+
+  const kx = Math.cos(((minY + maxY) / 2) * Math.PI / 180);
+  const spanX = (maxX - minX) * kx || 1;
+  const spanY = maxY - minY || 1;
+  const scale = Math.min((width - 2 * padding) / spanX, (height - 2 * padding) / spanY);
+  const offsetX = (width - spanX * scale) / 2;
+  const offsetY = (height - spanY * scale) / 2;
+
+  return ([lon, lat]) => [
+    offsetX + (lon - minX) * kx * scale,
+    offsetY + (maxY - lat) * scale
+  ];
+};
+
+export const featurePath = (feature, project) => polygonsOf(feature.geometry)
+  .map(polygon => polygon
+    .map(ring => ring.map((point, i) => {
+      const [x, y] = project(point);
+      return `${i === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`;
+    }).join('') + 'Z')
+    .join(''))
+  .join('');
+
+const hexToRgb = (hex) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+// Linear ramp from a light neutral to the metric's color
+export const sequentialColor = (t, color) => {
+  const [r1, g1, b1] = [241, 245, 249];
+  const [r2, g2, b2] = hexToRgb(color);
+  const k = Math.max(0, Math.min(1, t));
+  return `rgb(${Math.round(r1 + (r2 - r1) * k)}, ${Math.round(g1 + (g2 - g1) * k)}, ${Math.round(b1 + (b2 - b1) * k)})`;
+};
@@ -0,0 +1,43 @@
+import en from './locales/en.json';
+import es from './locales/es.json';
+import pt from './locales/pt.json';
+
+// Translation layer. Messages live in one catalog per language under locales/, looked up by
+// dotted key ('views.overview'). The dashboard switches the active language before rendering in
+// it, never during a render, so t() and the number formatters in format.js can be called from
+// plain helpers too.
+
+export const LANGUAGES = [
+  { key: 'en', label: 'English', locale: 'en-US' },
+  { key: 'es', label: 'Español', locale: 'es-US' },
+  { key: 'pt', label: 'Português', locale: 'pt-BR' }
+];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const catalogs = { en, es, pt };
+
+let activeLanguage = DEFAULT_LANGUAGE;
+
+export const isLanguage = (key) => LANGUAGES.some(l => l.key === key);
+
+export const setLanguage = (key) => {
+  activeLanguage = isLanguage(key) ? key : DEFAULT_LANGUAGE;
+};
+
+export const getLanguage = () => activeLanguage;
+
+export const getLocale = () => LANGUAGES.find(l => l.key === activeLanguage).locale;
+
+const lookup = (catalog, key) => key
+  .split('.')
+  .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+
+// {name} placeholders are filled from params. A message missing from the active catalog falls
+// back to English, then to `fallback`, then to the key itself so gaps are easy to spot.
+export const t = (key, params = {}, fallback) => {
+  const message = [lookup(catalogs[activeLanguage], key), lookup(catalogs[DEFAULT_LANGUAGE], key)]
+    .find(m => typeof m === 'string');
+  if (message === undefined) return fallback ?? key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
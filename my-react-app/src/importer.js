@@ -0,0 +1,304 @@
+import { ACREAGE_METRICS } from './metrics';
+import { isFiniteNumber } from './stats';
+import { normalizeTownName } from './geo';
+
+// Builds combined_data.csv rows from the raw sources: a CPA project export (one row per project),
+// a CDC PLACES file at tract or place level, and a town population table. The population table
+// is the list of towns; names from the other files are matched to it after normalization, and
+// anything that still doesn't match is left for the user to map by hand. Tract files don't name
+// the town, so they also need a tract -> town crosswalk. Names are matched with the map view's
+// normalizeTownName, so "Town of Manchester-by-the-Sea" finds "Manchester-by-the-Sea".
+
+// Raw CPA category text -> funding column. Order matters: "Open Space & Recreation" is open space.
+export const CPA_CATEGORIES = [
+  { key: 'CPA_HOUS', pattern: /hous/i },
+  { key: 'CPA_OS', pattern: /open\s*space|conservation/i },
+  { key: 'CPA_REC', pattern: /recreat/i },
+  { key: 'CPA_HIST', pattern: /histor/i }
+];
+
+// Labels are in the catalogs as import.aggregations.<key>
+export const AGGREGATIONS = ['mean', 'weighted'];
+
+// PLACES long format has one row per location and measure; only crude prevalence is used
+const CRUDE_PREVALENCE = 'CrdPrv';
+const HEALTH_SUFFIX = '_CrudePrev';
+
+// "$1,250,000.00" and "(500)" style amounts from spreadsheet exports. Only the dollar sign,
+// thousands separators and accounting parentheses are dropped; what is left has to be a number
+// ("1.2e3" is 1200), so text such as "n/a" or "12 acres" is NaN rather than a guess.
+export const parseAmount = (value) => {
+  if (isFiniteNumber(value)) return value;
+  if (value === null || value === undefined) return NaN;
+  const text = String(value).trim();
+  const parenthesized = text.match(/^\((.*)\)$/);
+  const number = Number((parenthesized ? parenthesized[1] : text).replace(/[$,\s]/g, ''));
+  if (!/[0-9]/.test(text) || !Number.isFinite(number)) return NaN;
+  return parenthesized ? -number : number;
+};
+
+export const cpaCategory = (value) => {
+  const found = CPA_CATEGORIES.find(c => c.pattern.test(String(value ?? '')));
+  return found ? found.key : null;
+};
+
+const firstMatch = (fields, patterns) => {
+  for (const pattern of patterns) {
+    const found = fields.find(field => pattern.test(field));
+    if (found) return found;
+  }
+  return '';
+};
+
+// Best guesses for each role, from the header names. Every guess can be changed in the wizard.
+export const guessCpaColumns = (fields) => ({
+  town: firstMatch(fields, [/^municipality$/i, /municipal/i, /^town$/i, /town|city|community/i]),
+  category: firstMatch(fields, [/categor/i, /purpose/i]),
+  amount: firstMatch(fields, [/cpa.*(amount|fund)/i, /amount/i, /fund/i, /cost/i]),
+  acres: firstMatch(fields, [/acre/i])
+});
+
+export const guessPlacesColumns = (fields) => ({
+  id: firstMatch(fields, [/^locationid$/i, /^tractfips$/i, /fips|geoid/i]),
+  town: firstMatch(fields, [/^town$/i, /municipal/i, /^placename$/i, /^locationname$/i, /town|city|place/i]),
+  population: firstMatch(fields, [/^totalpopulation$/i, /totalpop/i, /population/i]),
+  year: firstMatch(fields, [/^year$/i])
+});
+
+export const guessPopulationColumns = (fields) => ({
+  town: firstMatch(fields, [/^town$/i, /municipal/i, /town|city|name/i]),
+  population: firstMatch(fields, [/population_count/i, /population/i, /pop/i])
+});
+
+export const guessCrosswalkColumns = (fields) => ({
+  id: firstMatch(fields, [/^tractfips$/i, /tract/i, /fips|geoid/i]),
+  town: firstMatch(fields, [/^town$/i, /municipal/i, /town|city|name/i])
+});
+
+export const isLongPlaces = (fields) => fields.includes('MeasureId') && fields.includes('Data_Value');
+
+export const placesYears = (rows, yearColumn) => (yearColumn
+  ? [...new Set(rows.map(d => d[yearColumn]).filter(isFiniteNumber))].sort((a, b) => a - b)
+  : []);
+
+// Tract ID -> town name. IDs are compared as strings since FIPS codes may be parsed as numbers.
+const crosswalkTable = (crosswalk) => {
+  const table = new Map();
+  if (!crosswalk) return table;
+  crosswalk.rows.forEach(d => {
+    const id = d[crosswalk.columns.id];
+    const town = d[crosswalk.columns.town];
+    if (id !== null && id !== undefined && town) table.set(String(id), town);
+  });
+  return table;
+};
+
+// One record per tract or place: { town, population, values: { MHLTH_CrudePrev: 12.3, ... } }.
+// Long files are pivoted on the ID column (or the town column when there is no ID). With a
+// crosswalk, the town comes from the unit's ID instead of the town column.
+const placesUnits = ({ rows, fields, columns: { id, town, population, year } }, crosswalk, selectedYear) => {
+  const inYear = year && selectedYear !== null ? rows.filter(d => d[year] === selectedYear) : rows;
+  const towns = crosswalkTable(crosswalk);
+  const townOf = (d) => (crosswalk ? towns.get(String(d[id])) ?? null : d[town]);
+  if (!isLongPlaces(fields)) {
+    const measures = fields.filter(f => f.endsWith(HEALTH_SUFFIX));
+    return inYear.map(d => ({
+      town: townOf(d),
+      population: population ? parseAmount(d[population]) : NaN,
+      values: Object.fromEntries(measures.map(key => [key, parseAmount(d[key])]))
+    }));
+  }
+  const units = new Map();
+  inYear
+    .filter(d => !fields.includes('DataValueTypeID') || d.DataValueTypeID === CRUDE_PREVALENCE)
+    .forEach(d => {
+      const key = `${id ? d[id] : ''}|${d[town]}`;
+      if (!units.has(key)) {
+        units.set(key, { town: townOf(d), population: population ? parseAmount(d[population]) : NaN, values: {} });
+      }
+      units.get(key).values[`${d.MeasureId}${HEALTH_SUFFIX}`] = parseAmount(d.Data_Value);
+    });
+  return [...units.values()];
+};
+
+const aggregate = (units, key, aggregation) => {
+  const usable = units.filter(u => isFiniteNumber(u.values[key]));
+  if (aggregation === 'weighted') {
+    const weighted = usable.filter(u => isFiniteNumber(u.population) && u.population > 0);
+    const total = weighted.reduce((sum, u) => sum + u.population, 0);
+    return total > 0 ? weighted.reduce((sum, u) => sum + u.values[key] * u.population, 0) / total : null;
+  }
+  return usable.length ? usable.reduce((sum, u) => sum + u.values[key], 0) / usable.length : null;
+};
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Raw names from one source that aren't in the population table after normalization, with a
+// suggested town where one name contains the other or is a typo or two away
+export const unmatchedNames = (names, towns) => {
+  const known = new Map(towns.map(town => [normalizeTownName(town), town]));
+  return [...new Set(names.filter(name => name !== null && name !== undefined && name !== '').map(String))]
+    .filter(name => !known.has(normalizeTownName(name)))
+    .sort((a, b) => a.localeCompare(b))
+    .map(name => {
+      const normalized = normalizeTownName(name);
+      if (!normalized) return { name, suggestion: null };
+      const candidates = [...known].filter(([candidate]) => candidate);
+      const containing = candidates.find(([candidate]) => candidate.includes(normalized) || normalized.includes(candidate));
+      const close = candidates
+        .map(([candidate, town]) => ({ town, distance: editDistance(candidate, normalized) }))
+        .filter(c => c.distance <= 2)
+        .sort((a, b) => a.distance - b.distance)[0];
+      return { name, suggestion: containing ? containing[1] : close ? close.town : null };
+    });
+};
+
+// mapping: raw name -> town from the population table, or '' to leave the name out
+const resolver = (towns, mapping = {}) => {
+  const known = new Map(towns.map(town => [normalizeTownName(town), town]));
+  return (name) => {
+    if (name in mapping) return mapping[name] || null;
+    return known.get(normalizeTownName(name)) ?? null;
+  };
+};
+
+// Names that matched nothing, not counting the ones deliberately left out
+const countUnresolved = (names, resolve, mapping = {}) => new Set(names
+  .filter(name => name !== null && name !== undefined && name !== '')
+  .filter(name => !(name in mapping) && !resolve(name))).size;
+
+// Town -> population, first row wins
+const populationTable = (population) => {
+  const table = new Map();
+  population.rows.forEach(d => {
+    const town = d[population.columns.town];
+    if (town && !table.has(String(town))) table.set(String(town), parseAmount(d[population.columns.population]));
+  });
+  return table;
+};
+
+// The names the user has to map by hand, per source, before building
+export const findUnmatched = ({ cpa, places, crosswalk, population }, { year = null } = {}) => {
+  const towns = [...populationTable(population).keys()];
+  return {
+    towns,
+    cpa: unmatchedNames(cpa.rows.map(d => d[cpa.columns.town]), towns),
+    places: unmatchedNames(placesUnits(places, crosswalk, year).map(u => u.town), towns)
+  };
+};
+
+// The merged table. Towns need CPA projects, health values and a population to be kept; the rest
+// are listed in dropped with the reason ('noPlaces' or 'noPopulation'). A blank category is ''.
+export const buildCombined = ({ cpa, places, crosswalk, population }, { aggregation = 'mean', year = null, mappings = {} } = {}) => {
+  const populationByTown = populationTable(population);
+  const towns = [...populationByTown.keys()];
+
+  // CPA: sum dollars (and acres, when the export has them) per town and category
+  const cpaTown = resolver(towns, mappings.cpa);
+  const hasAcres = Boolean(cpa.columns.acres);
+  const funding = new Map();
+  const skippedCategories = new Map();
+  cpa.rows.forEach(d => {
+    const town = cpaTown(d[cpa.columns.town]);
+    if (!town) return;
+    const category = cpaCategory(d[cpa.columns.category]);
+    const amount = parseAmount(d[cpa.columns.amount]);
+    if (!category) {
+      const label = String(d[cpa.columns.category] ?? '');
+      skippedCategories.set(label, (skippedCategories.get(label) || 0) + 1);
+      return;
+    }
+    if (!funding.has(town)) {
+      funding.set(town, Object.fromEntries([
+        ...CPA_CATEGORIES.map(c => [c.key, 0]),
+        ...ACREAGE_METRICS.map(m => [m.key, 0])
+      ]));
+    }
+    const totals = funding.get(town);
+    if (isFiniteNumber(amount)) totals[category] += amount;
+    if (hasAcres) {
+      const acres = parseAmount(d[cpa.columns.acres]);
+      const metric = ACREAGE_METRICS.find(m => m.dollarsKey === category);
+      if (metric && isFiniteNumber(acres)) totals[metric.key] += acres;
+    }
+  });
+
+  // PLACES: group tracts (or places) by town, then average each measure
+  const units = placesUnits(places, crosswalk, year);
+  const placesTown = resolver(towns, mappings.places);
+  const unitsByTown = new Map();
+  units.forEach(unit => {
+    const town = placesTown(unit.town);
+    if (!town) return;
+    if (!unitsByTown.has(town)) unitsByTown.set(town, []);
+    unitsByTown.get(town).push(unit);
+  });
+  const measures = [...new Set(units.flatMap(u => Object.keys(u.values)))];
+
+  const rows = [];
+  const dropped = [];
+  [...funding.keys()].sort((a, b) => a.localeCompare(b)).forEach(town => {
+    const count = populationByTown.get(town);
+    const townUnits = unitsByTown.get(town) || [];
+    if (townUnits.length === 0) {
+      dropped.push({ town, reason: 'noPlaces' });
+      return;
+    }
+    if (!isFiniteNumber(count) || count <= 0) {
+      dropped.push({ town, reason: 'noPopulation' });
+      return;
+    }
+    const totals = funding.get(town);
+    const row = { TOWN: town };
+    if (hasAcres) {
+      const totalAcres = ACREAGE_METRICS.reduce((sum, m) => sum + totals[m.key], 0);
+      row.TOTACRES = totalAcres;
+      ACREAGE_METRICS.forEach(m => {
+        row[m.key] = totals[m.key];
+        row[m.propKey] = totalAcres > 0 ? totals[m.key] / totalAcres : 0;
+      });
+    }
+    CPA_CATEGORIES.forEach(c => {
+      row[c.key] = totals[c.key];
+    });
+    row.CPA_TOT = CPA_CATEGORIES.reduce((sum, c) => sum + totals[c.key], 0);
+    row.population_count = count;
+    measures.forEach(key => {
+      row[key] = aggregate(townUnits, key, aggregation);
+    });
+    rows.push(row);
+  });
+
+  // Same column order as the hand-built combined_data.csv
+  const columns = [
+    'TOWN',
+    ...(hasAcres ? ['TOTACRES', 'HISTACRES', 'RECACRES', 'HOUSACRES', 'OSACRES'] : []),
+    ...CPA_CATEGORIES.map(c => c.key),
+    'CPA_TOT',
+    ...(hasAcres ? ['HISTACRES_PROP', 'RECACRES_PROP', 'HOUSACRES_PROP', 'OSACRES_PROP'] : []),
+    'population_count',
+    ...measures
+  ];
+
+  return {
+    rows,
+    columns,
+    measures,
+    dropped,
+    skippedCategories: [...skippedCategories].map(([category, projects]) => ({ category, projects })),
+    unresolved: {
+      cpa: countUnresolved(cpa.rows.map(d => d[cpa.columns.town]), cpaTown, mappings.cpa),
+      places: countUnresolved(units.map(u => u.town), placesTown, mappings.places)
+    }
+  };
+};
@@ -0,0 +1,162 @@
+import { describe, it, expect } from 'vitest';
+import { parseAmount, cpaCategory, unmatchedNames, findUnmatched, buildCombined } from './importer';
+
+const cpaFile = (rows, acres = '') => ({
+  rows,
+  columns: { town: 'Municipality', category: 'Category', amount: 'Amount', acres }
+});
+
+// Wide PLACES file, one row per tract
+const placesFile = (rows) => ({
+  rows,
+  fields: ['Place', 'Pop', 'MHLTH_CrudePrev'],
+  columns: { id: '', town: 'Place', population: 'Pop', year: '' }
+});
+
+const populationFile = (rows) => ({ rows, columns: { town: 'Town', population: 'Population' } });
+
+const files = {
+  cpa: cpaFile([
+    { Municipality: 'Town of Boston', Category: 'Community Housing', Amount: '$1,000' },
+    { Municipality: 'Boston', Category: 'Open Space & Recreation', Amount: '500' },
+    { Municipality: 'BOSTON', Category: 'Administrative', Amount: '50' },
+    { Municipality: 'Boston', Category: null, Amount: '10' },
+    { Municipality: 'Salem city', Category: 'Historic Preservation', Amount: 200 },
+    { Municipality: 'Lowell', Category: 'Recreation', Amount: 300 },
+    { Municipality: 'Bostn', Category: 'Recreation', Amount: 25 }
+  ]),
+  places: placesFile([
+    { Place: 'Boston city', Pop: 100, MHLTH_CrudePrev: 10 },
+    { Place: 'Boston city', Pop: 300, MHLTH_CrudePrev: 20 },
+    { Place: 'Lowell', Pop: 50, MHLTH_CrudePrev: 15 }
+  ]),
+  population: populationFile([
+    { Town: 'Boston', Population: 650000 },
+    { Town: 'Salem', Population: 44000 },
+    { Town: 'Lowell', Population: '' }
+  ])
+};
+
+describe('parseAmount', () => {
+  it('reads currency strings and accounting negatives', () => {
+    expect(parseAmount('$1,250,000.00')).toBe(1250000);
+    expect(parseAmount(' $ 75 ')).toBe(75);
+    expect(parseAmount('(500)')).toBe(-500);
+    expect(parseAmount('-$75.50')).toBe(-75.5);
+    expect(parseAmount(42)).toBe(42);
+  });
+
+  it('reads exponent notation', () => {
+    expect(parseAmount('1.2e3')).toBe(1200);
+    expect(parseAmount('5E-1')).toBe(0.5);
+  });
+
+  it('is NaN for blanks and text', () => {
+    expect(parseAmount('')).toBeNaN();
+    expect(parseAmount('   ')).toBeNaN();
+    expect(parseAmount(null)).toBeNaN();
+    expect(parseAmount(undefined)).toBeNaN();
+    expect(parseAmount('n/a')).toBeNaN();
+    expect(parseAmount('12 acres')).toBeNaN();
+  });
+});
+
+describe('cpaCategory', () => {
+  it('maps category text to funding columns', () => {
+    expect(cpaCategory('Community Housing')).toBe('CPA_HOUS');
+    expect(cpaCategory('Open Space & Recreation')).toBe('CPA_OS');
+    expect(cpaCategory('Land Conservation')).toBe('CPA_OS');
+    expect(cpaCategory('RECREATION')).toBe('CPA_REC');
+    expect(cpaCategory('Historic Preservation')).toBe('CPA_HIST');
+    expect(cpaCategory('Administrative')).toBeNull();
+    expect(cpaCategory(null)).toBeNull();
+  });
+});
+
+describe('unmatchedNames', () => {
+  it('suggests the town a name contains or is a typo of', () => {
+    const towns = ['Boston', 'Manchester-by-the-Sea', 'Salem'];
+    expect(unmatchedNames(['Town of Boston', 'Bostn', 'Manchester', 'Nowhere', 'Salem city, MA', '', null], towns)).toEqual([
+      { name: 'Bostn', suggestion: 'Boston' },
+      { name: 'Manchester', suggestion: 'Manchester-by-the-Sea' },
+      { name: 'Nowhere', suggestion: null }
+    ]);
+  });
+
+  it('lists each name once', () => {
+    expect(unmatchedNames(['Nowhere', 'Nowhere'], ['Boston'])).toHaveLength(1);
+  });
+});
+
+describe('findUnmatched', () => {
+  it('checks CPA and PLACES names against the population table', () => {
+    expect(findUnmatched(files)).toEqual({
+      towns: ['Boston', 'Salem', 'Lowell'],
+      cpa: [{ name: 'Bostn', suggestion: 'Boston' }],
+      places: []
+    });
+  });
+});
+
+describe('buildCombined', () => {
+  it('averages tracts, or weights them by population', () => {
+    const boston = (aggregation) => buildCombined(files, { aggregation }).rows.find(d => d.TOWN === 'Boston');
+    expect(boston('mean').MHLTH_CrudePrev).toBe(15);
+    expect(boston('weighted').MHLTH_CrudePrev).toBe(17.5);
+  });
+
+  it('sums funding per category and skips other categories', () => {
+    const result = buildCombined(files);
+    expect(result.rows.map(d => d.TOWN)).toEqual(['Boston']);
+    expect(result.rows[0]).toMatchObject({ CPA_HOUS: 1000, CPA_OS: 500, CPA_REC: 0, CPA_HIST: 0, CPA_TOT: 1500, population_count: 650000 });
+    expect(result.skippedCategories).toEqual([
+      { category: 'Administrative', projects: 1 },
+      { category: '', projects: 1 }
+    ]);
+    expect(result.columns).toEqual(['TOWN', 'CPA_HOUS', 'CPA_OS', 'CPA_REC', 'CPA_HIST', 'CPA_TOT', 'population_count', 'MHLTH_CrudePrev']);
+  });
+
+  it('reports dropped towns and names that matched nothing', () => {
+    const result = buildCombined(files);
+    expect(result.dropped).toEqual([
+      { town: 'Lowell', reason: 'noPopulation' },
+      { town: 'Salem', reason: 'noPlaces' }
+    ]);
+    expect(result.unresolved).toEqual({ cpa: 1, places: 0 });
+  });
+
+  it('uses hand-made mappings, and leaves out names mapped to nothing', () => {
+    const mapped = buildCombined(files, { mappings: { cpa: { Bostn: 'Boston' } } });
+    expect(mapped.rows[0].CPA_REC).toBe(25);
+    expect(mapped.unresolved.cpa).toBe(0);
+    expect(buildCombined(files, { mappings: { cpa: { Bostn: '' } } }).unresolved.cpa).toBe(0);
+  });
+
+  it('splits acres by category when the export has them', () => {
+    const result = buildCombined({
+      ...files,
+      cpa: cpaFile([
+        { Municipality: 'Boston', Category: 'Open Space', Amount: 100, Acres: '30' },
+        { Municipality: 'Boston', Category: 'Recreation', Amount: 100, Acres: 10 }
+      ], 'Acres')
+    });
+    expect(result.rows[0]).toMatchObject({ TOTACRES: 40, OSACRES: 30, RECACRES: 10, OSACRES_PROP: 0.75, HOUSACRES_PROP: 0 });
+  });
+
+  it('pivots long PLACES files on the measure', () => {
+    const result = buildCombined({
+      ...files,
+      places: {
+        rows: [
+          { LocationName: 'Boston', MeasureId: 'MHLTH', DataValueTypeID: 'CrdPrv', Data_Value: '12.5' },
+          { LocationName: 'Boston', MeasureId: 'MHLTH', DataValueTypeID: 'AgeAdjPrv', Data_Value: '99' },
+          { LocationName: 'Boston', MeasureId: 'OBESITY', DataValueTypeID: 'CrdPrv', Data_Value: '30' }
+        ],
+        fields: ['LocationName', 'MeasureId', 'DataValueTypeID', 'Data_Value'],
+        columns: { id: '', town: 'LocationName', population: '', year: '' }
+      }
+    });
+    expect(result.measures).toEqual(['MHLTH_CrudePrev', 'OBESITY_CrudePrev']);
+    expect(result.rows[0]).toMatchObject({ MHLTH_CrudePrev: 12.5, OBESITY_CrudePrev: 30 });
+  });
+});
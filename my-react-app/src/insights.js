@@ -0,0 +1,181 @@
+import { correlationTest, isFiniteNumber } from './stats';
+import { fundingValue, formatFunding, getNormalization } from './normalization';
+import { formatMetric, isLowerBetter } from './metrics';
+import { buildRankings, spendsHeavilyRanksPoorly } from './rankings';
+import { pairSensitivity } from './sensitivity';
+import { describeCorrelation } from './palettes';
+import { formatP, formatR } from './format';
+import { t } from './i18n';
+
+// Plain-language statements generated from the statistics the dashboard already computes, for
+// readers who won't read a heatmap. Every statement carries caveats built from its own sample
+// size, significance and leave-one-out sensitivity, and none of the wording claims a cause.
+
+// Fewer towns than this gets an explicit small-sample caveat on every statement
+export const SMALL_SAMPLE = 10;
+const TOP_CORRELATIONS = 3;
+const MAX_MISMATCHES = 3;
+const SIGNIFICANCE = 0.05;
+
+// How far from either end a town can be and still be called out: the top or bottom third, and
+// never past third place, so five towns only ever produce "highest" and "lowest"
+const notableRank = (n) => Math.min(3, Math.max(1, Math.floor(n / 3)));
+
+// 'high2' is second-highest, 'low1' lowest. null when neither end is close enough, or when other
+// towns share the value: "the lowest" would be misleading when a dozen towns spent nothing.
+const position = (values, i, limit) => {
+  const value = values[i];
+  if (!isFiniteNumber(value)) return null;
+  const finite = values.filter(isFiniteNumber);
+  if (finite.filter(v => v === value).length > 1) return null;
+  const high = finite.filter(v => v > value).length + 1;
+  const low = finite.filter(v => v < value).length + 1;
+  if (high <= limit && high <= low) return { key: `high${high}`, rank: high };
+  if (low <= limit) return { key: `low${low}`, rank: low };
+  return null;
+};
+
+const sampleCaveat = (n) => (n < SMALL_SAMPLE ? [t('insights.caveats.fewTowns', { n })] : []);
+
+// The town at the unhealthy end of each measure, with its funding category closest to either end
+const extremeStatements = (rows, healthMetrics, fundingMetrics, normalization) => {
+  const n = rows.length;
+  const limit = notableRank(n);
+  const norm = getNormalization(normalization);
+  return healthMetrics.flatMap(metric => {
+    const values = rows.map(d => d[metric.key]);
+    const finite = values.filter(isFiniteNumber);
+    if (finite.length < 2) return [];
+    const worst = isLowerBetter(metric) ? Math.max(...finite) : Math.min(...finite);
+    const i = values.indexOf(worst);
+    const town = rows[i].TOWN;
+    const params = {
+      town,
+      position: t(`insights.position.${isLowerBetter(metric) ? 'high1' : 'low1'}`),
+      measure: metric.label.toLowerCase(),
+      value: formatMetric(worst, metric, 1)
+    };
+
+    const funding = fundingMetrics
+      .map(f => {
+        const fundingValues = rows.map(d => fundingValue(d, f.key, normalization));
+        return { metric: f, value: fundingValues[i], position: position(fundingValues, i, limit) };
+      })
+      .filter(f => f.position)
+      .sort((a, b) => a.position.rank - b.position.rank)[0];
+
+    if (!funding) {
+      return [{ id: `extreme-${metric.key}`, kind: 'extreme', text: t('insights.extreme', params), caveats: sampleCaveat(n) }];
+    }
+    return [{
+      id: `extreme-${metric.key}`,
+      kind: 'extreme',
+      text: t('insights.extremeWithFunding', {
+        ...params,
+        fundingPosition: t(`insights.position.${funding.position.key}`),
+        funding: funding.metric.label.toLowerCase(),
+        mode: norm.label,
+        amount: formatFunding(funding.value, normalization)
+      }),
+      caveats: [...sampleCaveat(n), t('insights.caveats.coincidence')]
+    }];
+  });
+};
+
+const significanceCaveat = (test, tests) => {
+  if (!Number.isFinite(test.pValue)) return t('insights.caveats.noPValue');
+  if (test.pValue >= SIGNIFICANCE) return t('insights.caveats.notSignificant', { p: formatP(test.pValue), n: test.n });
+  // Bonferroni: with many pairs tested, some small p-values are expected by chance alone
+  if (test.pValue * tests >= SIGNIFICANCE) return t('insights.caveats.multipleTests', { p: formatP(test.pValue), tests });
+  // A perfect rank correlation among five towns gets p = 0 from the t approximation
+  if (test.n < SMALL_SAMPLE) return t('insights.caveats.smallSignificant', { p: formatP(test.pValue), n: test.n });
+  return t('insights.caveats.significant', { p: formatP(test.pValue), tests });
+};
+
+// The strongest health x funding correlations in the current normalization and method
+const correlationStatements = (rows, healthMetrics, fundingMetrics, normalization, method) => {
+  const norm = getNormalization(normalization);
+  const pairs = healthMetrics.flatMap(health => fundingMetrics.map(funding => {
+    const xValue = (d) => fundingValue(d, funding.key, normalization);
+    const yValue = (d) => d[health.key];
+    return { health, funding, xValue, yValue, test: correlationTest(rows.map(xValue), rows.map(yValue), { method }) };
+  }));
+  const tests = pairs.length;
+
+  return pairs
+    .filter(p => Number.isFinite(p.test.r) && p.test.n >= 3)
+    .sort((a, b) => Math.abs(b.test.r) - Math.abs(a.test.r))
+    .slice(0, TOP_CORRELATIONS)
+    .map(({ health, funding, xValue, yValue, test }) => {
+      const caveats = [...sampleCaveat(test.n), significanceCaveat(test, tests)];
+      if (Number.isFinite(test.ci[0]) && test.ci[0] !== test.ci[1]) {
+        caveats.push(t('insights.caveats.interval', { low: formatR(test.ci[0]), high: formatR(test.ci[1]) }));
+      }
+      const influential = pairSensitivity(rows, xValue, yValue, { method }).towns[0];
+      if (influential && influential.changesR) {
+        caveats.push(t(influential.flipsSign ? 'insights.caveats.oneTownFlips' : 'insights.caveats.oneTown', {
+          town: influential.town,
+          r: formatR(test.r),
+          without: formatR(influential.rWithout)
+        }));
+      }
+      caveats.push(t('insights.caveats.notCausal'));
+      return {
+        id: `correlation-${health.key}-${funding.key}`,
+        kind: 'correlation',
+        text: t('insights.correlation', {
+          n: test.n,
+          funding: funding.label.toLowerCase(),
+          mode: norm.label,
+          direction: t(test.r > 0 ? 'insights.higher' : 'insights.lower'),
+          measure: health.label.toLowerCase(),
+          strength: describeCorrelation(test.r),
+          method: t(`methods.${method}`),
+          r: formatR(test.r)
+        }),
+        caveats
+      };
+    });
+};
+
+// Top and bottom of the equal-weight composite health index, and the towns that are in the top
+// third for funding per capita but the bottom third for health
+const rankingStatements = (rows, healthMetrics) => {
+  const rankings = buildRankings(rows, healthMetrics, {}).filter(d => d.healthRank !== null);
+  const n = rankings.length;
+  if (n < 3) return [];
+  const caveats = [...sampleCaveat(n), t('insights.caveats.index', { count: healthMetrics.length }), t('insights.caveats.coincidence')];
+  const rankText = (entry) => (entry.fundingRank !== null ? t('insights.fundingRank', { rank: entry.fundingRank, n }) : '');
+  // Largest gaps between funding and health rank first
+  const mismatched = rankings.filter(d => spendsHeavilyRanksPoorly(d, n)).sort((a, b) => b.gap - a.gap);
+  const best = rankings[0];
+  const worst = rankings[n - 1];
+  return [
+    { id: 'ranking-best', kind: 'ranking', text: t('insights.rankBest', { town: best.town, n, funding: rankText(best) }), caveats },
+    { id: 'ranking-worst', kind: 'ranking', text: t('insights.rankWorst', { town: worst.town, rank: worst.healthRank, n, funding: rankText(worst) }), caveats },
+    ...mismatched.slice(0, MAX_MISMATCHES).map(d => ({
+      id: `ranking-mismatch-${d.town}`,
+      kind: 'ranking',
+      text: t('insights.rankMismatch', { town: d.town, fundingRank: d.fundingRank, healthRank: d.healthRank, n }),
+      caveats
+    })),
+    ...(mismatched.length > MAX_MISMATCHES
+      ? [{ id: 'ranking-mismatch-more', kind: 'ranking', text: t('insights.rankMismatchMore', { count: mismatched.length - MAX_MISMATCHES }), caveats: [] }]
+      : [])
+  ];
+};
+
+export const INSIGHT_KINDS = ['note', 'extreme', 'correlation', 'ranking'];
+
+// Statements in display order. With fewer than three towns there is nothing to compare, and the
+// only statement says so.
+export const buildInsights = (rows, healthMetrics, fundingMetrics, { normalization, method }) => {
+  if (rows.length < 3) {
+    return [{ id: 'too-few', kind: 'note', text: t('insights.tooFew', { n: rows.length }), caveats: [] }];
+  }
+  return [
+    ...extremeStatements(rows, healthMetrics, fundingMetrics, normalization),
+    ...correlationStatements(rows, healthMetrics, fundingMetrics, normalization, method),
+    ...rankingStatements(rows, healthMetrics)
+  ];
+};
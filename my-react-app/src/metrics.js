@@ -0,0 +1,172 @@
+import config from './metrics.json';
+import { COLORBLIND_COLORS, TOWN_SHAPES } from './palettes';
+import { getLanguage, t } from './i18n';
+import { formatNumber, formatPercent } from './format';
+
+// Metric registry. Health and funding measures are defined in metrics.json; columns that follow
+// the header conventions (<MEASURE>_CrudePrev, CPA_<CATEGORY>) are picked up without an entry.
+// Labels and descriptions live in the message catalogs under metrics.<KEY> (see localizeMetrics).
+
+const { conventions } = config;
+
+const GOLDEN_ANGLE = 137.508;
+const LIGHTNESS = [45, 60, 35];
+
+// Hex output, since the map ramps and chart exports parse colors as #rrggbb
+const hslToHex = (h, s, l) => {
+  const a = s * Math.min(l, 1 - l);
+  const channel = (n) => {
+    const k = (n + h / 30) % 12;
+    const value = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(value * 255).toString(16).padStart(2, '0');
+  };
+  return `#${channel(0)}${channel(8)}${channel(4)}`;
+};
+
+// Spreads hues by the golden angle so neighbouring indexes never look alike, for any count
+export const paletteColor = (index) =>
+  hslToHex((index * GOLDEN_ANGLE) % 360, 0.7, LIGHTNESS[index % LIGHTNESS.length] / 100);
+
+const sortedTowns = (rows) => [...new Set(rows.map(d => d.TOWN))].sort((a, b) => a.localeCompare(b));
+
+// Colors follow alphabetical order, so a town keeps its color across years and views
+export const buildTownPalette = (rows, palette) => Object.fromEntries(sortedTowns(rows).map((town, i) => [
+  town,
+  palette === 'colorblind' ? COLORBLIND_COLORS[i % COLORBLIND_COLORS.length] : paletteColor(i)
+]));
+
+// Marker shape per town, so towns can be told apart without relying on color
+export const buildTownShapes = (rows) =>
+  Object.fromEntries(sortedTowns(rows).map((town, i) => [town, TOWN_SHAPES[i % TOWN_SHAPES.length]]));
+
+// Registry colors are replaced in order by the colorblind-safe set when that palette is on
+export const withPalette = (metrics, palette) => (palette === 'colorblind'
+  ? metrics.map((m, i) => ({ ...m, color: COLORBLIND_COLORS[i % COLORBLIND_COLORS.length] }))
+  : metrics);
+
+const humanize = (text) => text
+  .toLowerCase()
+  .split('_')
+  .filter(Boolean)
+  .map(word => word[0].toUpperCase() + word.slice(1))
+  .join(' ');
+
+// Until a catalog names it, a metric is labelled with its humanized column name
+const healthDefaults = (metric) => ({
+  label: humanize(metric.key.slice(0, -conventions.healthSuffix.length)),
+  unit: '%',
+  direction: 'lower',
+  icon: '📈',
+  required: false,
+  ...metric
+});
+
+const fundingDefaults = (metric) => ({
+  label: humanize(metric.key.slice(conventions.fundingPrefix.length)),
+  unit: '$',
+  icon: '💵',
+  required: false,
+  ...metric
+});
+
+export const HEALTH_METRICS = config.health.map(healthDefaults);
+export const FUNDING_METRICS = config.funding.map(fundingDefaults);
+
+// Columns every dataset must have for the configured metrics
+export const REQUIRED_METRIC_COLUMNS = [...FUNDING_METRICS, ...HEALTH_METRICS]
+  .filter(m => m.required)
+  .map(m => m.key);
+
+const configuredKeys = new Set([...HEALTH_METRICS, ...FUNDING_METRICS].map(m => m.key));
+
+const isHealthColumn = (field) => field.endsWith(conventions.healthSuffix) && field !== conventions.healthSuffix;
+
+const isFundingColumn = (field) =>
+  field.startsWith(conventions.fundingPrefix) &&
+  field !== conventions.fundingPrefix &&
+  !conventions.ignore.includes(field);
+
+// The metrics a dataset with these header fields can show: configured ones that are present,
+// then unconfigured columns that match a convention, with generated labels and colors.
+export const discoverMetrics = (fields) => {
+  const present = (list) => list.filter(m => fields.includes(m.key));
+  const detected = (test) => fields.filter(f => test(f) && !configuredKeys.has(f));
+
+  const healthMetrics = present(HEALTH_METRICS);
+  detected(isHealthColumn).forEach(key => {
+    healthMetrics.push(healthDefaults({ key, color: paletteColor(healthMetrics.length) }));
+  });
+
+  const fundingMetrics = present(FUNDING_METRICS);
+  detected(isFundingColumn).forEach(key => {
+    fundingMetrics.push(fundingDefaults({ key, color: paletteColor(fundingMetrics.length + 3) }));
+  });
+
+  return localizeMetrics({ healthMetrics, fundingMetrics });
+};
+
+const catalogText = (metric, field, fallback) => t(`metrics.${metric.key}.${field}`, {}, fallback);
+
+// Display text in the active language. Columns without a catalog entry get generic wording
+// built around their humanized name. Results are cached per metrics object and language, so
+// repeated calls hand memoized views the same arrays until either one changes.
+const localizedCache = new WeakMap();
+
+export const localizeMetrics = (metrics) => {
+  const byLanguage = localizedCache.get(metrics) || new Map();
+  localizedCache.set(metrics, byLanguage);
+  if (!byLanguage.has(getLanguage())) {
+    byLanguage.set(getLanguage(), {
+      healthMetrics: metrics.healthMetrics.map(metric => {
+        const label = catalogText(metric, 'label', metric.label);
+        return {
+          ...metric,
+          label,
+          fullLabel: catalogText(metric, 'fullLabel', t('metrics.detected.fullLabel', { label })),
+          description: catalogText(metric, 'description', t('metrics.detected.description', { column: metric.key }))
+        };
+      }),
+      fundingMetrics: metrics.fundingMetrics.map(metric => ({
+        ...metric,
+        label: catalogText(metric, 'label', metric.label),
+        description: catalogText(metric, 'description', t('metrics.detected.description', { column: metric.key }))
+      }))
+    });
+  }
+  return byLanguage.get(getLanguage());
+};
+
+// Acreage preserved per CPA category, with its share of TOTACRES in the _PROP column and the
+// funding column for the same category in dollarsKey
+export const ACREAGE_METRICS = [
+  { key: 'HOUSACRES', propKey: 'HOUSACRES_PROP', dollarsKey: 'CPA_HOUS', label: 'Housing', color: '#8b5cf6', icon: '🏠' },
+  { key: 'OSACRES', propKey: 'OSACRES_PROP', dollarsKey: 'CPA_OS', label: 'Open Space', color: '#10b981', icon: '🌳' },
+  { key: 'RECACRES', propKey: 'RECACRES_PROP', dollarsKey: 'CPA_REC', label: 'Recreation', color: '#3b82f6', icon: '⚽' },
+  { key: 'HISTACRES', propKey: 'HISTACRES_PROP', dollarsKey: 'CPA_HIST', label: 'Historical', color: '#f59e0b', icon: '🏛️' }
+];
+
+// Acreage categories share their funding category's name in the catalogs
+const localizedAcreage = new Map();
+
+export const localizeAcreageMetrics = () => {
+  if (!localizedAcreage.has(getLanguage())) {
+    localizedAcreage.set(getLanguage(), ACREAGE_METRICS.map(metric => ({
+      ...metric,
+      label: t(`metrics.${metric.dollarsKey}.label`, {}, metric.label)
+    })));
+  }
+  return localizedAcreage.get(getLanguage());
+};
+
+export const isLowerBetter = (metric) => metric.direction !== 'higher';
+
+export const formatMetric = (value, metric, digits = 2) => {
+  if (value === null || value === undefined || !Number.isFinite(value)) return t('format.notAvailable');
+  if (metric.unit === '%') return formatPercent(value, digits);
+  const text = formatNumber(value, { digits });
+  return metric.unit ? `${text} ${metric.unit}` : text;
+};
+
+export const metricAxisLabel = (metric) => (metric.unit ? `${metric.label} (${metric.unit})` : metric.label);
+
+export const directionNote = (metric) => t(isLowerBetter(metric) ? 'understanding.lowerBetter' : 'understanding.higherBetter');
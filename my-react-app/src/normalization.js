@@ -0,0 +1,101 @@
+import { t } from './i18n';
+import { formatCurrency, formatNumber, formatPercent } from './format';
+
+// Funding normalization modes. Each mode reads a derived column added at ingest (see processRows).
+
+export const FUNDING_COLUMNS = ['CPA_HOUS', 'CPA_OS', 'CPA_REC', 'CPA_HIST', 'CPA_TOT'];
+
+// Labels, titles and axis units come from the message catalogs (normalization.<key>)
+export const normalizationModes = [
+  { key: 'absolute', suffix: '' },
+  { key: 'perCapita', suffix: '_PC' },
+  { key: 'perAcre', suffix: '_PA' },
+  { key: 'share', suffix: '_SHARE' }
+];
+
+export const DEFAULT_NORMALIZATION = 'perCapita';
+
+// Preserved land per CPA category, measured the same way as funding so the acreage view can reuse
+// the heatmap and scatter components. Kept apart from normalizationModes, which is what the
+// funding toggle and the URL accept.
+export const acreageModes = [
+  { key: 'acres', suffix: '' },
+  { key: 'acresPerThousand', suffix: '_PK' },
+  { key: 'acreShare', suffix: '_SHARE' }
+];
+
+export const DEFAULT_ACREAGE_MODE = 'acres';
+
+export const isAcreageMode = (mode) => acreageModes.some(m => m.key === mode);
+
+const findMode = (mode) => [...normalizationModes, ...acreageModes].find(m => m.key === mode);
+
+const modeOrDefault = (mode) => findMode(mode) || findMode(DEFAULT_NORMALIZATION);
+
+export const getNormalization = (mode) => {
+  const found = modeOrDefault(mode);
+  return {
+    ...found,
+    label: t(`normalization.${found.key}.label`),
+    title: t(`normalization.${found.key}.title`),
+    axisUnit: t(`normalization.${found.key}.axisUnit`)
+  };
+};
+
+// Called per row and per cell, so it skips the catalog lookups getNormalization does
+export const fundingKey = (key, mode) => `${key}${modeOrDefault(mode).suffix}`;
+
+export const fundingValue = (row, key, mode) => row[fundingKey(key, mode)];
+
+const ratio = (value, denominator) =>
+  typeof denominator === 'number' && denominator > 0 ? value / denominator : null;
+
+// Derived funding columns for every mode. Undefined ratios (no acreage, no CPA total) are null.
+export const addNormalizedColumns = (row, columns = FUNDING_COLUMNS) => {
+  const derived = {};
+  columns.forEach(key => {
+    derived[`${key}_PC`] = ratio(row[key], row.population_count);
+    derived[`${key}_PA`] = ratio(row[key], row.TOTACRES);
+    const share = ratio(row[key], row.CPA_TOT);
+    derived[`${key}_SHARE`] = share === null ? null : share * 100;
+  });
+  return { ...row, ...derived };
+};
+
+// Acres per 1,000 residents, and each category's share of TOTACRES (from its _PROP column) as a
+// percentage. Files without acreage columns get nulls.
+export const addAcreageColumns = (row, columns) => {
+  const derived = {};
+  columns.forEach(({ key, propKey }) => {
+    const perCapita = ratio(row[key], row.population_count);
+    derived[`${key}_PK`] = perCapita === null ? null : perCapita * 1000;
+    derived[`${key}_SHARE`] = typeof row[propKey] === 'number' && row.TOTACRES > 0 ? row[propKey] * 100 : null;
+  });
+  return { ...row, ...derived };
+};
+
+// Modes that have at least one usable value in the dataset
+export const isModeAvailable = (data, mode) =>
+  data.some(row => Number.isFinite(fundingValue(row, 'CPA_TOT', mode)));
+
+export const fundingAxisLabel = (label, mode) =>
+  t(isAcreageMode(mode) ? 'normalization.acreageAxis' : 'normalization.fundingAxis', { label, unit: getNormalization(mode).axisUnit });
+
+export const formatFunding = (value, mode) => {
+  if (value === null || value === undefined || !Number.isFinite(value)) return t('format.notAvailable');
+  switch (getNormalization(mode).key) {
+    case 'absolute':
+      return formatCurrency(value, { compact: true });
+    case 'perAcre':
+      return t('format.perAcre', { value: formatCurrency(value, { compact: true }) });
+    case 'share':
+    case 'acreShare':
+      return formatPercent(value, 1);
+    case 'acres':
+      return t('format.acres', { value: formatNumber(value, { digits: 2 }) });
+    case 'acresPerThousand':
+      return t('format.acresPerThousand', { value: formatNumber(value, { digits: 2 }) });
+    default:
+      return formatCurrency(value, { digits: 2 });
+  }
+};
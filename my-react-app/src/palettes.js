@@ -0,0 +1,51 @@
+import { t } from './i18n';
+
+// Color palettes. The colorblind-safe option uses the Okabe-Ito colors for towns and metrics and
+// an orange/purple diverging scale for correlations; towns also get a marker shape in either mode.
+
+// Labels come from the message catalogs (palettes.<key>)
+export const COLOR_PALETTES = [
+  { key: 'standard' },
+  { key: 'colorblind' }
+];
+
+export const DEFAULT_PALETTE = 'standard';
+
+// Okabe-Ito, with yellow and black last since they read worst as small markers on white
+export const COLORBLIND_COLORS = ['#0072B2', '#E69F00', '#009E73', '#CC79A7', '#56B4E9', '#D55E00', '#F0E442', '#000000'];
+
+// Recharts symbol types. Seven shapes against eight colors gives 56 distinct town markers.
+export const TOWN_SHAPES = ['circle', 'square', 'triangle', 'diamond', 'cross', 'star', 'wye'];
+
+const DIVERGING = {
+  standard: { positive: [220, 38, 38], negative: [59, 130, 246], names: { positive: 'red', negative: 'blue' } },
+  colorblind: { positive: [230, 97, 1], negative: [94, 60, 153], names: { positive: 'orange', negative: 'purple' } }
+};
+
+const scaleFor = (palette) => DIVERGING[palette] || DIVERGING[DEFAULT_PALETTE];
+
+// Correlation -1..1 to a color whose opacity grows with |r|
+export const divergingColor = (value, palette) => {
+  if (!Number.isFinite(value)) return 'rgb(241, 245, 249)';
+  const [r, g, b] = value > 0 ? scaleFor(palette).positive : scaleFor(palette).negative;
+  return `rgba(${r}, ${g}, ${b}, ${Math.abs(value)})`;
+};
+
+// Legend swatch for one side of the scale, fading towards zero
+export const divergingGradient = (palette, side) => {
+  const [r, g, b] = scaleFor(palette)[side];
+  return side === 'negative'
+    ? `linear-gradient(to right, rgba(${r}, ${g}, ${b}, 1), rgba(${r}, ${g}, ${b}, 0))`
+    : `linear-gradient(to right, rgba(${r}, ${g}, ${b}, 0), rgba(${r}, ${g}, ${b}, 1))`;
+};
+
+export const divergingColorName = (palette, side) => t(`colors.${scaleFor(palette).names[side]}`);
+
+// Words for a correlation, so the heatmap never relies on color alone
+export const describeCorrelation = (r) => {
+  if (!Number.isFinite(r)) return t('strength.none');
+  const size = Math.abs(r);
+  const strength = size >= 0.5 ? 'strong' : size >= 0.3 ? 'moderate' : size >= 0.1 ? 'weak' : 'negligible';
+  if (strength === 'negligible') return t('strength.negligible');
+  return t(`strength.${strength}${r > 0 ? 'Positive' : 'Negative'}`);
+};
@@ -0,0 +1,77 @@
+import { mean, isFiniteNumber } from './stats';
+import { fundingValue } from './normalization';
+import { isLowerBetter } from './metrics';
+
+// Composite health index: each health metric is rescaled across towns, flipped so that higher
+// always means healthier, and combined as a weighted average of the metrics a town has.
+
+// Labels and descriptions are in the catalogs as rankings.scaling.<key>
+export const INDEX_SCALINGS = ['zscore', 'minmax'];
+
+export const DEFAULT_INDEX_SCALING = 'zscore';
+export const DEFAULT_WEIGHT = 1;
+export const MAX_WEIGHT = 3;
+
+const scaler = (values, scaling) => {
+  const clean = values.filter(isFiniteNumber);
+  if (scaling === 'minmax') {
+    const min = Math.min(...clean);
+    const range = Math.max(...clean) - min;
+    return (v) => (range > 0 ? (v - min) / range : 0.5);
+  }
+  const m = mean(clean);
+  const sd = clean.length > 1 ? Math.sqrt(clean.reduce((sum, v) => sum + (v - m) ** 2, 0) / (clean.length - 1)) : 0;
+  return (v) => (sd > 0 ? (v - m) / sd : 0);
+};
+
+export const compositeIndex = (rows, healthMetrics, weights, scaling = DEFAULT_INDEX_SCALING) => {
+  const scored = healthMetrics
+    .filter(m => (weights[m.key] ?? DEFAULT_WEIGHT) > 0)
+    .map(m => {
+      const scale = scaler(rows.map(row => row[m.key]), scaling);
+      const sign = isLowerBetter(m) ? -1 : 1;
+      // Min-max scores flip within 0..1 rather than going negative
+      const score = (v) => (scaling === 'minmax' && sign < 0 ? 1 - scale(v) : sign * scale(v));
+      return { key: m.key, weight: weights[m.key] ?? DEFAULT_WEIGHT, score };
+    });
+
+  return rows.map(row => {
+    const components = {};
+    let total = 0;
+    let weightSum = 0;
+    scored.forEach(({ key, weight, score }) => {
+      if (!isFiniteNumber(row[key])) return;
+      components[key] = score(row[key]);
+      total += weight * components[key];
+      weightSum += weight;
+    });
+    return { town: row.TOWN, index: weightSum > 0 ? total / weightSum : NaN, components };
+  });
+};
+
+// Competition ranking (1, 2, 2, 4): rank 1 is the largest value. Missing values get no rank.
+export const rankValues = (values) => values.map(v => (
+  isFiniteNumber(v) ? values.filter(other => isFiniteNumber(other) && other > v).length + 1 : null
+));
+
+// One entry per town with its index, per-capita CPA funding and both ranks. gap is health rank
+// minus funding rank: large positive gaps are towns that spend heavily but rank poorly on health.
+export const buildRankings = (rows, healthMetrics, weights, scaling) => {
+  const index = compositeIndex(rows, healthMetrics, weights, scaling);
+  const funding = rows.map(row => fundingValue(row, 'CPA_TOT', 'perCapita'));
+  const healthRanks = rankValues(index.map(d => d.index));
+  const fundingRanks = rankValues(funding);
+  return index
+    .map((d, i) => ({
+      ...d,
+      funding: funding[i],
+      healthRank: healthRanks[i],
+      fundingRank: fundingRanks[i],
+      gap: healthRanks[i] !== null && fundingRanks[i] !== null ? healthRanks[i] - fundingRanks[i] : null
+    }))
+    .sort((a, b) => (a.healthRank ?? Infinity) - (b.healthRank ?? Infinity) || a.town.localeCompare(b.town));
+};
+
+// Top third for funding per capita but bottom third for health
+export const spendsHeavilyRanksPoorly = (entry, n) =>
+  entry.fundingRank !== null && entry.healthRank !== null && entry.fundingRank <= n / 3 && entry.healthRank > (2 * n) / 3;
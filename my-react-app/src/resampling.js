@@ -0,0 +1,125 @@
+// With the extension, scripts/generate-fixture.js can import this module under plain Node
+import { completePairs, pearson, spearman, isFiniteNumber } from './stats.js';
+
+// Resampling engine: permutation-test p-values and bootstrap confidence intervals for r.
+// Plain functions with an injectable seeded RNG, so results are reproducible and the same
+// code runs in the Web Worker (resampling.worker.js) and in scripts or tests.
+
+export const DEFAULT_ITERATIONS = 2000;
+export const ITERATION_OPTIONS = [1000, 2000, 5000, 10000];
+export const DEFAULT_SEED = 42;
+
+// mulberry32: small, fast and good enough for resampling. Returns floats in [0, 1).
+export const createRng = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const correlate = (method) => (method === 'spearman' ? spearman : pearson);
+
+// Fisher-Yates shuffle in place
+const shuffle = (values, rng) => {
+  for (let i = values.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [values[i], values[j]] = [values[j], values[i]];
+  }
+  return values;
+};
+
+// Two-sided permutation test: how often shuffling y gives |r| at least as large as observed.
+// Uses the (count + 1) / (iterations + 1) estimate, which is never exactly zero.
+export const permutationTest = (x, y, { method = 'pearson', iterations = DEFAULT_ITERATIONS, rng, onStep } = {}) => {
+  const pairs = completePairs(x, y);
+  const r = correlate(method)(pairs.x, pairs.y);
+  if (!isFiniteNumber(r)) return { r, n: pairs.n, pValue: NaN, iterations: 0 };
+  const observed = Math.abs(r) - 1e-12;
+  const shuffled = [...pairs.y];
+  let extreme = 0;
+  for (let i = 0; i < iterations; i++) {
+    const permuted = correlate(method)(pairs.x, shuffle(shuffled, rng));
+    if (Math.abs(permuted) >= observed) extreme++;
+    if (onStep) onStep(i);
+  }
+  return { r, n: pairs.n, pValue: (extreme + 1) / (iterations + 1), iterations };
+};
+
+const quantile = (sorted, p) => {
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Percentile bootstrap interval for r, resampling towns with replacement. Resamples where r is
+// undefined (e.g. every draw the same town) are skipped and counted in `skipped`.
+export const bootstrapInterval = (x, y, { method = 'pearson', iterations = DEFAULT_ITERATIONS, level = 0.95, rng, onStep } = {}) => {
+  const pairs = completePairs(x, y);
+  const n = pairs.n;
+  if (n < 3) return { ci: [NaN, NaN], level, iterations: 0, skipped: 0 };
+  const estimates = [];
+  const xs = new Array(n);
+  const ys = new Array(n);
+  for (let i = 0; i < iterations; i++) {
+    for (let k = 0; k < n; k++) {
+      const j = Math.floor(rng() * n);
+      xs[k] = pairs.x[j];
+      ys[k] = pairs.y[j];
+    }
+    const r = correlate(method)(xs, ys);
+    if (isFiniteNumber(r)) estimates.push(r);
+    if (onStep) onStep(i);
+  }
+  if (estimates.length === 0) return { ci: [NaN, NaN], level, iterations, skipped: iterations };
+  estimates.sort((a, b) => a - b);
+  const alpha = (1 - level) / 2;
+  return {
+    ci: [quantile(estimates, alpha), quantile(estimates, 1 - alpha)],
+    level,
+    iterations,
+    skipped: iterations - estimates.length
+  };
+};
+
+// Run both tests for every pair ({ id, x, y }). One RNG seeded once drives the whole run, so the
+// same pairs, options and seed always give the same results. onProgress(done, total) counts
+// resamples and is called at most every `progressEvery` of them.
+export const resamplePairs = (pairs, {
+  method = 'pearson',
+  iterations = DEFAULT_ITERATIONS,
+  seed = DEFAULT_SEED,
+  level = 0.95,
+  onProgress,
+  progressEvery = 500
+} = {}) => {
+  const rng = createRng(seed);
+  const total = pairs.length * iterations * 2;
+  let done = 0;
+  const onStep = () => {
+    done++;
+    if (onProgress && done % progressEvery === 0) onProgress(done, total);
+  };
+
+  const results = pairs.map((pair, index) => {
+    const permutation = permutationTest(pair.x, pair.y, { method, iterations, rng, onStep });
+    const bootstrap = bootstrapInterval(pair.x, pair.y, { method, iterations, level, rng, onStep });
+    // Degenerate pairs skip their resamples; keep the progress count in step with the pairs
+    done = (index + 1) * iterations * 2;
+    return {
+      id: pair.id,
+      r: permutation.r,
+      n: permutation.n,
+      permutationP: permutation.pValue,
+      bootstrapCI: bootstrap.ci,
+      skipped: bootstrap.skipped
+    };
+  });
+
+  if (onProgress) onProgress(total, total);
+  return { method, iterations, seed, level, results };
+};
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { createRng, permutationTest, bootstrapInterval, resamplePairs } from './resampling';
+import { pearson } from './stats';
+
+const x = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+const noisy = [2.1, 3.9, 3.2, 5.8, 4.9, 7.5, 6.1, 8.8, 7.9, 10.2, 9.4, 12.5];
+const ITERATIONS = 1000;
+
+describe('createRng', () => {
+  it('repeats the same sequence for the same seed', () => {
+    const a = createRng(7);
+    const b = createRng(7);
+    const c = createRng(8);
+    const first = Array.from({ length: 5 }, a);
+    expect(Array.from({ length: 5 }, b)).toEqual(first);
+    expect(Array.from({ length: 5 }, c)).not.toEqual(first);
+    first.forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+});
+
+describe('permutationTest', () => {
+  it('gives the same p-value for the same seed', () => {
+    const run = (seed) => permutationTest(x, noisy, { iterations: ITERATIONS, rng: createRng(seed) });
+    expect(run(42)).toEqual(run(42));
+    expect(run(42).r).toBe(pearson(x, noisy));
+  });
+
+  it('gives p ≈ 0 for a perfectly correlated input', () => {
+    const result = permutationTest(x, x.map(v => 3 * v + 1), { iterations: ITERATIONS, rng: createRng(1) });
+    expect(result.r).toBe(1);
+    // Only the identity permutation matches |r| = 1, and 12! dwarfs the iteration count
+    expect(result.pValue).toBe(1 / (ITERATIONS + 1));
+  });
+
+  it('does not resample when r is undefined', () => {
+    const result = permutationTest(x, x.map(() => 5), { iterations: ITERATIONS, rng: createRng(1) });
+    expect(result.pValue).toBeNaN();
+    expect(result.iterations).toBe(0);
+  });
+});
+
+describe('bootstrapInterval', () => {
+  it('gives the same interval for the same seed', () => {
+    const run = (seed) => bootstrapInterval(x, noisy, { iterations: ITERATIONS, rng: createRng(seed) });
+    expect(run(42)).toEqual(run(42));
+    const { ci } = run(42);
+    expect(ci[0]).toBeLessThan(pearson(x, noisy));
+    expect(ci[1]).toBeGreaterThan(pearson(x, noisy));
+    expect(ci[1]).toBeLessThanOrEqual(1);
+  });
+
+  it('collapses to 1 for a perfectly correlated input', () => {
+    const { ci } = bootstrapInterval(x, x.map(v => 3 * v + 1), { iterations: ITERATIONS, rng: createRng(1) });
+    expect(ci[0]).toBeCloseTo(1, 12);
+    expect(ci[1]).toBeCloseTo(1, 12);
+  });
+
+  it('needs at least three pairs', () => {
+    expect(bootstrapInterval([1, 2], [1, 2], { rng: createRng(1) }).ci).toEqual([NaN, NaN]);
+  });
+});
+
+describe('resamplePairs', () => {
+  const pairs = [
+    { id: 'noisy', x, y: noisy },
+    { id: 'perfect', x, y: x.map(v => -v) }
+  ];
+
+  it('is reproducible from the seed alone', () => {
+    const a = resamplePairs(pairs, { iterations: ITERATIONS, seed: 99 });
+    const b = resamplePairs(pairs, { iterations: ITERATIONS, seed: 99 });
+    const c = resamplePairs(pairs, { iterations: ITERATIONS, seed: 100 });
+    expect(a).toEqual(b);
+    expect(c.results[0].bootstrapCI).not.toEqual(a.results[0].bootstrapCI);
+    expect(a.results[1].permutationP).toBe(1 / (ITERATIONS + 1));
+  });
+
+  it('reports progress up to the total', () => {
+    const calls = [];
+    resamplePairs(pairs, { iterations: ITERATIONS, onProgress: (done, total) => calls.push([done, total]) });
+    expect(calls[calls.length - 1]).toEqual([4 * ITERATIONS, 4 * ITERATIONS]);
+  });
+});
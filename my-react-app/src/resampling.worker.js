@@ -0,0 +1,17 @@
+import { resamplePairs } from './resampling';
+
+// Runs the resampling engine off the main thread.
+// In:  { pairs: [{ id, x, y }], options: { method, iterations, seed } }
+// Out: { type: 'progress', done, total }, then { type: 'done', result } or { type: 'error', message }
+self.onmessage = (event) => {
+  const { pairs, options } = event.data;
+  try {
+    const result = resamplePairs(pairs, {
+      ...options,
+      onProgress: (done, total) => self.postMessage({ type: 'progress', done, total })
+    });
+    self.postMessage({ type: 'done', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,69 @@
+import { multipleRegression, tQuantile, isFiniteNumber } from './stats';
+import { fundingValue } from './normalization';
+
+// What-if scenarios: each health metric is regressed on per-capita funding for every CPA category
+// (the same model as the Multivariate view), and the fit is evaluated at a town's adjusted values.
+
+export const SCENARIO_STORAGE_KEY = 'cpa-health-scenarios';
+
+export const perCapitaFunding = (row, fundingMetrics) =>
+  Object.fromEntries(fundingMetrics.map(m => [m.key, fundingValue(row, m.key, 'perCapita')]));
+
+export const fitScenarioModels = (data, healthMetrics, fundingMetrics) => {
+  const X = data.map(row => fundingMetrics.map(m => fundingValue(row, m.key, 'perCapita')));
+  return Object.fromEntries(healthMetrics.map(metric => [
+    metric.key,
+    multipleRegression(X, data.map(row => row[metric.key]), fundingMetrics.map(m => m.label))
+  ]));
+};
+
+// Predicted value with a confidence interval for the mean and a wider prediction interval for a
+// single town. Both intervals are NaN when the model has no residual degrees of freedom.
+export const predictScenario = (model, fundingMetrics, values, level = 0.95) => {
+  if (!model.coefficients) return null;
+  const { fit, se } = model.predict(fundingMetrics.map(m => values[m.key]));
+  const tCrit = model.df > 0 ? tQuantile(1 - (1 - level) / 2, model.df) : NaN;
+  const interval = (spread) => (isFiniteNumber(spread) ? [fit - tCrit * spread, fit + tCrit * spread] : [NaN, NaN]);
+  return {
+    fit,
+    ci: interval(se),
+    pi: interval(Math.sqrt(se ** 2 + model.residualSE ** 2)),
+    level
+  };
+};
+
+// Observed per-capita range of each category, for slider bounds and extrapolation warnings
+export const observedRanges = (data, fundingMetrics) => Object.fromEntries(fundingMetrics.map(m => {
+  const values = data.map(row => fundingValue(row, m.key, 'perCapita')).filter(isFiniteNumber);
+  return [m.key, values.length ? [Math.min(...values), Math.max(...values)] : [0, 0]];
+}));
+
+export const outsideObservedRange = (values, ranges) =>
+  Object.keys(ranges).filter(key => values[key] < ranges[key][0] || values[key] > ranges[key][1]);
+
+// Move a dollar amount between categories for a town of the given population. The source never
+// goes below zero, so the amount actually moved can be less than asked.
+export const shiftFunding = (values, from, to, dollars, population) => {
+  if (from === to || !(population > 0)) return values;
+  const moved = Math.min(dollars / population, values[from]);
+  return { ...values, [from]: values[from] - moved, [to]: values[to] + moved };
+};
+
+// Saved scenarios live in localStorage: [{ id, name, town, values, savedAt }]
+export const loadSavedScenarios = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(SCENARIO_STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+export const storeSavedScenarios = (scenarios) => {
+  try {
+    window.localStorage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(scenarios));
+  } catch (error) {
+    // Private browsing or a full quota: scenarios still work for this session
+    console.error('Could not save scenarios:', error);
+  }
+};
@@ -0,0 +1,55 @@
+import { correlationTest, leaveOneOutCorrelations, cooksDistances, isFiniteNumber } from './stats';
+
+// Leave-one-out sensitivity of a town-level correlation: how much r moves when each town is dropped,
+// and each town's Cook's distance in the simple regression of the health metric on funding.
+
+export const SENSITIVITY_THRESHOLDS = [0.1, 0.2, 0.3, 0.5];
+export const DEFAULT_SENSITIVITY_THRESHOLD = 0.2;
+
+// Heatmap cells that don't survive leaving one town out are hatched with this pattern
+export const HATCH_PATTERN = 'repeating-linear-gradient(45deg, rgba(15, 23, 42, 0.35) 0 2px, transparent 2px 8px)';
+
+// Rule of thumb: Cook's distance above 4/n marks an influential point
+export const cooksCutoff = (n) => 4 / n;
+
+// Largest changes first; a correlation that disappears counts as the largest change
+const shift = (town) => (isFiniteNumber(town.delta) ? Math.abs(town.delta) : Infinity);
+
+export const pairSensitivity = (rows, xValue, yValue, { method = 'pearson', threshold = DEFAULT_SENSITIVITY_THRESHOLD } = {}) => {
+  const points = rows
+    .map(row => ({ town: row.TOWN, x: xValue(row), y: yValue(row) }))
+    .filter(p => isFiniteNumber(p.x) && isFiniteNumber(p.y));
+  const x = points.map(p => p.x);
+  const y = points.map(p => p.y);
+  const { r } = correlationTest(x, y, { method });
+  const without = leaveOneOutCorrelations(x, y, { method });
+  const cooks = cooksDistances(x, y);
+  const cutoff = cooksCutoff(points.length);
+
+  const towns = points
+    .map((p, i) => {
+      const delta = without[i] - r;
+      return {
+        ...p,
+        rWithout: without[i],
+        delta,
+        cooksD: cooks[i],
+        influential: cooks[i] > cutoff,
+        flipsSign: isFiniteNumber(without[i]) && without[i] !== 0 && r !== 0 && Math.sign(without[i]) !== Math.sign(r),
+        // A correlation that can't be computed without this town rests on it entirely
+        changesR: isFiniteNumber(r) && (!isFiniteNumber(without[i]) || Math.abs(delta) > threshold)
+      };
+    })
+    .sort((a, b) => shift(b) - shift(a));
+
+  const flagged = towns.filter(t => t.changesR);
+  return {
+    r,
+    n: points.length,
+    threshold,
+    cooksCutoff: cutoff,
+    towns,
+    flagged,
+    robust: flagged.length === 0
+  };
+};
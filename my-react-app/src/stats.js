@@ -0,0 +1,510 @@
+// Statistics helpers for the dashboard. Plain functions over arrays of numbers, no React.
+
+export const isFiniteNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+export const mean = (values) => {
+  const clean = values.filter(isFiniteNumber);
+  return clean.length === 0 ? NaN : clean.reduce((a, b) => a + b, 0) / clean.length;
+};
+
+export const median = (values) => {
+  const sorted = values.filter(isFiniteNumber).sort((a, b) => a - b);
+  if (sorted.length === 0) return NaN;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Keep only the positions where both x and y are finite numbers
+export const completePairs = (x, y) => {
+  const xs = [];
+  const ys = [];
+  const n = Math.min(x.length, y.length);
+  for (let i = 0; i < n; i++) {
+    if (isFiniteNumber(x[i]) && isFiniteNumber(y[i])) {
+      xs.push(x[i]);
+      ys.push(y[i]);
+    }
+  }
+  return { x: xs, y: ys, n: xs.length };
+};
+
+// Pearson r. Returns NaN when fewer than two complete pairs or either side has no variance.
+export const pearson = (x, y) => {
+  const pairs = completePairs(x, y);
+  const n = pairs.n;
+  if (n < 2) return NaN;
+
+  const mx = pairs.x.reduce((a, b) => a + b, 0) / n;
+  const my = pairs.y.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = pairs.x[i] - mx;
+    const dy = pairs.y[i] - my;
+    sxy += dx * dy;
+    sxx += dx * dx;
+    syy += dy * dy;
+  }
+
+  if (sxx === 0 || syy === 0) return NaN;
+  const r = sxy / Math.sqrt(sxx * syy);
+  // Guard against floating point drift past +/-1
+  return Math.max(-1, Math.min(1, r));
+};
+
+// Ranks starting at 1, ties get the average of the ranks they span
+export const rank = (values) => {
+  const order = values.map((v, i) => ({ v, i })).sort((a, b) => a.v - b.v);
+  const ranks = new Array(values.length);
+  let i = 0;
+  while (i < order.length) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].v === order[i].v) j++;
+    const avg = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k].i] = avg;
+    i = j + 1;
+  }
+  return ranks;
+};
+
+// Spearman rho: Pearson r of the ranks, computed on complete pairs only
+export const spearman = (x, y) => {
+  const pairs = completePairs(x, y);
+  if (pairs.n < 2) return NaN;
+  return pearson(rank(pairs.x), rank(pairs.y));
+};
+
+// Lanczos approximation of ln(Gamma(z))
+const LANCZOS = [
+  676.5203681218851, -1259.1392167224028, 771.3234287776531,
+  -176.61503916999186, 12.507343278686905, -0.13857109526572012,
+  9.984369578019572e-6, 1.5056327351493116e-7
+];
+
+export const logGamma = (z) => {
+  if (z < 0.5) {
+    return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * z))) - logGamma(1 - z);
+  }
+  const zz = z - 1;
+  let a = 0.99999999999980993;
+  const t = zz + 7.5;
+  for (let i = 0; i < LANCZOS.length; i++) a += LANCZOS[i] / (zz + i + 1);
+  return 0.5 * Math.log(2 * Math.PI) + (zz + 0.5) * Math.log(t) - t + Math.log(a);
+};
+
+// Continued fraction for the incomplete beta function (Numerical Recipes betacf)
+const betaContinuedFraction = (a, b, x) => {
+  const MAX_ITER = 200;
+  const EPS = 3e-14;
+  const FPMIN = 1e-300;
+  const qab = a + b;
+  const qap = a + 1;
+  const qam = a - 1;
+  let c = 1;
+  let d = 1 - (qab * x) / qap;
+  if (Math.abs(d) < FPMIN) d = FPMIN;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= MAX_ITER; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((qam + m2) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (qab + m) * x) / ((a + m2) * (qap + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < EPS) break;
+  }
+  return h;
+};
+
+// Regularized incomplete beta I_x(a, b)
+export const incompleteBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const lnFront = logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x);
+  const front = Math.exp(lnFront);
+  if (x < (a + 1) / (a + b + 2)) {
+    return (front * betaContinuedFraction(a, b, x)) / a;
+  }
+  return 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+};
+
+// Two-sided p-value for a Student t statistic
+export const tTestPValue = (t, df) => {
+  if (!isFiniteNumber(t) || !(df > 0)) return NaN;
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+};
+
+// Student t CDF
+export const tCdf = (t, df) => {
+  const tail = tTestPValue(t, df) / 2;
+  return t >= 0 ? 1 - tail : tail;
+};
+
+// Inverse Student t CDF, found by bisection on tCdf
+export const tQuantile = (p, df) => {
+  if (!(p > 0 && p < 1) || !(df > 0)) return NaN;
+  let lo = -1e4;
+  let hi = 1e4;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    if (tCdf(mid, df) < p) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+};
+
+// Standard normal CDF (Abramowitz and Stegun 7.1.26 via erf)
+export const normalCdf = (z) => {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+// Inverse standard normal CDF (Acklam's rational approximation)
+export const normalQuantile = (p) => {
+  if (!(p > 0 && p < 1)) return NaN;
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const pLow = 0.02425;
+
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - pLow) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+// Two-sided p-value for H0: rho = 0, using t = r * sqrt((n - 2) / (1 - r^2))
+export const correlationPValue = (r, n) => {
+  if (!isFiniteNumber(r) || n < 3) return NaN;
+  if (Math.abs(r) >= 1) return 0;
+  const df = n - 2;
+  const t = r * Math.sqrt(df / (1 - r * r));
+  return tTestPValue(t, df);
+};
+
+// Fisher z confidence interval for a correlation. Needs n > 3.
+export const fisherConfidenceInterval = (r, n, level = 0.95) => {
+  if (!isFiniteNumber(r) || n <= 3) return [NaN, NaN];
+  if (Math.abs(r) >= 1) return [r, r];
+  const z = Math.atanh(r);
+  const se = 1 / Math.sqrt(n - 3);
+  const zCrit = normalQuantile(1 - (1 - level) / 2);
+  return [Math.tanh(z - zCrit * se), Math.tanh(z + zCrit * se)];
+};
+
+// Labels come from the message catalogs (methods.<key>)
+export const CORRELATION_METHODS = [
+  { key: 'pearson' },
+  { key: 'spearman' }
+];
+
+// Correlation with its p-value and confidence interval. Non-finite values are dropped pairwise.
+export const correlationTest = (x, y, { method = 'pearson', level = 0.95 } = {}) => {
+  const pairs = completePairs(x, y);
+  const r = method === 'spearman' ? spearman(pairs.x, pairs.y) : pearson(pairs.x, pairs.y);
+  return {
+    method,
+    r,
+    n: pairs.n,
+    pValue: correlationPValue(r, pairs.n),
+    ci: fisherConfidenceInterval(r, pairs.n, level),
+    level
+  };
+};
+
+export const significanceMarker = (pValue) => {
+  if (!isFiniteNumber(pValue)) return '';
+  if (pValue < 0.001) return '***';
+  if (pValue < 0.01) return '**';
+  if (pValue < 0.05) return '*';
+  return '';
+};
+
+// Ordinary least squares fit of y on a single x. Returns null with fewer than three complete pairs
+// or no variance in x. band(x) is the confidence interval for the mean response at x.
+export const linearRegression = (x, y, { level = 0.95 } = {}) => {
+  const pairs = completePairs(x, y);
+  const n = pairs.n;
+  if (n < 3) return null;
+
+  const meanX = pairs.x.reduce((a, b) => a + b, 0) / n;
+  const meanY = pairs.y.reduce((a, b) => a + b, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = pairs.x[i] - meanX;
+    const dy = pairs.y[i] - meanY;
+    sxx += dx * dx;
+    sxy += dx * dy;
+    syy += dy * dy;
+  }
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  const predict = (xi) => intercept + slope * xi;
+
+  const sse = pairs.x.reduce((sum, xi, i) => sum + (pairs.y[i] - predict(xi)) ** 2, 0);
+  const df = n - 2;
+  const residualSE = Math.sqrt(sse / df);
+  const slopeSE = residualSE / Math.sqrt(sxx);
+  const tCrit = tQuantile(1 - (1 - level) / 2, df);
+
+  const band = (xi) => {
+    const half = tCrit * residualSE * Math.sqrt(1 / n + (xi - meanX) ** 2 / sxx);
+    const fit = predict(xi);
+    return [fit - half, fit + half];
+  };
+
+  return {
+    n,
+    df,
+    slope,
+    intercept,
+    rSquared: syy === 0 ? NaN : 1 - sse / syy,
+    residualSE,
+    slopeSE,
+    slopePValue: slopeSE === 0 ? 0 : tTestPValue(slope / slopeSE, df),
+    level,
+    predict,
+    band
+  };
+};
+
+// Pearson downdates the full-sample sums of squares, so all n values cost O(n) instead of O(n²).
+const leaveOneOutPearson = (x, y) => {
+  const n = x.length;
+  if (n < 3) return x.map(() => NaN);
+  const mx = x.reduce((a, b) => a + b, 0) / n;
+  const my = y.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (x[i] - mx) * (y[i] - my);
+    sxx += (x[i] - mx) ** 2;
+    syy += (y[i] - my) ** 2;
+  }
+  const scale = n / (n - 1);
+  return x.map((xi, i) => {
+    const dx = xi - mx;
+    const dy = y[i] - my;
+    const vx = sxx - dx * dx * scale;
+    const vy = syy - dy * dy * scale;
+    // Relative cutoff: what's left after removing the only differing value is rounding error
+    if (vx <= sxx * 1e-12 || vy <= syy * 1e-12) return NaN;
+    return Math.max(-1, Math.min(1, (sxy - dx * dy * scale) / Math.sqrt(vx * vy)));
+  });
+};
+
+// Dropping one value lowers the average rank of every larger value by 1 and of its ties by 0.5,
+// so each left-out Spearman rho adjusts the full-sample ranks in one pass instead of re-sorting.
+const dropRank = (values, ranks, i, j) =>
+  ranks[j] - (values[i] < values[j] ? 1 : values[i] === values[j] ? 0.5 : 0);
+
+const leaveOneOutSpearman = (x, y) => {
+  const n = x.length;
+  if (n < 3) return x.map(() => NaN);
+  const rx = rank(x);
+  const ry = rank(y);
+  return x.map((_, i) => {
+    let sx = 0;
+    let sy = 0;
+    let sxx = 0;
+    let syy = 0;
+    let sxy = 0;
+    for (let j = 0; j < n; j++) {
+      if (j === i) continue;
+      const a = dropRank(x, rx, i, j);
+      const b = dropRank(y, ry, i, j);
+      sx += a;
+      sy += b;
+      sxx += a * a;
+      syy += b * b;
+      sxy += a * b;
+    }
+    const m = n - 1;
+    const vx = sxx - (sx * sx) / m;
+    const vy = syy - (sy * sy) / m;
+    // Ranks are small integers and halves, so the sums are exact and zero variance is exactly 0
+    if (vx === 0 || vy === 0) return NaN;
+    return Math.max(-1, Math.min(1, (sxy - (sx * sy) / m) / Math.sqrt(vx * vy)));
+  });
+};
+
+// Correlation with each position left out in turn. Positions without a complete pair get NaN.
+export const leaveOneOutCorrelations = (x, y, { method = 'pearson' } = {}) => {
+  const pairs = completePairs(x, y);
+  const without = method === 'spearman' ? leaveOneOutSpearman(pairs.x, pairs.y) : leaveOneOutPearson(pairs.x, pairs.y);
+  let next = 0;
+  return x.map((xi, i) => (isFiniteNumber(xi) && isFiniteNumber(y[i]) ? without[next++] : NaN));
+};
+
+// Cook's distance for each position in the simple regression of y on x. NaN for incomplete pairs
+// and when the fit has no residual degrees of freedom.
+export const cooksDistances = (x, y) => {
+  const fit = linearRegression(x, y);
+  if (!fit || !(fit.residualSE > 0)) return x.map(() => NaN);
+  const pairs = completePairs(x, y);
+  const meanX = pairs.x.reduce((a, b) => a + b, 0) / pairs.n;
+  const sxx = pairs.x.reduce((sum, xi) => sum + (xi - meanX) ** 2, 0);
+  const mse = fit.residualSE ** 2;
+  return x.map((xi, i) => {
+    if (!isFiniteNumber(xi) || !isFiniteNumber(y[i])) return NaN;
+    const leverage = 1 / pairs.n + (xi - meanX) ** 2 / sxx;
+    const residual = y[i] - fit.predict(xi);
+    return (residual ** 2 / (2 * mse)) * (leverage / (1 - leverage) ** 2);
+  });
+};
+
+// Gauss-Jordan inverse with partial pivoting. Returns null for a singular matrix.
+export const invertMatrix = (matrix) => {
+  const n = matrix.length;
+  const a = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    const div = a[col][col];
+    for (let j = 0; j < 2 * n; j++) a[col][j] /= div;
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const factor = a[r][col];
+      if (factor === 0) continue;
+      for (let j = 0; j < 2 * n; j++) a[r][j] -= factor * a[col][j];
+    }
+  }
+  return a.map(row => row.slice(n));
+};
+
+// Multiple linear regression of y on the columns of X (rows are observations), with an intercept.
+// Rows with any non-finite value are dropped. status is 'ok', 'exact' (no residual degrees of
+// freedom, so no standard errors), 'too-few-rows' or 'singular'.
+export const multipleRegression = (X, y, names = []) => {
+  const rows = [];
+  const ys = [];
+  X.forEach((row, i) => {
+    if (row.every(isFiniteNumber) && isFiniteNumber(y[i])) {
+      rows.push([1, ...row]);
+      ys.push(y[i]);
+    }
+  });
+
+  const n = rows.length;
+  const k = X.length > 0 ? X[0].length : names.length;
+  const p = k + 1;
+  const base = { n, k, df: n - p };
+  if (n < p) return { ...base, status: 'too-few-rows' };
+
+  // Scale predictors before inverting so dollars and proportions don't swamp each other
+  const scales = Array.from({ length: p }, (_, j) =>
+    j === 0 ? 1 : Math.max(...rows.map(r => Math.abs(r[j]))) || 1
+  );
+  const scaled = rows.map(r => r.map((v, j) => v / scales[j]));
+
+  const xtx = Array.from({ length: p }, (_, i) =>
+    Array.from({ length: p }, (_, j) => scaled.reduce((sum, r) => sum + r[i] * r[j], 0))
+  );
+  const xtxInv = invertMatrix(xtx);
+  if (!xtxInv) return { ...base, status: 'singular' };
+
+  const xty = Array.from({ length: p }, (_, i) => scaled.reduce((sum, r, idx) => sum + r[i] * ys[idx], 0));
+  const betaScaled = xtxInv.map(row => row.reduce((sum, v, j) => sum + v * xty[j], 0));
+  const beta = betaScaled.map((b, j) => b / scales[j]);
+
+  const fitted = rows.map(r => r.reduce((sum, v, j) => sum + v * beta[j], 0));
+  const meanY = ys.reduce((a, b) => a + b, 0) / n;
+  const sse = ys.reduce((sum, yi, i) => sum + (yi - fitted[i]) ** 2, 0);
+  const sst = ys.reduce((sum, yi) => sum + (yi - meanY) ** 2, 0);
+  const rSquared = sst === 0 ? NaN : 1 - sse / sst;
+  const df = n - p;
+
+  const sigma2 = df > 0 ? sse / df : NaN;
+  const covariance = xtxInv.map((row, i) => row.map((v, j) => (sigma2 * v) / (scales[i] * scales[j])));
+
+  const coefficients = beta.map((estimate, j) => {
+    const se = Math.sqrt(covariance[j][j]);
+    const t = estimate / se;
+    return {
+      name: j === 0 ? '(Intercept)' : (names[j - 1] ?? `x${j}`),
+      estimate,
+      se,
+      t,
+      pValue: tTestPValue(t, df)
+    };
+  });
+
+  // Fitted mean and its standard error for a new observation (predictor values without the intercept)
+  const predict = (values) => {
+    const v = [1, ...values];
+    const fit = v.reduce((sum, vi, j) => sum + vi * beta[j], 0);
+    const variance = v.reduce((sum, vi, i) => sum + v.reduce((s, vj, j) => s + vi * covariance[i][j] * vj, 0), 0);
+    return { fit, se: Math.sqrt(variance) };
+  };
+
+  return {
+    ...base,
+    status: df > 0 ? 'ok' : 'exact',
+    coefficients,
+    rSquared,
+    adjustedRSquared: df > 0 ? 1 - (1 - rSquared) * (n - 1) / df : NaN,
+    residualSE: Math.sqrt(sigma2),
+    covariance,
+    predict
+  };
+};
+
+// Welch's two-sample t-test (unequal variances) on the difference of means. pValue is NaN
+// when either group has fewer than two values or both have no variance.
+export const welchTTest = (a, b) => {
+  const x = a.filter(isFiniteNumber);
+  const y = b.filter(isFiniteNumber);
+  const meanA = mean(x);
+  const meanB = mean(y);
+  if (x.length < 2 || y.length < 2) return { meanA, meanB, t: NaN, df: NaN, pValue: NaN };
+  const variance = (values, m) => values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1);
+  const seA = variance(x, meanA) / x.length;
+  const seB = variance(y, meanB) / y.length;
+  const se = Math.sqrt(seA + seB);
+  if (se === 0) return { meanA, meanB, t: NaN, df: NaN, pValue: NaN };
+  const t = (meanA - meanB) / se;
+  const df = (seA + seB) ** 2 / (seA ** 2 / (x.length - 1) + seB ** 2 / (y.length - 1));
+  return { meanA, meanB, t, df, pValue: tTestPValue(t, df) };
+};
+
+// Percent of values below the given value, counting ties as half (mid-rank percentile)
+export const percentileRank = (values, value) => {
+  const clean = values.filter(isFiniteNumber);
+  if (clean.length === 0 || !isFiniteNumber(value)) return NaN;
+  const below = clean.filter(v => v < value).length;
+  const equal = clean.filter(v => v === value).length;
+  return ((below + 0.5 * equal) / clean.length) * 100;
+};
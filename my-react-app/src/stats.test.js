@@ -0,0 +1,171 @@
+import { describe, it, expect } from 'vitest';
+import {
+  completePairs,
+  pearson,
+  spearman,
+  rank,
+  tTestPValue,
+  correlationPValue,
+  fisherConfidenceInterval,
+  correlationTest,
+  linearRegression,
+  multipleRegression,
+  cooksDistances
+} from './stats';
+
+// Textbook example: r = sqrt(0.6), least-squares line y = 2.2 + 0.6x
+const x = [1, 2, 3, 4, 5];
+const y = [2, 4, 5, 4, 5];
+
+describe('completePairs', () => {
+  it('drops positions where either side is missing or not finite', () => {
+    expect(completePairs([1, NaN, 3, 4, null, 6], [1, 2, undefined, 4, 5, Infinity])).toEqual({ x: [1, 4], y: [1, 4], n: 2 });
+  });
+});
+
+describe('pearson', () => {
+  it('matches the hand-computed coefficient', () => {
+    expect(pearson(x, y)).toBeCloseTo(Math.sqrt(0.6), 12);
+  });
+
+  it('is +1 or -1 for exact linear relationships', () => {
+    expect(pearson([1, 2, 3], [10, 20, 30])).toBe(1);
+    expect(pearson([1, 2, 3], [3, 2, 1])).toBe(-1);
+  });
+
+  it('drops incomplete pairs instead of propagating NaN', () => {
+    expect(pearson([...x, NaN, 7], [...y, 100, null])).toBeCloseTo(Math.sqrt(0.6), 12);
+  });
+
+  it('is NaN with fewer than two pairs or no variance', () => {
+    expect(pearson([1], [2])).toBeNaN();
+    expect(pearson([1, 2, 3], [4, 4, 4])).toBeNaN();
+  });
+});
+
+describe('spearman', () => {
+  it('averages tied ranks', () => {
+    expect(rank([10, 20, 20, 5])).toEqual([2, 3.5, 3.5, 1]);
+  });
+
+  it('matches the hand-computed coefficient with ties', () => {
+    // Ranks of y are [1, 2.5, 4.5, 2.5, 4.5]: sxy = 7, sxx = 10, syy = 9
+    expect(spearman(x, y)).toBeCloseTo(7 / Math.sqrt(90), 12);
+  });
+
+  it('is 1 for any monotonic relationship', () => {
+    expect(spearman([1, 2, 3, 4], [1, 4, 9, 16])).toBe(1);
+  });
+
+  it('ranks only the complete pairs', () => {
+    expect(spearman([1, 2, NaN, 3], [3, 2, 1000, 1])).toBe(-1);
+  });
+});
+
+describe('correlationPValue', () => {
+  it('matches the t distribution', () => {
+    // t = 2.121 on 3 df, and t = 2.944 on 26 df
+    expect(correlationPValue(Math.sqrt(0.6), 5)).toBeCloseTo(0.1240, 4);
+    expect(correlationPValue(0.5, 28)).toBeCloseTo(0.00674, 5);
+    expect(tTestPValue(2, 10)).toBeCloseTo(0.0734, 4);
+  });
+
+  it('is NaN below three pairs and 0 for a perfect correlation', () => {
+    expect(correlationPValue(0.9, 2)).toBeNaN();
+    expect(correlationPValue(NaN, 10)).toBeNaN();
+    expect(correlationPValue(1, 5)).toBe(0);
+  });
+});
+
+describe('fisherConfidenceInterval', () => {
+  it('matches tanh(atanh(r) ± 1.96 / sqrt(n - 3))', () => {
+    const [low, high] = fisherConfidenceInterval(0.5, 28);
+    expect(low).toBeCloseTo(0.1560, 4);
+    expect(high).toBeCloseTo(0.7358, 4);
+  });
+
+  it('narrows at a lower confidence level', () => {
+    const [low95, high95] = fisherConfidenceInterval(0.5, 28);
+    const [low80, high80] = fisherConfidenceInterval(0.5, 28, 0.8);
+    expect(low80).toBeGreaterThan(low95);
+    expect(high80).toBeLessThan(high95);
+  });
+
+  it('is undefined for n ≤ 3', () => {
+    expect(fisherConfidenceInterval(0.5, 3)).toEqual([NaN, NaN]);
+    expect(fisherConfidenceInterval(0.5, 2)).toEqual([NaN, NaN]);
+  });
+
+  it('collapses to the point for a perfect correlation', () => {
+    expect(fisherConfidenceInterval(-1, 10)).toEqual([-1, -1]);
+  });
+});
+
+describe('correlationTest', () => {
+  it('reports n after dropping missing values', () => {
+    const result = correlationTest([...x, NaN], [...y, 3], { method: 'spearman' });
+    expect(result.n).toBe(5);
+    expect(result.method).toBe('spearman');
+    expect(result.r).toBeCloseTo(7 / Math.sqrt(90), 12);
+    expect(result.pValue).toBe(correlationPValue(result.r, 5));
+  });
+});
+
+describe('linearRegression', () => {
+  it('fits slope, intercept and R²', () => {
+    const fit = linearRegression(x, y);
+    expect(fit.n).toBe(5);
+    expect(fit.slope).toBeCloseTo(0.6, 12);
+    expect(fit.intercept).toBeCloseTo(2.2, 12);
+    expect(fit.rSquared).toBeCloseTo(0.6, 12);
+    expect(fit.predict(10)).toBeCloseTo(8.2, 12);
+  });
+
+  it('gives the slope the same p-value as the correlation', () => {
+    expect(linearRegression(x, y).slopePValue).toBeCloseTo(correlationPValue(pearson(x, y), 5), 10);
+  });
+
+  it('computes the confidence band for the mean', () => {
+    // At the mean of x the half-width is t(0.975, 3) * residual SE / sqrt(n)
+    const [low, high] = linearRegression(x, y).band(3);
+    expect((low + high) / 2).toBeCloseTo(4, 12);
+    expect((high - low) / 2).toBeCloseTo(3.1824 * Math.sqrt(0.8) / Math.sqrt(5), 3);
+  });
+
+  it('is null with fewer than three pairs or no variance in x', () => {
+    expect(linearRegression([1, 2, NaN], [1, 2, 3])).toBeNull();
+    expect(linearRegression([2, 2, 2], [1, 2, 3])).toBeNull();
+  });
+
+  it('flags the point that moves the fit most with Cook\'s distance', () => {
+    const distances = cooksDistances([1, 2, 3, 4, 10, NaN], [1, 2, 3, 4, 0, 5]);
+    expect(distances[5]).toBeNaN();
+    expect(distances.indexOf(Math.max(...distances.slice(0, 5)))).toBe(4);
+  });
+});
+
+describe('multipleRegression', () => {
+  const X = [[1, 2], [2, 1], [3, 4], [4, 3], [5, 6], [6, 5]];
+
+  it('recovers exact coefficients', () => {
+    const result = multipleRegression(X, X.map(([a, b]) => 1 + 2 * a - 0.5 * b), ['a', 'b']);
+    expect(result.status).toBe('ok');
+    expect(result.coefficients.map(c => c.name)).toEqual(['(Intercept)', 'a', 'b']);
+    expect(result.coefficients[0].estimate).toBeCloseTo(1, 8);
+    expect(result.coefficients[1].estimate).toBeCloseTo(2, 8);
+    expect(result.coefficients[2].estimate).toBeCloseTo(-0.5, 8);
+    expect(result.rSquared).toBeCloseTo(1, 8);
+    expect(result.predict([10, 10]).fit).toBeCloseTo(16, 8);
+  });
+
+  it('drops rows with missing values', () => {
+    const result = multipleRegression([...X, [NaN, 1]], [...X.map(([a]) => a), 7]);
+    expect(result.n).toBe(6);
+  });
+
+  it('reports fits it cannot estimate', () => {
+    expect(multipleRegression([[1], [2]], [1, 2]).status).toBe('exact');
+    expect(multipleRegression([[1]], [1]).status).toBe('too-few-rows');
+    expect(multipleRegression([[1, 2], [2, 4], [3, 6], [4, 8]], [1, 2, 3, 5]).status).toBe('singular');
+  });
+});
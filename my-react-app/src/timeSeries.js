@@ -0,0 +1,37 @@
+import { YEAR_COLUMN } from './dataSchema';
+import { correlationTest } from './stats';
+
+export const MAX_LAG = 5;
+
+// Sorted distinct years, empty for a single cross-section without a YEAR column
+export const getYears = (rows) =>
+  [...new Set(rows.map(d => d[YEAR_COLUMN]).filter(Number.isInteger))].sort((a, b) => a - b);
+
+export const rowsForYear = (rows, year) =>
+  year === null || year === undefined ? rows : rows.filter(d => d[YEAR_COLUMN] === year);
+
+// Pair each town's funding in year N with its health value in year N + lag.
+// Pairs are pooled across towns and years.
+export const laggedPairs = (rows, fundingAccessor, healthKey, lag) => {
+  const byTownYear = new Map(rows.map(d => [`${d.TOWN}|${d[YEAR_COLUMN]}`, d]));
+  const x = [];
+  const y = [];
+  rows.forEach(d => {
+    const later = byTownYear.get(`${d.TOWN}|${d[YEAR_COLUMN] + lag}`);
+    if (later) {
+      x.push(fundingAccessor(d));
+      y.push(later[healthKey]);
+    }
+  });
+  return { x, y };
+};
+
+export const lagCorrelations = (rows, fundingAccessor, healthKey, { maxLag = MAX_LAG, method = 'pearson' } = {}) =>
+  Array.from({ length: maxLag + 1 }, (_, lag) => {
+    const { x, y } = laggedPairs(rows, fundingAccessor, healthKey, lag);
+    return { lag, ...correlationTest(x, y, { method }) };
+  });
+
+// One town's rows in year order
+export const townSeries = (rows, town) =>
+  rows.filter(d => d.TOWN === town).sort((a, b) => a[YEAR_COLUMN] - b[YEAR_COLUMN]);
@@ -0,0 +1,22 @@
+import { isFiniteNumber } from './stats';
+
+// Town-by-town bar charts with rotated labels stop being readable past this many towns; beyond
+// it they switch to sorted horizontal bars, cut to the top N, in a scrolling box.
+export const MANY_TOWNS = 30;
+
+export const TOP_N_OPTIONS = [10, 25, 50, 100];
+export const DEFAULT_TOP_N = 25;
+
+// Height of one horizontal bar row, so the chart grows with the number of towns shown
+export const TOWN_ROW_HEIGHT = 22;
+
+export const hasManyTowns = (rows) => rows.length > MANY_TOWNS;
+
+// Towns sorted by one value, largest first unless order is 'asc', cut to the first `limit`
+// (all of them when limit is null). Towns without a value are left out.
+export const rankTowns = (rows, valueOf, { order = 'desc', limit = null } = {}) => {
+  const sorted = rows
+    .filter(row => isFiniteNumber(valueOf(row)))
+    .sort((a, b) => (order === 'asc' ? valueOf(a) - valueOf(b) : valueOf(b) - valueOf(a)));
+  return limit ? sorted.slice(0, limit) : sorted;
+};
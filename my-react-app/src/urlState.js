@@ -0,0 +1,77 @@
+import { DEFAULT_NORMALIZATION, DEFAULT_ACREAGE_MODE } from './normalization';
+import { DEFAULT_PALETTE } from './palettes';
+import { DEFAULT_LANGUAGE } from './i18n';
+
+// Dashboard state <-> query string, so views can be bookmarked and shared.
+// Only values that differ from the defaults are written to the URL.
+
+export const URL_DEFAULTS = {
+  view: 'overview',
+  norm: DEFAULT_NORMALIZATION,
+  acreage: DEFAULT_ACREAGE_MODE,
+  method: 'pearson',
+  log: false,
+  palette: DEFAULT_PALETTE,
+  lang: DEFAULT_LANGUAGE,
+  year: null,
+  town: null,
+  health: null,
+  funding: null,
+  exclude: null,
+  pop: null,
+  fund: null,
+  cohort: null,
+  cohorts: null
+};
+
+export const parseUrlState = (search) => {
+  const params = new URLSearchParams(search);
+  const year = Number(params.get('year'));
+  return {
+    view: params.get('view') || URL_DEFAULTS.view,
+    norm: params.get('norm') || URL_DEFAULTS.norm,
+    acreage: params.get('acreage') || URL_DEFAULTS.acreage,
+    method: params.get('method') || URL_DEFAULTS.method,
+    log: params.get('log') === '1',
+    palette: params.get('palette') || URL_DEFAULTS.palette,
+    lang: params.get('lang') || URL_DEFAULTS.lang,
+    year: params.has('year') && Number.isInteger(year) ? year : URL_DEFAULTS.year,
+    town: params.get('town') || URL_DEFAULTS.town,
+    health: params.get('health') || URL_DEFAULTS.health,
+    funding: params.get('funding') || URL_DEFAULTS.funding,
+    exclude: params.get('exclude') || URL_DEFAULTS.exclude,
+    pop: params.get('pop') || URL_DEFAULTS.pop,
+    fund: params.get('fund') || URL_DEFAULTS.fund,
+    cohort: params.get('cohort') || URL_DEFAULTS.cohort,
+    cohorts: params.get('cohorts') || URL_DEFAULTS.cohorts
+  };
+};
+
+export const serializeUrlState = (state) => {
+  const params = new URLSearchParams();
+  Object.keys(URL_DEFAULTS).forEach(key => {
+    const value = state[key];
+    if (value === undefined || value === null || value === URL_DEFAULTS[key]) return;
+    if (typeof value === 'boolean') {
+      if (value) params.set(key, '1');
+    } else {
+      params.set(key, String(value));
+    }
+  });
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+// Push a history entry when the view changes so back/forward moves between views;
+// other changes, and view changes made with replace (arrow keys in the tabs), replace the current entry.
+export const writeUrlState = (state, { replace = false } = {}) => {
+  const search = serializeUrlState(state);
+  if (search === window.location.search) return;
+  const current = parseUrlState(window.location.search);
+  const url = `${window.location.pathname}${search}${window.location.hash}`;
+  if (current.view !== state.view && !replace) {
+    window.history.pushState(null, '', url);
+  } else {
+    window.history.replaceState(null, '', url);
+  }
+};
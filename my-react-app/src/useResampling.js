@@ -0,0 +1,54 @@
+import { useEffect, useRef, useState } from 'react';
+import { t } from './i18n';
+
+const IDLE = { status: 'idle', progress: 0, result: null, signature: null, error: null };
+
+// Drives resampling.worker.js. run() starts a fresh worker (stopping any previous run);
+// `signature` is an opaque key the caller uses to tell whether a result matches the current inputs.
+export const useResampling = () => {
+  const workerRef = useRef(null);
+  const [state, setState] = useState(IDLE);
+
+  const stop = () => {
+    if (workerRef.current) {
+      workerRef.current.terminate();
+      workerRef.current = null;
+    }
+  };
+
+  const run = (pairs, options, signature) => {
+    stop();
+    const worker = new Worker(new URL('./resampling.worker.js', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+    setState({ ...IDLE, status: 'running', signature });
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+      if (message.type === 'progress') {
+        setState(current => ({ ...current, progress: message.done / message.total }));
+        return;
+      }
+      stop();
+      if (message.type === 'done') {
+        setState({ ...IDLE, status: 'done', progress: 1, result: message.result, signature });
+      } else {
+        setState({ ...IDLE, status: 'error', error: message.message, signature });
+      }
+    };
+    worker.onerror = (event) => {
+      stop();
+      setState({ ...IDLE, status: 'error', error: event.message || t('resampling.workerFailed'), signature });
+    };
+
+    worker.postMessage({ pairs, options });
+  };
+
+  const cancel = () => {
+    stop();
+    setState(IDLE);
+  };
+
+  useEffect(() => stop, []);
+
+  return { ...state, run, cancel };
+};
@@ -1,475 +1,700 @@
-import React, { useState, useEffect } from 'react';
-import { ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, LineChart, Line, BarChart, Bar, Cell, ComposedChart } from 'recharts';
-import Papa from 'papaparse';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { loadDataset } from './dataSchema';
+import DataUpload, { ValidationReport } from './components/DataUpload';
+import ImportWizard from './components/ImportWizard';
+import OverviewView from './components/OverviewView';
+import CorrelationHeatmap from './components/CorrelationHeatmap';
+import ScatterPlotGrid from './components/ScatterPlotGrid';
+import CorrelationGrid from './components/CorrelationGrid';
+import TownLegend from './components/TownLegend';
+import RegressionView from './components/RegressionView';
+import LagAnalysisView from './components/LagAnalysisView';
+import MapView from './components/MapView';
+import TownProfileView from './components/TownProfileView';
+import FilterPanel from './components/FilterPanel';
+import CohortView from './components/CohortView';
+import ResamplingControls from './components/ResamplingControls';
+import AuditView from './components/AuditView';
+import ScenarioView from './components/ScenarioView';
+import RankingsView from './components/RankingsView';
+import AcreageView from './components/AcreageView';
+import InsightsPanel from './components/InsightsPanel';
+import AnnotationsPanel from './components/AnnotationsPanel';
+import { useResampling } from './useResampling';
+import { auditRows } from './audit';
+import { DEFAULT_ITERATIONS, DEFAULT_SEED } from './resampling';
+import { getYears, rowsForYear } from './timeSeries';
+import ViewTabs from './components/ViewTabs';
+import { URL_DEFAULTS, parseUrlState, writeUrlState } from './urlState';
+import {
+  DEFAULT_FILTERS,
+  applyFilters,
+  cohortsFromColumn,
+  mergeCohorts,
+  filtersFromUrl,
+  filtersToUrl,
+  parseCohorts,
+  serializeCohorts,
+  isFiltered
+} from './filters';
+import { CORRELATION_METHODS } from './stats';
+import { buildCorrelationMatrix } from './correlationMatrix';
+import { buildInsights } from './insights';
+import {
+  loadAnnotations,
+  storeAnnotations,
+  addAnnotation,
+  removeAnnotation,
+  mergeAnnotations,
+  indexAnnotations
+} from './annotations';
+import {
+  normalizationModes,
+  acreageModes,
+  DEFAULT_NORMALIZATION,
+  getNormalization,
+  fundingValue,
+  isModeAvailable
+} from './normalization';
+import { DEFAULT_SENSITIVITY_THRESHOLD } from './sensitivity';
+import { buildTownPalette, buildTownShapes, withPalette, localizeMetrics, directionNote } from './metrics';
+import { COLOR_PALETTES } from './palettes';
+import { LANGUAGES, getLocale, isLanguage, setLanguage, t } from './i18n';
+
+const DEFAULT_SOURCE = 'combined_data.csv';
+
+// Shared empty result so memoized views see the same object until resampling has run
+const NO_RESAMPLING = {};
+
+const VIEW_PANEL_ID = 'dashboard-view-panel';
+const viewTabId = (key) => `view-tab-${key}`;
+
+// Tab labels come from the message catalogs (views.<key>)
+const views = [
+  { key: 'overview' },
+  { key: 'rankings' },
+  { key: 'heatmap' },
+  { key: 'scatterplots' },
+  { key: 'regression' },
+  { key: 'lag' },
+  { key: 'map' },
+  { key: 'town' },
+  { key: 'scenario' },
+  { key: 'acreage' },
+  { key: 'cohorts' },
+  { key: 'audit' },
+  { key: 'correlations' }
+];
+
+// URL values are user input: fall back to defaults for anything unknown
+const readUrlState = (search) => {
+  const state = parseUrlState(search);
+  return {
+    ...state,
+    view: views.some(v => v.key === state.view) ? state.view : URL_DEFAULTS.view,
+    norm: normalizationModes.some(m => m.key === state.norm) ? state.norm : URL_DEFAULTS.norm,
+    acreage: acreageModes.some(m => m.key === state.acreage) ? state.acreage : URL_DEFAULTS.acreage,
+    method: CORRELATION_METHODS.some(m => m.key === state.method) ? state.method : URL_DEFAULTS.method,
+    palette: COLOR_PALETTES.some(p => p.key === state.palette) ? state.palette : URL_DEFAULTS.palette,
+    lang: isLanguage(state.lang) ? state.lang : URL_DEFAULTS.lang
+  };
+};
+
+const NormalizationToggle = ({ value, onChange, data }) => (
+  <div className="flex flex-wrap items-center gap-2 text-sm">
+    <span className="text-slate-600 font-medium">{t('controls.fundingMeasuredAs')}</span>
+    {normalizationModes.map(({ key }) => getNormalization(key)).map(mode => {
+      const available = isModeAvailable(data, mode.key);
+      return (
+        <button
+          key={mode.key}
+          type="button"
+          disabled={!available}
+          onClick={() => onChange(mode.key)}
+          title={available ? mode.title : t('controls.modeUnavailable', { mode: mode.label.toLowerCase() })}
+          className={`px-3 py-1 rounded-lg font-medium transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+            value === mode.key
+              ? 'bg-violet-600 text-white'
+              : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
+          }`}
+        >
+          {mode.label}
+        </button>
+      );
+    })}
+  </div>
+);
+
+const PaletteToggle = ({ value, onChange }) => (
+  <div className="flex flex-wrap items-center gap-2 text-sm">
+    <span className="text-slate-600 font-medium">{t('controls.colors')}</span>
+    {COLOR_PALETTES.map(palette => (
+      <button
+        key={palette.key}
+        type="button"
+        aria-pressed={value === palette.key}
+        onClick={() => onChange(palette.key)}
+        className={`px-3 py-1 rounded-lg font-medium transition-colors ${
+          value === palette.key
+            ? 'bg-violet-600 text-white'
+            : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
+        }`}
+      >
+        {t(`palettes.${palette.key}`)}
+      </button>
+    ))}
+  </div>
+);
+
+const YearSlider = ({ years, value, onChange }) => (
+  <div className="flex flex-wrap items-center gap-3 text-sm">
+    <span className="text-slate-600 font-medium">{t('controls.year')}</span>
+    <input
+      type="range"
+      min={0}
+      max={years.length - 1}
+      step={1}
+      value={years.indexOf(value)}
+      onChange={(e) => onChange(years[Number(e.target.value)])}
+      className="w-64 accent-violet-600"
+    />
+    <span className="font-mono font-semibold text-slate-800">{value}</span>
+    <span className="text-xs text-slate-500">({years[0]}–{years[years.length - 1]})</span>
+  </div>
+);
+
+const LanguageSwitcher = ({ value, onChange }) => (
+  <label className="flex items-center gap-2 text-sm text-slate-600">
+    {t('app.language')}
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="border border-slate-300 rounded-lg px-3 py-1 text-sm bg-white"
+    >
+      {LANGUAGES.map(language => (
+        <option key={language.key} value={language.key} lang={language.key}>{language.label}</option>
+      ))}
+    </select>
+  </label>
+);
 
 const CPAHealthDashboard = () => {
-  const [data, setData] = useState([]);
+  // Messages come from a module-level catalog (i18n.js). It is switched before the first render
+  // and in the handlers that change the language, never while rendering.
+  const [initialUrlState] = useState(() => {
+    const state = readUrlState(window.location.search);
+    setLanguage(state.lang);
+    return state;
+  });
+  const [rows, setRows] = useState([]);
+  const [metrics, setMetrics] = useState({ healthMetrics: [], fundingMetrics: [] });
   const [loading, setLoading] = useState(true);
-  const [selectedView, setSelectedView] = useState('overview');
+  const [selectedView, setSelectedView] = useState(initialUrlState.view);
+  const [source, setSource] = useState(DEFAULT_SOURCE);
+  const [validation, setValidation] = useState(null);
+  const [validationSource, setValidationSource] = useState(DEFAULT_SOURCE);
+  const [loadError, setLoadError] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [correlationMethod, setCorrelationMethod] = useState(initialUrlState.method);
+  const [normalization, setNormalization] = useState(initialUrlState.norm);
+  const [acreageMode, setAcreageMode] = useState(initialUrlState.acreage);
+  const [logScale, setLogScale] = useState(initialUrlState.log);
+  const [palette, setPalette] = useState(initialUrlState.palette);
+  const [language, setLanguageState] = useState(initialUrlState.lang);
+  const [selectedYear, setSelectedYear] = useState(initialUrlState.year);
+  const [selectedTown, setSelectedTown] = useState(initialUrlState.town);
+  const [scatterHealth, setScatterHealth] = useState(initialUrlState.health);
+  const [scatterFunding, setScatterFunding] = useState(initialUrlState.funding);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [reportOpen, setReportOpen] = useState(false);
+  const [filters, setFilters] = useState(() => filtersFromUrl(initialUrlState));
+  const [customCohorts, setCustomCohorts] = useState(() => parseCohorts(initialUrlState.cohorts));
+  const [sensitivityThreshold, setSensitivityThreshold] = useState(DEFAULT_SENSITIVITY_THRESHOLD);
+  const [sensitivityPair, setSensitivityPair] = useState(null);
+  const [resamplingIterations, setResamplingIterations] = useState(DEFAULT_ITERATIONS);
+  const [resamplingSeed, setResamplingSeed] = useState(DEFAULT_SEED);
+  const [auditExcluded, setAuditExcluded] = useState([]);
+  const [annotations, setAnnotations] = useState(loadAnnotations);
+  const resampling = useResampling();
+  // Set when the tabs' arrow keys change the view, so stepping through tabs doesn't fill the history
+  const replaceViewEntry = useRef(false);
 
   useEffect(() => {
-    fetch('/combined_data.csv')
-      .then(response => response.text())
-      .then(csvText => {
-        Papa.parse(csvText, {
-          header: true,
-          dynamicTyping: true,
-          skipEmptyLines: true,
-          complete: (results) => {
-            const processedData = results.data.map(d => ({
-              ...d,
-              CPA_HOUS_PC: d.CPA_HOUS / d.population_count,
-              CPA_OS_PC: d.CPA_OS / d.population_count,
-              CPA_REC_PC: d.CPA_REC / d.population_count,
-              CPA_HIST_PC: d.CPA_HIST / d.population_count,
-              CPA_TOT_PC: d.CPA_TOT / d.population_count,
-            }));
-            setData(processedData);
-            setLoading(false);
-          }
-        });
+    document.documentElement.lang = language;
+  }, [language]);
+
+  useEffect(() => {
+    writeUrlState({
+      view: selectedView,
+      norm: normalization,
+      acreage: acreageMode,
+      method: correlationMethod,
+      log: logScale,
+      palette,
+      lang: language,
+      year: selectedYear,
+      town: selectedTown,
+      health: scatterHealth,
+      funding: scatterFunding,
+      ...filtersToUrl(filters),
+      cohorts: serializeCohorts(customCohorts)
+    }, { replace: replaceViewEntry.current });
+    replaceViewEntry.current = false;
+  }, [selectedView, normalization, acreageMode, correlationMethod, logScale, palette, language, selectedYear, selectedTown, scatterHealth, scatterFunding, filters, customCohorts]);
+
+  useEffect(() => {
+    storeAnnotations(annotations);
+  }, [annotations]);
+
+  useEffect(() => {
+    const handlePopState = () => {
+      const state = readUrlState(window.location.search);
+      setSelectedView(state.view);
+      setNormalization(state.norm);
+      setAcreageMode(state.acreage);
+      setCorrelationMethod(state.method);
+      setLogScale(state.log);
+      setPalette(state.palette);
+      setLanguage(state.lang);
+      setLanguageState(state.lang);
+      setSelectedYear(state.year);
+      setSelectedTown(state.town);
+      setScatterHealth(state.health);
+      setScatterFunding(state.funding);
+      setFilters(filtersFromUrl(state));
+      setCustomCohorts(parseCohorts(state.cohorts));
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  useEffect(() => {
+    fetch(`/${DEFAULT_SOURCE}`)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.text();
+      })
+      .then(loadDataset)
+      .then(result => {
+        setValidation(result.validation);
+        setRows(result.data);
+        setMetrics(result.metrics);
+        setLoading(false);
       })
       .catch(error => {
         console.error('Error loading CSV:', error);
+        setLoadError(error.message);
         setLoading(false);
       });
   }, []);
 
+  const copyLink = () => {
+    const href = window.location.href;
+    const done = () => {
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    };
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(href).then(done).catch(() => window.prompt(t('toolbar.copyPrompt'), href));
+    } else {
+      window.prompt(t('toolbar.copyPrompt'), href);
+    }
+  };
+
+  // Uploaded files, and the file the import wizard builds, go through the same parse and
+  // validation pipeline as the bundled CSV. A file that fails validation leaves the current
+  // dataset in place.
+  const handleFile = (file) => {
+    setUploading(true);
+    loadDataset(file)
+      .then(result => {
+        setValidation(result.validation);
+        setValidationSource(file.name);
+        if (result.validation.ok) {
+          setRows(result.data);
+          setMetrics(result.metrics);
+          setSource(file.name);
+          setLoadError(null);
+          if (!isModeAvailable(result.data, normalization)) setNormalization(DEFAULT_NORMALIZATION);
+          setSelectedYear(null);
+          setFilters(DEFAULT_FILTERS);
+          setAuditExcluded([]);
+        }
+        setUploading(false);
+      })
+      .catch(error => {
+        console.error('Error reading uploaded CSV:', error);
+        setValidation(null);
+        setLoadError(`${file.name}: ${error.message}`);
+        setUploading(false);
+      });
+  };
+
+  const changeLanguage = useCallback((key) => {
+    setLanguage(key);
+    setLanguageState(key);
+  }, []);
+
+  const selectView = useCallback((key, { keyboard = false } = {}) => {
+    replaceViewEntry.current = keyboard;
+    setSelectedView(key);
+  }, []);
+
+  const openTownProfile = useCallback((town) => {
+    setSelectedTown(town);
+    setSelectedView('town');
+  }, []);
+
+  // Stable handlers so the memoized heatmap, scatter cards and legend only re-render when notes change
+  const handleAddAnnotation = useCallback((target, text) => {
+    setAnnotations(current => addAnnotation(current, target, text));
+  }, []);
+  const handleRemoveAnnotation = useCallback((id) => {
+    setAnnotations(current => removeAnnotation(current, id));
+  }, []);
+  const handleImportAnnotations = useCallback((imported) => {
+    setAnnotations(current => mergeAnnotations(current, imported).notes);
+  }, []);
+  const annotationIndex = useMemo(() => indexAnnotations(annotations), [annotations]);
+
+  // Derived statistics are computed once per dataset, exclusion, year, filter and setting rather
+  // than on every render, and the views are memoized on them, so typing in a control or switching
+  // tabs stays responsive with all 351 towns loaded.
+
+  // Rows excluded in the audit view are left out of everything downstream
+  const violations = useMemo(() => auditRows(rows, metrics), [rows, metrics]);
+  const analysisRows = useMemo(() => {
+    const excluded = new Set(auditExcluded);
+    return rows.filter(d => !excluded.has(d._row));
+  }, [rows, auditExcluded]);
+
+  // With a YEAR column the cross-sectional views show one year at a time (latest by default)
+  const years = useMemo(() => getYears(analysisRows), [analysisRows]);
+  const activeYear = years.length === 0 ? null : (years.includes(selectedYear) ? selectedYear : years[years.length - 1]);
+  const yearRows = useMemo(() => rowsForYear(analysisRows, activeYear), [analysisRows, activeYear]);
+
+  // Filters pick the towns for the active year; the lag view follows the same towns across all years
+  const cohorts = useMemo(() => mergeCohorts(cohortsFromColumn(analysisRows), customCohorts), [analysisRows, customCohorts]);
+  const data = useMemo(() => applyFilters(yearRows, filters, cohorts), [yearRows, filters, cohorts]);
+  const shownTowns = useMemo(() => new Set(data.map(d => d.TOWN)), [data]);
+  const panelRows = useMemo(() => analysisRows.filter(d => shownTowns.has(d.TOWN)), [analysisRows, shownTowns]);
+  const allTowns = useMemo(
+    () => [...new Set(analysisRows.map(d => d.TOWN))].sort((a, b) => a.localeCompare(b)),
+    [analysisRows]
+  );
+
+  // Metrics come from the registry (metrics.json plus header conventions) for the loaded file,
+  // with labels in the current language
+  const localized = localizeMetrics(metrics);
+  const { healthMetrics, fundingMetrics } = useMemo(() => ({
+    healthMetrics: withPalette(localized.healthMetrics, palette),
+    fundingMetrics: withPalette(localized.fundingMetrics, palette)
+  }), [localized, palette]);
+  const townColors = useMemo(() => buildTownPalette(analysisRows, palette), [analysisRows, palette]);
+  const townShapes = useMemo(() => buildTownShapes(analysisRows), [analysisRows]);
+
+  // The heatmap's leave-one-out pass is the most expensive computation here, so it only runs
+  // while the heatmap (or the report) is on screen. It needs metric keys only, so switching
+  // language or palette reuses it.
+  const heatmapShown = reportOpen || selectedView === 'heatmap';
+  const correlationMatrix = useMemo(() => (heatmapShown
+    ? buildCorrelationMatrix(data, metrics.healthMetrics, metrics.fundingMetrics, {
+      normalization,
+      method: correlationMethod,
+      threshold: sensitivityThreshold
+    })
+    : null), [heatmapShown, data, metrics, normalization, correlationMethod, sensitivityThreshold]);
+
+  // Plain-language statements follow the same towns, normalization and method as the charts
+  const insights = useMemo(
+    () => buildInsights(data, healthMetrics, fundingMetrics, { normalization, method: correlationMethod }),
+    [data, healthMetrics, fundingMetrics, normalization, correlationMethod]
+  );
+
+  // Resampling runs in a worker on demand. Results are keyed by their inputs and only shown
+  // while the data, normalization, method and settings still match.
+  const resamplingPairs = useMemo(() => metrics.healthMetrics.flatMap(health => metrics.fundingMetrics.map(funding => ({
+    id: `${health.key}|${funding.key}`,
+    x: data.map(d => fundingValue(d, funding.key, normalization)),
+    y: data.map(d => d[health.key])
+  }))), [data, metrics, normalization]);
+  const resamplingSignature = useMemo(() => JSON.stringify([
+    normalization,
+    correlationMethod,
+    resamplingIterations,
+    resamplingSeed,
+    activeYear,
+    data.map(d => d.TOWN),
+    resamplingPairs.map(p => p.id)
+  ]), [normalization, correlationMethod, resamplingIterations, resamplingSeed, activeYear, data, resamplingPairs]);
+  const resamplingCurrent = Boolean(resampling.result) && resampling.signature === resamplingSignature;
+  const resamplingResults = useMemo(() => (resamplingCurrent
+    ? Object.fromEntries(resampling.result.results.map(r => [r.id, { ...r, iterations: resampling.result.iterations, seed: resampling.result.seed }]))
+    : NO_RESAMPLING), [resamplingCurrent, resampling.result]);
+
   if (loading) {
     return (
       <div className="w-full h-screen flex items-center justify-center bg-slate-50">
         <div className="text-center">
           <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-violet-600 mx-auto mb-4"></div>
-          <p className="text-slate-600">Loading data...</p>
+          <p className="text-slate-600">{t('app.loading')}</p>
         </div>
       </div>
     );
   }
 
-  if (data.length === 0) {
+  if (rows.length === 0) {
     return (
-      <div className="w-full h-screen flex items-center justify-center bg-slate-50">
-        <div className="text-center">
-          <p className="text-red-600 font-semibold">Error: Could not load data</p>
-          <p className="text-slate-600 mt-2">Make sure combined_data.csv is in the public folder</p>
+      <div className="w-full min-h-screen flex items-center justify-center bg-slate-50 p-6">
+        <div className="max-w-3xl w-full space-y-4">
+          <div className="text-center">
+            <p className="text-red-600 font-semibold">{t('app.loadFailed')}</p>
+            <p className="text-slate-600 mt-2">
+              {loadError
+                ? t('app.loadMissing', { error: loadError, file: DEFAULT_SOURCE })
+                : t('app.loadInvalid')}
+            </p>
+          </div>
+          <ValidationReport validation={validation} fileName={validationSource} />
+          <DataUpload onFile={handleFile} busy={uploading} />
+          <ImportWizard onComplete={handleFile} busy={uploading} />
         </div>
       </div>
     );
   }
 
-  const townColors = {
-    'Cambridge': '#8b5cf6',
-    'Fall River': '#ec4899',
-    'Newton': '#f59e0b',
-    'Quincy': '#10b981',
-    'Somerville': '#3b82f6'
-  };
+  const norm = getNormalization(normalization);
 
-  const healthMetrics = [
-    { 
-      key: 'MHLTH_CrudePrev', 
-      label: 'Mental Health Issues', 
-      fullLabel: 'Poor Mental Health ≥14 Days',
-      description: 'Percentage of adults reporting their mental health was not good for 14 or more days in the past month',
-      unit: '%', 
-      color: '#8b5cf6',
-      icon: '🧠'
-    },
-    { 
-      key: 'LPA_CrudePrev', 
-      label: 'Physical Inactivity', 
-      fullLabel: 'No Leisure Physical Activity',
-      description: 'Percentage of adults who report doing no physical activity or exercise (other than their job) in the past month',
-      unit: '%', 
-      color: '#ec4899',
-      icon: '🏃'
-    },
-    { 
-      key: 'PHLTH_CrudePrev', 
-      label: 'Poor Physical Health', 
-      fullLabel: 'Poor Physical Health ≥14 Days',
-      description: 'Percentage of adults reporting their physical health was not good for 14 or more days in the past month',
-      unit: '%', 
-      color: '#f59e0b',
-      icon: '💪'
-    }
-  ];
-
-  const fundingMetrics = [
-    { 
-      key: 'CPA_HOUS', 
-      label: 'Housing', 
-      description: 'Community Preservation Act funding allocated to affordable housing projects and initiatives',
-      color: '#8b5cf6',
-      icon: '🏠'
-    },
-    { 
-      key: 'CPA_OS', 
-      label: 'Open Space', 
-      description: 'Funding for parks, conservation land, and outdoor recreational spaces',
-      color: '#10b981',
-      icon: '🌳'
-    },
-    { 
-      key: 'CPA_REC', 
-      label: 'Recreation', 
-      description: 'Investment in recreational facilities, playgrounds, sports fields, and community centers',
-      color: '#3b82f6',
-      icon: '⚽'
-    },
-    { 
-      key: 'CPA_HIST', 
-      label: 'Historical', 
-      description: 'Preservation and restoration of historic buildings, sites, and cultural landmarks',
-      color: '#f59e0b',
-      icon: '🏛️'
-    }
-  ];
-
-  // Calculate correlation coefficient
-  const calculateCorrelation = (x, y) => {
-    const n = x.length;
-    const sum_x = x.reduce((a, b) => a + b, 0);
-    const sum_y = y.reduce((a, b) => a + b, 0);
-    const sum_xy = x.reduce((sum, xi, i) => sum + xi * y[i], 0);
-    const sum_x2 = x.reduce((sum, xi) => sum + xi * xi, 0);
-    const sum_y2 = y.reduce((sum, yi) => sum + yi * yi, 0);
-    
-    const numerator = n * sum_xy - sum_x * sum_y;
-    const denominator = Math.sqrt((n * sum_x2 - sum_x * sum_x) * (n * sum_y2 - sum_y * sum_y));
-    
-    return denominator === 0 ? 0 : numerator / denominator;
-  };
-
-  // Generate correlation matrix
-  const generateCorrelationMatrix = () => {
-    const matrix = [];
-    
-    healthMetrics.forEach(health => {
-      const row = { metric: health.label };
-      fundingMetrics.forEach(funding => {
-        const xValues = data.map(d => d[funding.key]);
-        const yValues = data.map(d => d[health.key]);
-        const corr = calculateCorrelation(xValues, yValues);
-        row[funding.label] = corr;
-      });
-      matrix.push(row);
-    });
-    
-    return matrix;
-  };
-
-  // Correlation Heatmap Component
-  const CorrelationHeatmap = () => {
-    const matrix = generateCorrelationMatrix();
-    
-    const getColor = (value) => {
-      // Coolwarm colormap
-      if (value > 0) {
-        const intensity = Math.abs(value);
-        return `rgba(220, 38, 38, ${intensity})`; // Red for positive
-      } else {
-        const intensity = Math.abs(value);
-        return `rgba(59, 130, 246, ${intensity})`; // Blue for negative
-      }
-    };
+  const runResampling = () => resampling.run(
+    resamplingPairs,
+    { method: correlationMethod, iterations: resamplingIterations, seed: resamplingSeed },
+    resamplingSignature
+  );
 
-    return (
-      <div className="bg-white rounded-lg shadow-md p-6">
-        <h3 className="text-xl font-bold text-slate-800 mb-4">
-          📊 Correlation Heatmap: CPA Spending vs Health Metrics
-        </h3>
-        <p className="text-sm text-slate-600 mb-4">
-          Shows the correlation coefficient between each funding type and health outcome. 
-          Red = positive correlation (more funding, worse health), Blue = negative correlation (more funding, better health).
-        </p>
-        <div className="overflow-x-auto">
-          <table className="w-full border-collapse">
-            <thead>
-              <tr>
-                <th className="border border-slate-300 p-3 bg-slate-100"></th>
-                {fundingMetrics.map(funding => (
-                  <th key={funding.key} className="border border-slate-300 p-3 bg-slate-100 text-sm font-semibold">
-                    {funding.icon} {funding.label}
-                  </th>
-                ))}
-              </tr>
-            </thead>
-            <tbody>
-              {matrix.map((row, i) => (
-                <tr key={i}>
-                  <td className="border border-slate-300 p-3 bg-slate-100 font-semibold text-sm">
-                    {healthMetrics[i].icon} {row.metric}
-                  </td>
-                  {fundingMetrics.map(funding => {
-                    const value = row[funding.label];
-                    return (
-                      <td 
-                        key={funding.key}
-                        className="border border-slate-300 p-3 text-center font-mono text-sm"
-                        style={{ backgroundColor: getColor(value) }}
-                      >
-                        <span className={Math.abs(value) > 0.3 ? 'text-white font-bold' : 'text-slate-800'}>
-                          {value.toFixed(2)}
-                        </span>
-                      </td>
-                    );
-                  })}
-                </tr>
-              ))}
-            </tbody>
-          </table>
-        </div>
-        <div className="mt-4 flex items-center justify-center gap-6 text-sm">
-          <div className="flex items-center gap-2">
-            <div className="w-8 h-4" style={{ background: 'linear-gradient(to right, rgba(59, 130, 246, 1), rgba(59, 130, 246, 0))' }}></div>
-            <span className="text-slate-600">-1.0 (Strong Negative)</span>
-          </div>
-          <div className="flex items-center gap-2">
-            <div className="w-8 h-4 bg-slate-200"></div>
-            <span className="text-slate-600">0.0 (No Correlation)</span>
-          </div>
-          <div className="flex items-center gap-2">
-            <div className="w-8 h-4" style={{ background: 'linear-gradient(to right, rgba(220, 38, 38, 0), rgba(220, 38, 38, 1))' }}></div>
-            <span className="text-slate-600">+1.0 (Strong Positive)</span>
-          </div>
-        </div>
-      </div>
-    );
-  };
+  // Built once so the report and the tabbed layout render the same elements. The memoized views
+  // translate their text with t(), so they take language as a prop to re-render when it changes.
+  const overviewView = (
+    <OverviewView
+      language={language}
+      data={data}
+      healthMetrics={healthMetrics}
+      fundingMetrics={fundingMetrics}
+      normalization={normalization}
+      onSelectTown={openTownProfile}
+    />
+  );
+  const heatmapView = correlationMatrix && (
+    <CorrelationHeatmap
+      language={language}
+      matrix={correlationMatrix}
+      healthMetrics={healthMetrics}
+      fundingMetrics={fundingMetrics}
+      normalization={normalization}
+      correlationMethod={correlationMethod}
+      onCorrelationMethodChange={setCorrelationMethod}
+      palette={palette}
+      sensitivityThreshold={sensitivityThreshold}
+      onSensitivityThresholdChange={setSensitivityThreshold}
+      sensitivityPair={sensitivityPair}
+      onSensitivityPairChange={setSensitivityPair}
+      resamplingResults={resamplingResults}
+      n={data.length}
+      annotations={annotationIndex}
+      onAddAnnotation={handleAddAnnotation}
+      onRemoveAnnotation={handleRemoveAnnotation}
+    />
+  );
+  const scatterView = (
+    <ScatterPlotGrid
+      language={language}
+      data={data}
+      healthMetrics={healthMetrics}
+      fundingMetrics={fundingMetrics}
+      normalization={normalization}
+      correlationMethod={correlationMethod}
+      onCorrelationMethodChange={setCorrelationMethod}
+      logScale={logScale}
+      onLogScaleChange={setLogScale}
+      scatterHealth={scatterHealth}
+      onScatterHealthChange={setScatterHealth}
+      scatterFunding={scatterFunding}
+      onScatterFundingChange={setScatterFunding}
+      townColors={townColors}
+      townShapes={townShapes}
+      resamplingResults={resamplingResults}
+      annotations={annotationIndex}
+      onAddAnnotation={handleAddAnnotation}
+      onRemoveAnnotation={handleRemoveAnnotation}
+    />
+  );
+  const acreageView = (
+    <AcreageView
+      language={language}
+      data={data}
+      healthMetrics={healthMetrics}
+      normalization={normalization}
+      acreageMode={acreageMode}
+      onAcreageModeChange={setAcreageMode}
+      correlationMethod={correlationMethod}
+      onCorrelationMethodChange={setCorrelationMethod}
+      palette={palette}
+      sensitivityThreshold={sensitivityThreshold}
+      onSensitivityThresholdChange={setSensitivityThreshold}
+      logScale={logScale}
+      onLogScaleChange={setLogScale}
+      townColors={townColors}
+      townShapes={townShapes}
+    />
+  );
+  const insightsPanel = (
+    <InsightsPanel
+      language={language}
+      insights={insights}
+      n={data.length}
+      normalization={normalization}
+      correlationMethod={correlationMethod}
+    />
+  );
+  const annotationsPanel = (
+    <AnnotationsPanel
+      language={language}
+      annotations={annotations}
+      healthMetrics={healthMetrics}
+      fundingMetrics={fundingMetrics}
+      onRemove={handleRemoveAnnotation}
+      onImport={handleImportAnnotations}
+    />
+  );
+  const correlationsView = (
+    <CorrelationGrid
+      language={language}
+      data={data}
+      healthMetrics={healthMetrics}
+      fundingMetrics={fundingMetrics}
+      normalization={normalization}
+    />
+  );
 
-  // Scatter Plot Grid (like Python script)
-  const ScatterPlotGrid = () => {
-    return (
-      <div className="space-y-8">
-        {healthMetrics.map(healthMetric => (
-          <div key={healthMetric.key}>
-            <h3 className="text-xl font-bold text-slate-800 mb-4">
-              {healthMetric.icon} {healthMetric.fullLabel} - Scatter Analysis
-            </h3>
-            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-              {fundingMetrics.map(funding => {
-                const scatterData = data.map(d => ({
-                  town: d.TOWN,
-                  x: d[funding.key],
-                  y: d[healthMetric.key],
-                  population: d.population_count
-                }));
-
-                const xValues = data.map(d => d[funding.key]);
-                const yValues = data.map(d => d[healthMetric.key]);
-                const correlation = calculateCorrelation(xValues, yValues);
-
-                return (
-                  <div key={funding.key} className="bg-white rounded-lg shadow-md p-6">
-                    <div className="flex items-center justify-between mb-3">
-                      <h4 className="text-md font-semibold text-slate-700">
-                        {healthMetric.label} vs {funding.label}
-                      </h4>
-                      <span 
-                        className={`text-xs font-mono px-2 py-1 rounded ${
-                          Math.abs(correlation) > 0.5 ? 'bg-red-100 text-red-800' :
-                          Math.abs(correlation) > 0.3 ? 'bg-yellow-100 text-yellow-800' :
-                          'bg-green-100 text-green-800'
-                        }`}
-                      >
-                        r = {correlation.toFixed(3)}
-                      </span>
-                    </div>
-                    <ResponsiveContainer width="100%" height={280}>
-                      <ScatterChart margin={{ top: 10, right: 20, bottom: 40, left: 60 }}>
-                        <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
-                        <XAxis
-                          type="number"
-                          dataKey="x"
-                          name={funding.label}
-                          label={{ value: `${funding.label} Funding ($)`, position: 'bottom', offset: 20, style: { fontSize: 11 } }}
-                          tick={{ fontSize: 10 }}
-                        />
-                        <YAxis
-                          type="number"
-                          dataKey="y"
-                          name={healthMetric.label}
-                          label={{ value: `${healthMetric.label} (%)`, angle: -90, position: 'insideLeft', style: { fontSize: 11 } }}
-                          tick={{ fontSize: 10 }}
-                        />
-                        <Tooltip
-                          content={({ active, payload }) => {
-                            if (active && payload && payload.length) {
-                              const d = payload[0].payload;
-                              return (
-                                <div className="bg-white p-3 border border-slate-200 rounded-lg shadow-lg text-xs">
-                                  <p className="font-bold text-slate-800">{d.town}</p>
-                                  <p className="text-slate-600">
-                                    {funding.label}: ${d.x.toLocaleString()}
-                                  </p>
-                                  <p className="text-slate-600">
-                                    {healthMetric.label}: {d.y.toFixed(2)}%
-                                  </p>
-                                  <p className="text-slate-500 text-xs mt-1">
-                                    Pop: {d.population.toLocaleString()}
-                                  </p>
-                                </div>
-                              );
-                            }
-                            return null;
-                          }}
-                        />
-                        <Scatter data={scatterData} fill={funding.color}>
-                          {scatterData.map((entry, index) => (
-                            <Cell key={`cell-${index}`} fill={townColors[entry.town] || funding.color} />
-                          ))}
-                        </Scatter>
-                      </ScatterChart>
-                    </ResponsiveContainer>
-                  </div>
-                );
-              })}
-            </div>
-          </div>
-        ))}
-      </div>
+  // Every view stacked on one page, styled to print cleanly (or save as PDF from the print dialog)
+  if (reportOpen) {
+    const reportSection = (title, content) => (
+      <section className="space-y-4">
+        <h2 className="text-2xl font-bold text-slate-800 border-b border-slate-300 pb-2 break-after-avoid">{title}</h2>
+        {content}
+      </section>
     );
-  };
 
-  const CorrelationGrid = () => {
     return (
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-        {healthMetrics.map(healthMetric => (
-          <div key={healthMetric.key} className="bg-white rounded-lg shadow-md p-6">
-            <h3 className="text-lg font-bold text-slate-800 mb-4">
-              {healthMetric.fullLabel} vs All Funding Types
-            </h3>
-            <ResponsiveContainer width="100%" height={300}>
-              <ComposedChart data={data} margin={{ top: 10, right: 30, left: 0, bottom: 60 }}>
-                <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
-                <XAxis 
-                  dataKey="TOWN" 
-                  angle={-45} 
-                  textAnchor="end" 
-                  height={80}
-                  tick={{ fontSize: 12 }}
-                />
-                <YAxis 
-                  yAxisId="left"
-                  label={{ value: healthMetric.label + ' (%)', angle: -90, position: 'insideLeft', style: { fontSize: 12 } }}
-                />
-                <YAxis 
-                  yAxisId="right" 
-                  orientation="right"
-                  label={{ value: 'Funding per Capita ($)', angle: 90, position: 'insideRight', style: { fontSize: 12 } }}
-                />
-                <Tooltip />
-                <Legend wrapperStyle={{ fontSize: '12px' }} />
-                <Bar yAxisId="left" dataKey={healthMetric.key} fill={healthMetric.color} name={healthMetric.fullLabel} />
-                {fundingMetrics.map(funding => (
-                  <Line 
-                    key={funding.key}
-                    yAxisId="right"
-                    type="monotone" 
-                    dataKey={`${funding.key}_PC`}
-                    stroke={funding.color}
-                    name={funding.label}
-                    strokeWidth={2}
-                    dot={{ r: 4 }}
-                  />
-                ))}
-              </ComposedChart>
-            </ResponsiveContainer>
+      <div className="w-full min-h-screen bg-white p-6 print:p-0">
+        <div className="max-w-7xl mx-auto space-y-10">
+          <div className="flex flex-wrap gap-2 print:hidden">
+            <button
+              type="button"
+              onClick={() => window.print()}
+              className="px-4 py-2 rounded-lg font-medium transition-colors bg-violet-600 text-white hover:bg-violet-700"
+            >
+              {t('report.print')}
+            </button>
+            <button
+              type="button"
+              onClick={() => setReportOpen(false)}
+              className="px-4 py-2 rounded-lg font-medium transition-colors bg-slate-100 text-slate-700 hover:bg-slate-200"
+            >
+              {t('report.close')}
+            </button>
           </div>
-        ))}
-      </div>
-    );
-  };
-
-  const OverviewView = () => {
-    return (
-      <div className="space-y-6">
-        <div className="bg-white rounded-lg shadow-md p-6">
-          <h3 className="text-xl font-bold text-slate-800 mb-4">
-            Health Outcomes by Town
-          </h3>
-          <ResponsiveContainer width="100%" height={400}>
-            <BarChart data={data} margin={{ top: 20, right: 30, left: 20, bottom: 60 }}>
-              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
-              <XAxis dataKey="TOWN" angle={-45} textAnchor="end" height={80} />
-              <YAxis label={{ value: 'Prevalence (%)', angle: -90, position: 'insideLeft' }} />
-              <Tooltip />
-              <Legend />
-              {healthMetrics.map(metric => (
-                <Bar key={metric.key} dataKey={metric.key} fill={metric.color} name={metric.fullLabel} />
-              ))}
-            </BarChart>
-          </ResponsiveContainer>
-        </div>
 
-        <div className="bg-white rounded-lg shadow-md p-6">
-          <h3 className="text-xl font-bold text-slate-800 mb-4">
-            CPA Funding per Capita by Category
-          </h3>
-          <ResponsiveContainer width="100%" height={400}>
-            <BarChart data={data} margin={{ top: 20, right: 30, left: 20, bottom: 60 }}>
-              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
-              <XAxis dataKey="TOWN" angle={-45} textAnchor="end" height={80} />
-              <YAxis label={{ value: 'Per Capita Funding ($)', angle: -90, position: 'insideLeft' }} />
-              <Tooltip formatter={(value) => `$${value.toFixed(2)}`} />
-              <Legend />
-              {fundingMetrics.map(metric => (
-                <Bar key={metric.key} dataKey={`${metric.key}_PC`} fill={metric.color} name={metric.label} />
-              ))}
-            </BarChart>
-          </ResponsiveContainer>
-        </div>
+          <header>
+            <h1 className="text-3xl font-bold text-slate-800 mb-2">
+              {t('app.title')}
+            </h1>
+            <dl className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-1 text-sm text-slate-600">
+              <div><dt className="inline font-semibold">{t('report.dataset')} </dt><dd className="inline">{source}</dd></div>
+              <div><dt className="inline font-semibold">{t('report.generated')} </dt><dd className="inline">{new Date().toLocaleString(getLocale())}</dd></div>
+              <div><dt className="inline font-semibold">{t('report.towns')} </dt><dd className="inline">{data.length}{isFiltered(filters) && t('report.townsFiltered', { total: yearRows.length })}{activeYear !== null && ` (${activeYear})`}</dd></div>
+              <div><dt className="inline font-semibold">{t('report.funding')} </dt><dd className="inline">{norm.title}</dd></div>
+              <div><dt className="inline font-semibold">{t('report.correlation')} </dt><dd className="inline">{t(`methods.${correlationMethod}`)}</dd></div>
+            </dl>
+          </header>
 
-        <div className="bg-gradient-to-r from-violet-50 to-purple-50 rounded-lg shadow-md p-6">
-          <h3 className="text-xl font-bold text-slate-800 mb-4">Key Statistics</h3>
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-            {healthMetrics.map(metric => {
-              const values = data.map(d => d[metric.key]);
-              const avg = values.reduce((a, b) => a + b, 0) / values.length;
-              const min = Math.min(...values);
-              const max = Math.max(...values);
-              const bestTown = data.find(d => d[metric.key] === min)?.TOWN;
-              const worstTown = data.find(d => d[metric.key] === max)?.TOWN;
-
-              return (
-                <div key={metric.key} className="bg-white rounded-lg p-4">
-                  <h4 className="font-semibold mb-2" style={{ color: metric.color }}>
-                    {metric.icon} {metric.label}
-                  </h4>
-                  <div className="text-sm space-y-1">
-                    <p className="text-slate-700">Average: <strong>{avg.toFixed(2)}%</strong></p>
-                    <p className="text-green-700">Best: <strong>{bestTown}</strong> ({min.toFixed(2)}%)</p>
-                    <p className="text-red-700">Worst: <strong>{worstTown}</strong> ({max.toFixed(2)}%)</p>
-                  </div>
-                </div>
-              );
-            })}
-          </div>
+          {insightsPanel}
+          {reportSection(t('report.overview'), overviewView)}
+          {reportSection(t('report.heatmap'), heatmapView)}
+          {reportSection(t('report.scatter'), scatterView)}
+          {reportSection(t('report.regression'), (
+            <RegressionView
+              data={data}
+              healthMetrics={healthMetrics}
+              fundingMetrics={fundingMetrics}
+              normalization={normalization}
+            />
+          ))}
+          {reportSection(t('report.correlations'), correlationsView)}
+          {reportSection(t('report.acreage'), acreageView)}
+          {years.length > 1 && reportSection(t('report.lag'), (
+            <LagAnalysisView
+              language={language}
+              rows={panelRows}
+              years={years}
+              healthMetrics={healthMetrics}
+              fundingMetrics={fundingMetrics}
+              normalization={normalization}
+              correlationMethod={correlationMethod}
+            />
+          ))}
+          {selectedTown && reportSection(t('report.town', { town: selectedTown }), (
+            <TownProfileView
+              language={language}
+              data={data}
+              healthMetrics={healthMetrics}
+              fundingMetrics={fundingMetrics}
+              normalization={normalization}
+              town={selectedTown}
+              onSelectTown={setSelectedTown}
+              townColors={townColors}
+            />
+          ))}
+          {annotations.length > 0 && reportSection(t('report.notes'), annotationsPanel)}
         </div>
       </div>
     );
-  };
+  }
 
   return (
     <div className="w-full min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 p-6">
       <div className="max-w-7xl mx-auto">
-        <div className="mb-8">
-          <h1 className="text-3xl font-bold text-slate-800 mb-2">
-            Community Preservation Act Funding & Health Outcomes
-          </h1>
-          <p className="text-slate-600">
-            Analyzing {data.length} towns - Data from combined_data.csv
-          </p>
+        <div className="mb-8 flex flex-wrap items-start justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-slate-800 mb-2">
+              {t('app.title')}
+            </h1>
+            <p className="text-slate-600">
+              {t('app.summary', { count: data.length })}
+              {isFiltered(filters) && t('app.summaryFiltered', { total: yearRows.length })}
+              {activeYear !== null && t('app.summaryYear', { year: activeYear })}
+              {t('app.summarySource', { source })}
+              {auditExcluded.length > 0 && t('app.summaryExcluded', { count: auditExcluded.length })}
+            </p>
+          </div>
+          <LanguageSwitcher value={language} onChange={changeLanguage} />
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-4 mb-6 space-y-4">
+          <DataUpload onFile={handleFile} busy={uploading} />
+          <ImportWizard onComplete={handleFile} busy={uploading} />
+          {loadError && (
+            <p className="text-sm text-red-600">{t('app.error', { message: loadError })}</p>
+          )}
+          <ValidationReport validation={validation} fileName={validationSource} />
         </div>
 
         <div className="bg-gradient-to-r from-blue-50 to-indigo-50 rounded-lg shadow-md p-6 mb-6">
-          <h2 className="text-xl font-bold text-slate-800 mb-4">📊 Understanding the Data</h2>
+          <h2 className="text-xl font-bold text-slate-800 mb-4">{t('understanding.title')}</h2>
           
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
             <div>
               <h3 className="text-lg font-semibold text-slate-800 mb-3 flex items-center gap-2">
-                <span className="text-2xl">🏥</span> Health Outcome Metrics
+                <span className="text-2xl">🏥</span> {t('understanding.healthTitle')}
               </h3>
               <div className="space-y-3">
                 {healthMetrics.map(metric => (
@@ -480,7 +705,7 @@ const CPAHealthDashboard = () => {
                         <h4 className="font-semibold text-slate-800">{metric.fullLabel}</h4>
                         <p className="text-sm text-slate-600 mt-1">{metric.description}</p>
                         <p className="text-xs text-slate-500 mt-1 italic">
-                          Lower percentages = Better health outcomes
+                          {directionNote(metric)}
                         </p>
                       </div>
                     </div>
@@ -491,7 +716,7 @@ const CPAHealthDashboard = () => {
 
             <div>
               <h3 className="text-lg font-semibold text-slate-800 mb-3 flex items-center gap-2">
-                <span className="text-2xl">💰</span> CPA Funding Categories
+                <span className="text-2xl">💰</span> {t('understanding.fundingTitle')}
               </h3>
               <div className="space-y-3">
                 {fundingMetrics.map(metric => (
@@ -499,7 +724,7 @@ const CPAHealthDashboard = () => {
                     <div className="flex items-start gap-2">
                       <span className="text-xl">{metric.icon}</span>
                       <div>
-                        <h4 className="font-semibold text-slate-800">{metric.label} Funding</h4>
+                        <h4 className="font-semibold text-slate-800">{t('understanding.fundingLabel', { label: metric.label })}</h4>
                         <p className="text-sm text-slate-600 mt-1">{metric.description}</p>
                       </div>
                     </div>
@@ -513,81 +738,185 @@ const CPAHealthDashboard = () => {
             <div className="flex items-start gap-3">
               <span className="text-2xl">💡</span>
               <div>
-                <h4 className="font-semibold text-slate-800 mb-2">What We're Analyzing</h4>
-                <p className="text-sm text-slate-700 mb-2">
-                  This dashboard explores whether towns that invest more in community infrastructure (housing, parks, recreation, historic preservation) 
-                  see better health outcomes among their residents.
-                </p>
+                <h4 className="font-semibold text-slate-800 mb-2">{t('understanding.analyzingTitle')}</h4>
+                <p className="text-sm text-slate-700 mb-2">{t('understanding.analyzingText')}</p>
                 <p className="text-sm text-slate-700">
-                  <strong>Key Question:</strong> Does higher per-capita CPA funding correlate with lower rates of mental health issues, 
-                  physical inactivity, and poor physical health?
+                  <strong>{t('understanding.keyQuestionLabel')}</strong>{' '}
+                  {t('understanding.keyQuestion', { metrics: healthMetrics.map(m => m.label.toLowerCase()).join(', ') })}
                 </p>
               </div>
             </div>
           </div>
         </div>
 
+        <div className="mb-6">{insightsPanel}</div>
+
         <div className="bg-white rounded-lg shadow-md p-4 mb-6">
           <div className="flex flex-wrap gap-2">
+            <ViewTabs
+              views={views.map(view => ({ ...view, label: t(`views.${view.key}`) }))}
+              label={t('toolbar.viewsLabel')}
+              selected={selectedView}
+              onSelect={selectView}
+              panelId={VIEW_PANEL_ID}
+              tabId={viewTabId}
+            />
             <button
-              onClick={() => setSelectedView('overview')}
-              className={`px-4 py-2 rounded-lg font-medium transition-colors ${
-                selectedView === 'overview'
-                  ? 'bg-violet-600 text-white'
-                  : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
-              }`}
-            >
-              📈 Overview
-            </button>
-            <button
-              onClick={() => setSelectedView('heatmap')}
-              className={`px-4 py-2 rounded-lg font-medium transition-colors ${
-                selectedView === 'heatmap'
-                  ? 'bg-violet-600 text-white'
-                  : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
-              }`}
-            >
-              🔥 Correlation Heatmap
-            </button>
-            <button
-              onClick={() => setSelectedView('scatterplots')}
-              className={`px-4 py-2 rounded-lg font-medium transition-colors ${
-                selectedView === 'scatterplots'
-                  ? 'bg-violet-600 text-white'
-                  : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
-              }`}
+              type="button"
+              onClick={copyLink}
+              className="ml-auto px-4 py-2 rounded-lg font-medium transition-colors bg-slate-100 text-slate-700 hover:bg-slate-200"
+              title={t('toolbar.copyLinkTitle')}
             >
-              📊 Scatter Plots
+              {linkCopied ? t('toolbar.linkCopied') : t('toolbar.copyLink')}
             </button>
             <button
-              onClick={() => setSelectedView('correlations')}
-              className={`px-4 py-2 rounded-lg font-medium transition-colors ${
-                selectedView === 'correlations'
-                  ? 'bg-violet-600 text-white'
-                  : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
-              }`}
+              type="button"
+              onClick={() => setReportOpen(true)}
+              className="px-4 py-2 rounded-lg font-medium transition-colors bg-slate-100 text-slate-700 hover:bg-slate-200"
+              title={t('toolbar.reportTitle')}
             >
-              🔗 Combined View
+              {t('toolbar.report')}
             </button>
           </div>
+          <div className="mt-4 pt-4 border-t border-slate-200">
+            <NormalizationToggle value={normalization} onChange={setNormalization} data={yearRows} />
+          </div>
+          <div className="mt-4 pt-4 border-t border-slate-200">
+            <PaletteToggle value={palette} onChange={setPalette} />
+          </div>
+          <div className="mt-4 pt-4 border-t border-slate-200">
+            <FilterPanel
+              allRows={yearRows}
+              shownCount={data.length}
+              filters={filters}
+              onChange={setFilters}
+              cohorts={cohorts}
+            />
+          </div>
+          {(selectedView === 'heatmap' || selectedView === 'scatterplots') && (
+            <div className="mt-4 pt-4 border-t border-slate-200">
+              <ResamplingControls
+                status={resampling.status}
+                progress={resampling.progress}
+                error={resampling.error}
+                stale={Boolean(resampling.result) && !resamplingCurrent}
+                iterations={resamplingIterations}
+                onIterationsChange={setResamplingIterations}
+                seed={resamplingSeed}
+                onSeedChange={setResamplingSeed}
+                onRun={runResampling}
+                onCancel={resampling.cancel}
+              />
+            </div>
+          )}
+          {years.length > 1 && (
+            <div className="mt-4 pt-4 border-t border-slate-200">
+              <YearSlider years={years} value={activeYear} onChange={setSelectedYear} />
+            </div>
+          )}
         </div>
 
-        {selectedView === 'overview' && <OverviewView />}
-        {selectedView === 'heatmap' && <CorrelationHeatmap />}
-        {selectedView === 'scatterplots' && <ScatterPlotGrid />}
-        {selectedView === 'correlations' && <CorrelationGrid />}
-
-        <div className="mt-8 bg-white rounded-lg shadow-md p-6">
-          <h3 className="text-lg font-bold text-slate-800 mb-3">Town Legend</h3>
-          <div className="flex flex-wrap gap-4">
-            {Object.entries(townColors).map(([town, color]) => (
-              <div key={town} className="flex items-center gap-2">
-                <div className="w-4 h-4 rounded-full" style={{ backgroundColor: color }}></div>
-                <span className="text-sm text-slate-600">{town}</span>
-              </div>
-            ))}
-          </div>
+        <div role="tabpanel" id={VIEW_PANEL_ID} aria-labelledby={viewTabId(selectedView)} tabIndex={0} className="focus:outline-none">
+          {data.length === 0 && selectedView !== 'cohorts' && selectedView !== 'audit' ? (
+            <div className="bg-white rounded-lg shadow-md p-6 text-slate-600">
+              {t('app.noMatch')}
+            </div>
+          ) : (
+            <>
+              {selectedView === 'overview' && overviewView}
+              {selectedView === 'heatmap' && heatmapView}
+              {selectedView === 'scatterplots' && scatterView}
+              {selectedView === 'rankings' && (
+                <RankingsView language={language} data={data} healthMetrics={healthMetrics} townColors={townColors} />
+              )}
+              {selectedView === 'regression' && (
+                <RegressionView
+                  data={data}
+                  healthMetrics={healthMetrics}
+                  fundingMetrics={fundingMetrics}
+                  normalization={normalization}
+                />
+              )}
+              {selectedView === 'correlations' && correlationsView}
+              {selectedView === 'acreage' && acreageView}
+              {selectedView === 'map' && (
+                <MapView
+                  data={data}
+                  healthMetrics={healthMetrics}
+                  fundingMetrics={fundingMetrics}
+                  normalization={normalization}
+                  selectedTown={selectedTown}
+                  onSelectTown={openTownProfile}
+                />
+              )}
+              {selectedView === 'town' && (
+                <TownProfileView
+                  language={language}
+                  data={data}
+                  healthMetrics={healthMetrics}
+                  fundingMetrics={fundingMetrics}
+                  normalization={normalization}
+                  town={selectedTown}
+                  onSelectTown={setSelectedTown}
+                  townColors={townColors}
+                />
+              )}
+              {selectedView === 'scenario' && (
+                <ScenarioView
+                  language={language}
+                  data={data}
+                  healthMetrics={healthMetrics}
+                  fundingMetrics={fundingMetrics}
+                  town={selectedTown}
+                  onSelectTown={setSelectedTown}
+                />
+              )}
+              {selectedView === 'lag' && (
+                <LagAnalysisView
+                  language={language}
+                  rows={panelRows}
+                  years={years}
+                  healthMetrics={healthMetrics}
+                  fundingMetrics={fundingMetrics}
+                  normalization={normalization}
+                  correlationMethod={correlationMethod}
+                />
+              )}
+              {selectedView === 'cohorts' && (
+                <CohortView
+                  data={data}
+                  allTowns={allTowns}
+                  cohorts={cohorts}
+                  customCohorts={customCohorts}
+                  onChangeCustomCohorts={setCustomCohorts}
+                  healthMetrics={healthMetrics}
+                  fundingMetrics={fundingMetrics}
+                  normalization={normalization}
+                />
+              )}
+              {selectedView === 'audit' && (
+                <AuditView
+                  violations={violations}
+                  totalRows={rows.length}
+                  droppedRows={validation && validationSource === source ? new Set(validation.rowIssues.map(issue => issue.row)).size : 0}
+                  excluded={auditExcluded}
+                  onChangeExcluded={setAuditExcluded}
+                />
+              )}
+            </>
+          )}
         </div>
+
+        <TownLegend
+          language={language}
+          towns={shownTowns}
+          townColors={townColors}
+          townShapes={townShapes}
+          annotations={annotationIndex}
+          onAddAnnotation={handleAddAnnotation}
+          onRemoveAnnotation={handleRemoveAnnotation}
+        />
+        <div className="mt-6">{annotationsPanel}</div>
       </div>
     </div>
   );
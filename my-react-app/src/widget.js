@@ -0,0 +1,54 @@
+import { EMBED_PARAMS, EMBED_RESIZE_MESSAGE, embedSearch } from './embedConfig';
+
+// <cpa-health-view view="scatter" health="OBESITY_CrudePrev" funding="CPA_OS" towns="Boston,Cambridge">
+// Partner pages load this script once, as <script type="module" src=".../cpa-health-widget.js">,
+// and place elements wherever a chart should go. Each element frames embed.html, which keeps the
+// dashboard's styles and scripts away from the host page.
+// Attributes are the embed settings (see embedConfig.js), plus src to point at another deployment
+// and label for the frame's accessible title.
+
+const TAG_NAME = 'cpa-health-view';
+const DEFAULT_HEIGHT = 480;
+
+// The build writes this script next to embed.html, while the dev server serves it from src/.
+// The page is resolved at runtime; a literal new URL('embed.html', import.meta.url) would make the
+// build look for src/embed.html as an asset.
+const EMBED_PAGE = import.meta.env.DEV ? '../embed.html' : 'embed.html';
+const defaultSrc = () => new URL(EMBED_PAGE, import.meta.url).href;
+
+class CpaHealthView extends HTMLElement {
+  static get observedAttributes() {
+    return [...EMBED_PARAMS, 'src', 'label'];
+  }
+
+  connectedCallback() {
+    if (!this.frame) {
+      this.frame = document.createElement('iframe');
+      this.frame.style.cssText = `display: block; width: 100%; height: ${DEFAULT_HEIGHT}px; border: 0;`;
+      this.frame.setAttribute('loading', 'lazy');
+      this.appendChild(this.frame);
+      this.handleMessage = (event) => {
+        if (event.source !== this.frame.contentWindow || !event.data || event.data.type !== EMBED_RESIZE_MESSAGE) return;
+        if (Number.isFinite(event.data.height) && event.data.height > 0) this.frame.style.height = `${event.data.height}px`;
+      };
+    }
+    window.addEventListener('message', this.handleMessage);
+    this.update();
+  }
+
+  disconnectedCallback() {
+    window.removeEventListener('message', this.handleMessage);
+  }
+
+  attributeChangedCallback() {
+    if (this.frame) this.update();
+  }
+
+  update() {
+    const src = `${this.getAttribute('src') || defaultSrc()}${embedSearch(name => this.getAttribute(name))}`;
+    this.frame.title = this.getAttribute('label') || 'CPA funding and health outcomes chart';
+    if (this.frame.getAttribute('src') !== src) this.frame.setAttribute('src', src);
+  }
+}
+
+if (!customElements.get(TAG_NAME)) customElements.define(TAG_NAME, CpaHealthView);
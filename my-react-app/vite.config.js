@@ -1,7 +1,24 @@
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// The dashboard (index.html), the single-view embed page (embed.html) and the <cpa-health-view>
+// element script, which keeps a stable name so partner pages can link to it
+const entry = (path) => fileURLToPath(new URL(path, import.meta.url))
+
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  build: {
+    rollupOptions: {
+      input: {
+        main: entry('index.html'),
+        embed: entry('embed.html'),
+        widget: entry('src/widget.js'),
+      },
+      output: {
+        entryFileNames: (chunk) => (chunk.name === 'widget' ? 'cpa-health-widget.js' : 'assets/[name]-[hash].js'),
+      },
+    },
+  },
 })